@@ -1,28 +1,42 @@
 // Vercel serverless function for wallet data
 import { Connection, PublicKey } from '@solana/web3.js';
+import { FreshnessRuleEngine } from '../src/rule-engine.js';
+import { FundingTracer } from '../src/funding-tracer.js';
+import { resolveRpcConfig } from '../src/rpc-config.js';
 
 let rpcConnection;
+let rules;
+
+// Shared rule set so the API classifies wallets exactly like the detector
+function getRules() {
+    if (!rules) {
+        rules = FreshnessRuleEngine.load();
+    }
+    return rules;
+}
 
 // Initialize connection
 function getRPCConnection() {
     if (!rpcConnection) {
-        const heliusApiKey = process.env.HELIUS_API_KEY;
-        if (!heliusApiKey) {
-            throw new Error('HELIUS_API_KEY not found');
+        // Same endpoints as the detector (either Helius key, RPC_URLS or localnet)
+        const rpcConfig = resolveRpcConfig();
+        if (rpcConfig.publicFallback) {
+            throw new Error('No RPC endpoint configured (HELIUS_API_KEY, HELIUS_API_KEY_2 or RPC_URLS)');
         }
-        rpcConnection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${heliusApiKey}`);
+        rpcConnection = new Connection(rpcConfig.rpcUrls[0]);
     }
     return rpcConnection;
 }
 
 // Check if wallet is fresh (simplified for serverless)
-async function checkWalletAge(walletAddress) {
+async function checkWalletAge(connection, walletAddress) {
     try {
-        const connection = getRPCConnection();
         const publicKey = new PublicKey(walletAddress);
         
-        // Get recent transactions
-        const signatures = await connection.getSignaturesForAddress(publicKey, { limit: 50 });
+        // Get recent transactions (one more than the loosest limit so "too many" is detectable)
+        const limits = getRules().getHistoryLimits();
+        const limit = limits ? Math.min(limits.maxTransactions + 1, 1000) : 1000;
+        const signatures = await connection.getSignaturesForAddress(publicKey, { limit });
         
         if (signatures.length === 0) {
             return { 
@@ -51,15 +65,17 @@ async function checkWalletAge(walletAddress) {
         const ageHours = (Date.now() - (oldestTx.blockTime * 1000)) / (1000 * 60 * 60);
         const transactionCount = signatures.length;
 
-        // Fresh criteria: less than 24 hours old and less than 50 transactions
-        const isFresh = ageHours <= 24 && transactionCount <= 50;
+        // Fresh criteria come from the shared rule set
+        const isFresh = getRules().isFresh(FreshnessRuleEngine.buildFacts({ ageHours, transactionCount }));
 
         return {
             success: isFresh,
-            reason: isFresh ? 'Fresh wallet detected' : `Too old (${ageHours.toFixed(1)}h) or too many txs (${transactionCount})`,
+            reason: isFresh ? 'Fresh wallet detected' : `Not fresh (${ageHours.toFixed(1)}h old, ${transactionCount} txs)`,
             transactionCount,
             ageHours,
-            address: walletAddress
+            address: walletAddress,
+            // A short page is the whole history and can be reused to trace the funder
+            signatures: signatures.length < limit ? signatures : null
         };
 
     } catch (error) {
@@ -72,10 +88,20 @@ async function checkWalletAge(walletAddress) {
     }
 }
 
+// Trace the first funder like the detector; undefined when it cannot be determined
+async function traceFunding(connection, walletAddress, signatures) {
+    try {
+        const funding = await new FundingTracer(connection).traceFundingSource(walletAddress, signatures);
+        return funding?.unknown ? undefined : funding;
+    } catch (error) {
+        console.error('Error tracing funding source:', error);
+        return undefined;
+    }
+}
+
 // Get SOL balance
-async function getSOLBalance(walletAddress) {
+async function getSOLBalance(connection, walletAddress) {
     try {
-        const connection = getRPCConnection();
         const publicKey = new PublicKey(walletAddress);
         const balance = await connection.getBalance(publicKey);
         return balance / 1000000000; // Convert lamports to SOL
@@ -85,6 +111,31 @@ async function getSOLBalance(walletAddress) {
     }
 }
 
+// Check a wallet and classify it against every profile exactly like the detector does
+// (funding is traced while the wallet can still be fresh; the swap mints are optional)
+export async function checkWallet(connection, walletAddress, tokenInfo = null) {
+    const { signatures, ...walletResult } = await checkWalletAge(connection, walletAddress);
+
+    const canBeFresh = walletResult.ageHours !== null && getRules().isFresh(
+        FreshnessRuleEngine.buildFacts(walletResult, tokenInfo),
+        { ignoreMissing: true }
+    );
+    const funding = canBeFresh ? await traceFunding(connection, walletAddress, signatures) : null;
+    const solBalance = await getSOLBalance(connection, walletAddress);
+
+    // Profiles that depend on facts we could not establish are reported as indeterminate
+    const evaluation = getRules().classify({ ...walletResult, solBalance, funding }, tokenInfo);
+
+    return {
+        ...walletResult,
+        solBalance,
+        funding: funding ?? null,
+        isWhale: evaluation.isWhale,
+        profiles: evaluation.profiles,
+        indeterminateProfiles: evaluation.indeterminate
+    };
+}
+
 async function handler(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -108,25 +159,22 @@ async function handler(req, res) {
 
     if (req.method === 'POST') {
         try {
-            const { walletAddress } = req.body;
+            const { walletAddress, inputMint, outputMint } = req.body;
 
             if (!walletAddress) {
                 return res.status(400).json({ error: 'walletAddress is required' });
             }
 
-            // Check if wallet is fresh
-            const walletResult = await checkWalletAge(walletAddress);
-            
-            // Get SOL balance
-            const solBalance = await getSOLBalance(walletAddress);
-            
-            // Check if whale (100+ SOL)
-            const isWhale = solBalance >= 100;
+            // Optional swap context for profiles on traded mints (e.g. sniper)
+            const tokenInfo = inputMint || outputMint
+                ? { inputToken: { mint: inputMint }, outputToken: { mint: outputMint } }
+                : null;
+
+            // Classify against every profile (fresh, whale, sniper, ...)
+            const walletResult = await checkWallet(getRPCConnection(), walletAddress, tokenInfo);
 
             const response = {
                 ...walletResult,
-                solBalance,
-                isWhale,
                 timestamp: new Date().toISOString()
             };
 
@@ -8,6 +8,28 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import sqlite3 from 'sqlite3';
 import dotenv from 'dotenv';
+import { FundingTracer } from './src/funding-tracer.js';
+import { RetryQueue, VERDICT } from './src/retry-queue.js';
+import { DetectionEffects } from './src/detection-effects.js';
+import { InsiderClusterTracker } from './src/insider-clusters.js';
+import { SignatureHistoryFetcher } from './src/signature-history.js';
+import { FreshnessRuleEngine } from './src/rule-engine.js';
+import { checkWallet } from './api/wallet-data.js';
+import { SwapSourceRegistry } from './src/swap-sources/index.js';
+import { LaunchTracker } from './src/launch-tracker.js';
+import { BundleDetector, findJitoTip } from './src/bundle-detector.js';
+import { LookupTableResolver } from './src/lookup-table-resolver.js';
+import { identifyTrader } from './src/trader-identity.js';
+import { FinalityChecker } from './src/finality-checker.js';
+import { MintExtensionCache, getPreFeeAmount, getTransferFee } from './src/token-extensions.js';
+import { CandidateQueue, CandidateScorer } from './src/candidate-queue.js';
+import { WalletSampler } from './src/sampler.js';
+import { RpcBatcher } from './src/rpc-batcher.js';
+import { AdaptiveRateLimiter } from './src/rate-limiter.js';
+import { RpcPool } from './src/rpc-pool.js';
+import { CreditBudget, dayKey } from './src/credit-budget.js';
+import { resolveRpcConfig, maskUrl } from './src/rpc-config.js';
+import { getSwapDirection, getFeePayer, getOwnerBalanceChanges, toUiAmount } from './src/transaction-utils.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,32 +37,81 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Queue score of token and pool creations: above any swap candidate
+const CREATION_SCORE = Number.MAX_SAFE_INTEGER;
+
 /**
  * Enhanced Fresh Wallet Detection System for Solana
- * Focuses on detecting fresh user wallets through Raydium swap monitoring
+ * Focuses on detecting fresh user wallets through DEX swap monitoring (see src/swap-sources)
  */
-class FreshWalletDetector {
+export class FreshWalletDetector {
   constructor() {
-    // Core configuration
-    this.heliusApiKey = process.env.HELIUS_API_KEY;
-    this.heliusApiKey2 = process.env.HELIUS_API_KEY_2; // optional secondary key
-    this.rpcEndpoints = [
-      `https://mainnet.helius-rpc.com/?api-key=${this.heliusApiKey}`,
-      this.heliusApiKey2 ? `https://mainnet.helius-rpc.com/?api-key=${this.heliusApiKey2}` : null
-    ].filter(Boolean);
-    this.wsEndpoints = [
-      `wss://mainnet.helius-rpc.com/?api-key=${this.heliusApiKey}`,
-      this.heliusApiKey2 ? `wss://mainnet.helius-rpc.com/?api-key=${this.heliusApiKey2}` : null
-    ].filter(Boolean);
-    this.rpcIndex = 0;
+    // Core configuration: Helius keys and/or any standard endpoints (RPC_URLS, WS_URLS)
+    this.rpcConfig = resolveRpcConfig();
+    this.heliusApiKey = this.rpcConfig.heliusApiKey; // null without Helius: its extras are disabled
+    // Every RPC call is spread over these endpoints
+    this.rpcEndpoints = this.rpcConfig.rpcUrls;
+    this.wsEndpoints = this.rpcConfig.wsUrls;
     this.wsIndex = 0;
-    this.rpcUrl = this.rpcEndpoints[0];
     this.wsUrl = this.wsEndpoints[0];
     
     // Rate limiting and throttling (optimized for speed while avoiding 429 errors)
-    this.processingDelay = parseInt(process.env.PROCESSING_DELAY) || 4000; // Reduced to 4 seconds
+    this.processingDelay = parseInt(process.env.PROCESSING_DELAY) || 0; // Optional pause after each check; RPC calls are paced below
     this.maxChecksPerMinute = parseInt(process.env.MAX_CHECKS_PER_MINUTE) || 12; // Increased to 12 per minute
-    this.samplingRate = parseFloat(process.env.SAMPLING_RATE) || 0.08; // Increased to 8%
+    
+    // Token bucket per RPC endpoint: backs off on 429s (honouring Retry-After) and ramps back up on success
+    this.rateLimitConfig = {
+      rate: parseFloat(process.env.RPC_RATE_LIMIT) || 10, // starting requests per second
+      minRate: parseFloat(process.env.RPC_RATE_MIN) || 1,
+      maxRate: parseFloat(process.env.RPC_RATE_MAX) || 50
+    };
+    this.rateLimiters = new Map(); // endpoint URL -> AdaptiveRateLimiter
+    
+    // RPC credits per day, method and key (config/credit-costs.json); budgets slow checks down before the cap
+    this.creditBudget = CreditBudget.load(undefined, {
+      dailyBudget: parseInt(process.env.CREDIT_BUDGET_DAILY) || 0,
+      monthlyBudget: parseInt(process.env.CREDIT_BUDGET_MONTHLY) || 0,
+      throttleAt: parseFloat(process.env.CREDIT_THROTTLE_AT) || 0.8
+    });
+    this.usageInterval = null;
+    
+    // Swaps wait in a bounded priority queue; the per-minute budget goes to the highest scores
+    this.candidateConfig = {
+      maxSize: parseInt(process.env.CANDIDATE_QUEUE_SIZE) || 1000,
+      maxAgeMs: parseInt(process.env.CANDIDATE_MAX_AGE) || 120000,
+      watchlist: (process.env.WATCHLIST_MINTS || '').split(',').map(mint => mint.trim()).filter(Boolean)
+    };
+    this.candidateQueue = new CandidateQueue(this.candidateConfig);
+    this.candidateScorer = new CandidateScorer(this.candidateConfig);
+    this.candidateInterval = null;
+    this.isDrainingCandidates = false;
+    
+    // Optional sampling on top of the queue; 'hash' keeps the same wallets in or out across runs
+    this.sampler = new WalletSampler({
+      mode: process.env.SAMPLING_MODE || 'off',
+      rate: parseFloat(process.env.SAMPLING_RATE) || 0.1,
+      seed: process.env.SAMPLING_SEED
+    });
+    
+    // Fresh wallet criteria and other profiles (config/freshness-rules.json or FRESHNESS_RULES_PATH)
+    this.rules = FreshnessRuleEngine.load();
+    
+    // Signature history paging (getSignaturesForAddress returns at most 1000 per call)
+    this.signatureHistoryConfig = {
+      pageSize: parseInt(process.env.SIGNATURE_PAGE_SIZE) || 1000,
+      maxSignatures: parseInt(process.env.SIGNATURE_HISTORY_CEILING) || 10000,
+      earlyExit: process.env.SIGNATURE_EARLY_EXIT === 'false'
+        ? null
+        : this.rules.getHistoryLimits()
+    };
+    this.signatureHistory = null;
+    
+    // Retry queue for wallets whose freshness could not be determined
+    this.retryQueue = new RetryQueue({
+      maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+      delayMs: parseInt(process.env.RETRY_DELAY) || 60000
+    });
+    this.isProcessingRetries = false;
     
     // Emission windows
     this.whaleEmitWindowMinutes = parseInt(process.env.WHALE_EMIT_WINDOW_MINUTES || '10');
@@ -49,10 +120,12 @@ class FreshWalletDetector {
     this.marketDataCache = new Map(); // mint -> { symbol, priceUsd, marketCap, liquidityUsd, ts }
     
     // Token metadata cache (Helius)
-    this.tokenMetaCache = new Map(); // mint -> { symbol, name, logoURI, decimals, ts }
+    this.tokenMetaCache = new Map(); // mint -> { symbol, name, logoURI, decimals, extensions, riskyExtensions, ts }
+    this.mintExtensions = null; // Token-2022 mint extensions, created with the RPC connection
     
     // Tracking variables
     this.processedWallets = new Set();
+    this.recentSignatures = new Set(); // A transaction can mention several monitored programs
     this.checkCount = 0;
     this.lastResetTime = Date.now();
     this.sessionStartTime = Date.now(); // Track session start for fresh data
@@ -61,8 +134,33 @@ class FreshWalletDetector {
     this.stats = {
       totalWalletsDetected: 0,
       freshWalletsFound: 0,
+      unknownVerdicts: 0,
+      notFreshVerdicts: 0, // decided not fresh (unknown verdicts are counted apart)
+      retriesResolved: 0,
+      retriesGivenUp: 0,
+      retryQueueSize: 0,
       whalesFound: 0,
       freshWhalesFound: 0,
+      clustersDetected: 0,
+      launchesDetected: 0,
+      snipersDetected: 0,
+      bundlesDetected: 0,
+      relayedSwaps: 0, // trader differs from the fee payer
+      failedTransactionsSkipped: 0,
+      detectionsRetracted: 0,
+      candidatesQueued: 0,
+      candidatesDropped: 0, // evicted by better candidates or expired
+      candidateQueueSize: 0,
+      rpcRequestsSaved: 0, // by batching and reusing account lookups
+      rpcThroughput: 0, // successful RPC requests in the last minute
+      rpcRate: 0, // current allowance in requests per second, summed over endpoints
+      rpcRateLimited: 0, // 429 responses
+      fundingUnknown: 0, // funders left undetermined because the history was too long to page
+      creditsToday: 0,
+      creditThrottle: 1, // share of MAX_CHECKS_PER_MINUTE allowed by the credit budgets
+      walletsSampledOut: 0,
+      samplingReasons: {}, // sampling decision reason -> count
+      dexBreakdown: {}, // dex -> { detected, fresh }
       duplicatesSkipped: 0,
       nonUserAccountsSkipped: 0,
       rpcErrors: 0,
@@ -77,27 +175,61 @@ class FreshWalletDetector {
       failed: [] // Only failed checks
     };
     
-    // Initialize whale tracking (100+ SOL balance)
+    // Initialize whale tracking (wallets matching the whale profile)
     this.whaleTracker = {
       all: [], // All whale wallets detected
       fresh: [], // Fresh whale wallets
-      whaleThreshold: 100 // Minimum SOL balance to be considered a whale
+      whaleThreshold: this.getWhaleThreshold() // Minimum SOL balance to be considered a whale
+    };
+    
+    // Funding source tracing (first inbound SOL transfer of fresh wallets)
+    this.fundingTraceMaxTransactions = parseInt(process.env.FUNDING_TRACE_MAX_TXS) || 3;
+    this.fundingTracer = null;
+    this.lookupTables = null;
+    
+    // Insider clusters (fresh wallets sharing a funder)
+    this.clusterConfig = {
+      maxHops: parseInt(process.env.CLUSTER_MAX_HOPS) || 1,
+      minClusterSize: parseInt(process.env.CLUSTER_MIN_SIZE) || 2,
+      coordinatedBuyers: parseInt(process.env.CLUSTER_COORDINATED_BUYERS) || 3,
+      coordinatedWindowMinutes: parseInt(process.env.CLUSTER_WINDOW_MINUTES) || 10,
+      ignoredFunders: process.env.CLUSTER_IGNORED_FUNDERS?.split(',').filter(Boolean) || []
+    };
+    this.clusterTracker = new InsiderClusterTracker(this.clusterConfig);
+    
+    // Launches (token/pool creations) and the snipers buying right after them
+    this.launchConfig = {
+      sniperSlots: parseInt(process.env.LAUNCH_SNIPER_SLOTS ?? '10'),
+      sniperSeconds: parseInt(process.env.LAUNCH_SNIPER_SECONDS ?? '30')
+    };
+    this.launchTracker = new LaunchTracker(this.launchConfig);
+    
+    // Same-slot buys of one mint (coordinated bundles)
+    this.bundleConfig = {
+      minBuyers: parseInt(process.env.BUNDLE_MIN_BUYERS) || 3
+    };
+    this.bundleDetector = new BundleDetector(this.bundleConfig);
+    
+    // Optional finalized re-check that retracts detections from transactions that never finalized
+    this.finalityConfig = {
+      enabled: process.env.FINALITY_RECHECK === 'true',
+      delayMs: parseInt(process.env.FINALITY_RECHECK_DELAY) || 45000
     };
+    this.finalityChecker = null;
+    this.finalityInterval = null;
     
     // Connection objects
-    this.rpcConnection = null;
+    this.rpcPool = null; // health-scored failover over all RPC endpoints
+    this.rpcBatcher = null; // coalesces account and transaction lookups into batched calls
     this.ws = null;
     this.database = null;
     this.app = null;
     this.server = null;
     this.io = null;
+    this.retryInterval = null;
     
-    // Raydium program IDs for monitoring
-    this.RAYDIUM_PROGRAMS = [
-      'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', // Raydium CPMM
-      '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',  // Raydium AMM
-      '5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h'   // Raydium Serum
-    ];
+    // DEX and aggregator programs to monitor (see src/swap-sources), loaded in initialize()
+    this.swapSources = null;
   }
 
   /**
@@ -109,10 +241,42 @@ class FreshWalletDetector {
       
       // Initialize database
       await this.initializeDatabase();
-      
-      // Initialize RPC connection
-      this.rpcConnection = new Connection(this.rpcUrl, 'confirmed');
-      console.log('✅ RPC Connection initialized');
+      await this.loadCreditUsage();
+      
+      // Load swap sources (built-in venues plus configured plugins)
+      this.swapSources = await SwapSourceRegistry.fromEnv();
+      console.log(`✅ Swap sources: ${this.swapSources.getSources().map(source => source.label).join(', ')}`);
+      
+      // Initialize the RPC pool (one rate-limited connection per endpoint)
+      this.rpcPool = new RpcPool(this.rpcEndpoints.map(url => ({
+        url,
+        connection: this.createRpcConnection(url),
+        limiter: this.getRateLimiter(url)
+      })), {
+        // Batched transaction lookups are charged per transaction
+        onCall: (endpoint, method, args) => this.creditBudget.record(
+          endpoint.label, method, method === 'getTransactions' ? args[0].length : 1
+        )
+      });
+      this.rpcBatcher = new RpcBatcher(this.rpcPool);
+      this.signatureHistory = new SignatureHistoryFetcher(this.rpcPool, this.signatureHistoryConfig);
+      this.lookupTables = new LookupTableResolver(this.rpcPool);
+      this.mintExtensions = new MintExtensionCache(this.rpcBatcher);
+      this.fundingTracer = new FundingTracer(this.rpcPool, {
+        maxTransactions: this.fundingTraceMaxTransactions,
+        lookupTables: this.lookupTables
+      });
+      if (this.finalityConfig.enabled) {
+        this.finalityChecker = new FinalityChecker(this.rpcPool, { delayMs: this.finalityConfig.delayMs });
+      }
+      console.log(`✅ RPC pool initialized (${this.rpcPool.endpoints.map(endpoint => endpoint.label).join(', ')})`);
+      if (this.rpcConfig.localnet) {
+        console.log('🧪 Localnet mode: no Helius extras or market data (start npm run localnet:validator, then seed with npm run seed:localnet)');
+      } else if (this.rpcConfig.publicFallback) {
+        console.log('⚠️ No HELIUS_API_KEY or RPC_URLS configured: using the public RPC endpoint (heavily rate limited)');
+      } else if (!this.rpcConfig.features.heliusMetadata) {
+        console.log('ℹ️ No Helius key: token metadata comes from on-chain data only');
+      }
       
       // Setup web dashboard
       await this.setupWebDashboard();
@@ -128,6 +292,38 @@ class FreshWalletDetector {
     }
   }
 
+  /**
+   * Create a connection whose requests go through the endpoint's adaptive rate limiter
+   * (web3.js' own 429 retries are disabled so the limiter sees every 429)
+   */
+  createRpcConnection(url) {
+    return new Connection(url, {
+      commitment: 'confirmed',
+      fetch: this.getRateLimiter(url).wrapFetch(fetch),
+      disableRetryOnRateLimit: true
+    });
+  }
+
+  /**
+   * Get (or create) the rate limiter of an RPC endpoint
+   */
+  getRateLimiter(url) {
+    if (!this.rateLimiters.has(url)) {
+      this.rateLimiters.set(url, new AdaptiveRateLimiter(this.rateLimitConfig));
+    }
+    return this.rateLimiters.get(url);
+  }
+
+  /**
+   * Refresh the RPC throughput stats from the endpoint limiters
+   */
+  updateRpcStats() {
+    const limiters = Array.from(this.rateLimiters.values()).map(limiter => limiter.describe());
+    this.stats.rpcThroughput = limiters.reduce((sum, limiter) => sum + limiter.throughputPerMinute, 0);
+    this.stats.rpcRate = limiters.reduce((sum, limiter) => sum + limiter.rate, 0);
+    this.stats.rpcRateLimited = limiters.reduce((sum, limiter) => sum + limiter.rateLimited, 0);
+  }
+
   /**
    * Periodic cache cleanup for market data
    */
@@ -157,25 +353,114 @@ class FreshWalletDetector {
         console.log('✅ Database connected');
         
         // Create wallets table
-        this.database.run(`
-          CREATE TABLE IF NOT EXISTS fresh_wallets (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            wallet_address TEXT UNIQUE NOT NULL,
-            detection_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-            age_hours REAL,
-            transaction_count INTEGER,
-            sol_balance REAL,
-            is_fresh BOOLEAN,
-            token_trade TEXT,
-            swap_signature TEXT
-          )
-        `, (err) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log('✅ Database table ready');
-            resolve();
-          }
+        this.database.serialize(() => {
+          this.database.run(`
+            CREATE TABLE IF NOT EXISTS fresh_wallets (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              wallet_address TEXT UNIQUE NOT NULL,
+              detection_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+              age_hours REAL,
+              transaction_count INTEGER,
+              sol_balance REAL,
+              is_fresh BOOLEAN,
+              verdict TEXT,
+              token_trade TEXT,
+              dex TEXT,
+              fee_payer TEXT,
+              signers TEXT,
+              swap_signature TEXT
+            )
+          `, (err) => {
+            if (err) reject(err);
+          });
+          
+          // Add verdict column to databases created before tri-state verdicts
+          this.database.run('ALTER TABLE fresh_wallets ADD COLUMN verdict TEXT', (err) => {
+            if (err && !err.message.includes('duplicate column')) reject(err);
+          });
+          
+          // Add dex column to databases created before multi-DEX monitoring
+          this.database.run('ALTER TABLE fresh_wallets ADD COLUMN dex TEXT', (err) => {
+            if (err && !err.message.includes('duplicate column')) reject(err);
+          });
+          
+          // Add fee payer/signers columns to databases created before trader identification
+          ['fee_payer', 'signers'].forEach(column => {
+            this.database.run(`ALTER TABLE fresh_wallets ADD COLUMN ${column} TEXT`, (err) => {
+              if (err && !err.message.includes('duplicate column')) reject(err);
+            });
+          });
+          
+          // Create funding sources table (who sent each fresh wallet its first SOL)
+          this.database.run(`
+            CREATE TABLE IF NOT EXISTS wallet_funding (
+              wallet_address TEXT PRIMARY KEY,
+              funder_address TEXT NOT NULL,
+              amount_sol REAL,
+              funded_at DATETIME,
+              funding_signature TEXT,
+              traced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+          `, (err) => {
+            if (err) reject(err);
+          });
+          
+          // Create launches table (token/pool creations) and their snipers
+          this.database.run(`
+            CREATE TABLE IF NOT EXISTS pool_launches (
+              mint TEXT PRIMARY KEY,
+              pool TEXT,
+              dex TEXT,
+              creator TEXT,
+              slot INTEGER,
+              block_time INTEGER,
+              signature TEXT,
+              detected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+          `, (err) => {
+            if (err) reject(err);
+          });
+          
+          this.database.run(`
+            CREATE TABLE IF NOT EXISTS launch_snipers (
+              mint TEXT NOT NULL,
+              wallet_address TEXT NOT NULL,
+              slot INTEGER,
+              slots_after_launch INTEGER,
+              seconds_after_launch INTEGER,
+              verdict TEXT,
+              signature TEXT,
+              PRIMARY KEY (mint, wallet_address)
+            )
+          `, (err) => {
+            if (err) reject(err);
+          });
+          
+          // RPC credits per day, key (endpoint label, never the key itself) and method
+          this.database.run(`
+            CREATE TABLE IF NOT EXISTS rpc_usage (
+              day TEXT NOT NULL,
+              api_key TEXT NOT NULL,
+              method TEXT NOT NULL,
+              calls INTEGER DEFAULT 0,
+              credits REAL DEFAULT 0,
+              PRIMARY KEY (day, api_key, method)
+            )
+          `, (err) => {
+            if (err) reject(err);
+          });
+          
+          this.database.run(
+            'CREATE INDEX IF NOT EXISTS idx_wallet_funding_funder ON wallet_funding(funder_address)',
+            (err) => {
+              if (err) {
+                reject(err);
+              } else {
+                console.log('✅ Database tables ready');
+                resolve();
+              }
+            }
+          );
         });
       });
     });
@@ -199,6 +484,21 @@ class FreshWalletDetector {
     this.app.use(express.static(path.join(__dirname, 'public')));
 
     // API Routes for Railway compatibility
+    this.app.get('/api/rpc-health', (req, res) => {
+      res.json({
+        success: true,
+        features: this.rpcConfig.features,
+        endpoints: this.rpcPool ? this.rpcPool.getHealth() : []
+      });
+    });
+
+    this.app.get('/api/usage', (req, res) => {
+      res.json({
+        success: true,
+        usage: this.creditBudget.getUsage()
+      });
+    });
+
     this.app.get('/api/stats', (req, res) => {
       res.json({
         success: true,
@@ -247,8 +547,60 @@ class FreshWalletDetector {
       });
     });
 
-    this.app.get('/api/wallet-data', (req, res) => {
-      const address = req.query.address;
+    this.app.get('/api/clusters', (req, res) => {
+      const minSize = parseInt(req.query.minSize) || this.clusterConfig.minClusterSize;
+      const clusters = this.clusterTracker.getClusters(minSize);
+      
+      res.json({
+        success: true,
+        totalClusters: clusters.length,
+        clusters: clusters
+      });
+    });
+
+    this.app.get('/api/launches', (req, res) => {
+      const limit = parseInt(req.query.limit) || 50;
+      const launches = this.launchTracker.getLaunches(limit);
+      
+      res.json({
+        success: true,
+        totalLaunches: launches.length,
+        launches: launches
+      });
+    });
+
+    this.app.get('/api/launches/:mint', (req, res) => {
+      const launch = this.launchTracker.getLaunch(req.params.mint);
+      if (!launch) {
+        return res.status(404).json({ success: false, error: 'Launch not found' });
+      }
+      
+      res.json({
+        success: true,
+        launch: launch
+      });
+    });
+
+    this.app.get('/api/bundles', (req, res) => {
+      const limit = parseInt(req.query.limit) || 50;
+      const bundles = this.bundleDetector.getBundles(limit);
+      
+      res.json({
+        success: true,
+        totalBundles: bundles.length,
+        bundles: bundles
+      });
+    });
+
+    this.app.get('/api/swap-sources', (req, res) => {
+      res.json({
+        success: true,
+        sources: this.swapSources.describe()
+      });
+    });
+
+    this.app.get('/api/wallet-data', async (req, res) => {
+      const { address, inputMint, outputMint } = req.query;
       if (!address) {
         return res.status(400).json({
           success: false,
@@ -256,18 +608,21 @@ class FreshWalletDetector {
         });
       }
       
-      // This is a simplified response for manual checks
-      res.json({
-        success: true,
-        result: {
-          address: address,
+      try {
+        // Same check and classification (profiles, indeterminateProfiles) as the serverless API
+        const tokenInfo = inputMint || outputMint
+          ? { inputToken: { mint: inputMint }, outputToken: { mint: outputMint } }
+          : null;
+        res.json({
+          success: true,
+          result: await checkWallet(this.rpcPool, address, tokenInfo)
+        });
+      } catch (error) {
+        res.status(500).json({
           success: false,
-          reason: 'Manual check - use the real-time system for accurate results',
-          ageHours: 'N/A',
-          transactionCount: 'N/A',
-          solBalance: 'N/A'
-        }
-      });
+          error: error.message
+        });
+      }
     });
 
     // Socket.IO connection handling
@@ -276,6 +631,7 @@ class FreshWalletDetector {
       
       // Send current stats when client connects
       socket.emit('stats', this.stats);
+      socket.emit('usage', this.creditBudget.getUsage());
       
       // Always emit fresh analytics (will be empty if nothing recent)
       this.emitTokenAnalytics();
@@ -303,17 +659,29 @@ class FreshWalletDetector {
       // Initialize WebSocket connection
       await this.connectToHelius();
       
-      // Subscribe to Raydium programs
-      await this.subscribeToRaydiumSwaps();
+      // Subscribe to DEX and aggregator programs
+      await this.subscribeToSwapSources();
       
       console.log('✅ Fresh Wallet Detection started successfully');
       console.log(`📊 Rate limit: ${this.maxChecksPerMinute} wallets/minute`);
-      console.log(`⏱️ Processing delay: ${this.processingDelay}ms`);
-      console.log(`🎯 Sampling rate: ${(this.samplingRate * 100).toFixed(1)}%`);
+      console.log(`⏱️ RPC rate: ${this.rateLimitConfig.rate} req/s per endpoint (adaptive, ${this.rateLimitConfig.minRate}-${this.rateLimitConfig.maxRate})`);
+      console.log(`🎯 Candidate queue: ${this.candidateConfig.maxSize} swaps, ${this.candidateConfig.watchlist.length} watchlist mints`);
       
       // Start analytics emission intervals
       this.startAnalyticsIntervals();
       
+      // Re-check wallets with unknown verdicts when budget allows
+      this.startRetryInterval();
+      
+      // Retract detections whose transactions never finalized
+      this.startFinalityInterval();
+      
+      // Check queued swaps, best score first
+      this.startCandidateInterval();
+      
+      // Persist and publish RPC credit usage
+      this.startUsageInterval();
+      
     } catch (error) {
       console.error('❌ Failed to start detection:', error.message);
       setTimeout(() => this.start(), 5000); // Retry after 5 seconds
@@ -321,15 +689,15 @@ class FreshWalletDetector {
   }
 
   /**
-   * Connect to Helius WebSocket
+   * Connect to the PubSub WebSocket (Helius or any standard endpoint)
    */
   async connectToHelius() {
     return new Promise((resolve, reject) => {
-      console.log('🔗 Connecting to Helius WebSocket...');
+      console.log(`🔗 Connecting to WebSocket ${maskUrl(this.wsUrl)}...`);
       const ws = new WebSocket(this.wsUrl);
       
       ws.on('open', () => {
-        console.log('✅ Connected to Helius WebSocket');
+        console.log('✅ Connected to WebSocket');
         this.ws = ws;
         resolve();
       });
@@ -370,8 +738,8 @@ class FreshWalletDetector {
       this.wsIndex = (this.wsIndex + 1) % this.wsEndpoints.length;
       this.wsUrl = this.wsEndpoints[this.wsIndex];
       await this.connectToHelius();
-      await this.subscribeToRaydiumSwaps();
-      console.log('🔁 Re-subscribed to Raydium programs after reconnect');
+      await this.subscribeToSwapSources();
+      console.log('🔁 Re-subscribed to DEX programs after reconnect');
     } catch (error) {
       console.error('❌ Reconnect failed, retrying in 5s:', error.message);
       setTimeout(() => this.reconnectHelius(), 5000);
@@ -379,17 +747,26 @@ class FreshWalletDetector {
   }
 
   /**
-   * Subscribe to Raydium program logs
+   * Subscribe to the program logs of every enabled swap source
+   */
+  async subscribeToSwapSources() {
+    for (const source of this.swapSources.getSources()) {
+      this.subscribeToProgramLogs(source.name, source.label, source.programIds);
+    }
+  }
+
+  /**
+   * Send a logsSubscribe request for each program ID
    */
-  async subscribeToRaydiumSwaps() {
+  subscribeToProgramLogs(source, label, programIds) {
     if (!this.ws || this.ws.readyState !== 1) {
       throw new Error('WebSocket not connected');
     }
 
-    for (const programId of this.RAYDIUM_PROGRAMS) {
+    for (const programId of programIds) {
       const subscribeMessage = {
         jsonrpc: '2.0',
-        id: `raydium-${programId}`,
+        id: `${source}-${programId}`,
         method: 'logsSubscribe',
         params: [
           {
@@ -403,7 +780,7 @@ class FreshWalletDetector {
       
       try {
         this.ws.send(JSON.stringify(subscribeMessage));
-        console.log(`📡 Subscribed to Raydium program: ${programId}`);
+        console.log(`📡 Subscribed to ${label} program: ${programId}`);
       } catch (error) {
         console.error(`❌ Failed to subscribe to ${programId}:`, error.message);
         throw error;
@@ -415,6 +792,9 @@ class FreshWalletDetector {
    * Fetch market data from DexScreener (free, no key)
    */
   async fetchDexScreener(mint) {
+    if (!this.rpcConfig.features.marketData) {
+      return null;
+    }
     try {
       const cached = this.marketDataCache.get(mint);
       const now = Date.now();
@@ -444,10 +824,14 @@ class FreshWalletDetector {
 
   /**
    * Fetch token metadata via Helius (batchable but we use single best‑effort here)
+   * Without a Helius key (or once the API refuses the key) only cached and Token-2022 metadata is used
    */
   async fetchTokenMetadata(mints) {
+    const list = Array.isArray(mints) ? mints : [mints];
+    if (!this.rpcConfig.features.heliusMetadata) {
+      return list.map((m) => this.tokenMetaCache.get(m) || this.getMintExtensionMetadata(m));
+    }
     try {
-      const list = Array.isArray(mints) ? mints : [mints];
       const uncached = list.filter((m) => {
         const c = this.tokenMetaCache.get(m);
         return !c || (Date.now() - (c.ts || 0)) > 24 * 60 * 60 * 1000; // 24h TTL
@@ -461,16 +845,24 @@ class FreshWalletDetector {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ mintAccounts: uncached })
       });
+      if ([401, 403, 404, 410].includes(res.status)) {
+        console.log(`⚠️ Helius metadata API unavailable (${res.status}), using on-chain metadata only`);
+        this.rpcConfig.features.heliusMetadata = false;
+      }
       if (res.ok) {
         const json = await res.json();
         for (const item of json) {
           const mint = item?.mint || item?.account;
           if (!mint) continue;
+          // Token-2022 mints may only carry metadata in their tokenMetadata extension
+          const mintInfo = this.mintExtensions?.peek(mint);
           const meta = {
-            symbol: item?.symbol || item?.onChainMetadata?.metadata?.data?.symbol,
-            name: item?.name || item?.onChainMetadata?.metadata?.data?.name,
+            symbol: item?.symbol || item?.onChainMetadata?.metadata?.data?.symbol || mintInfo?.metadata?.symbol,
+            name: item?.name || item?.onChainMetadata?.metadata?.data?.name || mintInfo?.metadata?.name,
             logoURI: item?.logo || item?.image || item?.offChainMetadata?.metadata?.image || item?.extensions?.image,
             decimals: item?.decimals,
+            extensions: mintInfo?.extensions,
+            riskyExtensions: mintInfo?.riskyExtensions,
             ts: Date.now()
           };
           this.tokenMetaCache.set(mint, meta);
@@ -482,6 +874,23 @@ class FreshWalletDetector {
     }
   }
 
+  /**
+   * Metadata of a Token-2022 mint from its tokenMetadata extension, if it was fetched
+   */
+  getMintExtensionMetadata(mint) {
+    const mintInfo = this.mintExtensions?.peek(mint);
+    if (!mintInfo?.metadata) {
+      return undefined;
+    }
+    return {
+      symbol: mintInfo.metadata.symbol,
+      name: mintInfo.metadata.name,
+      decimals: mintInfo.decimals,
+      extensions: mintInfo.extensions,
+      riskyExtensions: mintInfo.riskyExtensions
+    };
+  }
+
   /**
    * Handle incoming WebSocket messages
    */
@@ -490,23 +899,74 @@ class FreshWalletDetector {
       if (message.method === 'logsNotification' && message.params) {
         const logData = message.params.result || message.params.value || message.params;
         
-        // Apply sampling rate
-        if (Math.random() > this.samplingRate) {
+        // Failed transactions traded nothing: don't spend the check budget on their signers
+        if (logData?.value?.err || logData?.err) {
+          this.stats.failedTransactionsSkipped++;
+          return;
+        }
+        
+        // Token and pool creations are rare and needed for sniper detection: never sample them out,
+        // and queue them ahead of every swap (still within the check and RPC budgets)
+        const logs = logData?.value?.logs || logData?.logs;
+        if (this.swapSources.isCreationLog(logs)) {
+          this.candidateQueue.push({ logData, score: CREATION_SCORE, reasons: ['creation'], sampled: true });
+          this.stats.candidatesQueued = this.candidateQueue.stats.queued;
+          return;
+        }
+        
+        // Score from the logs alone; the transaction is only fetched once the candidate is picked
+        const hints = this.swapSources.getLogHints(logs);
+        this.recordHintedBuy(hints, logData);
+        if (hints?.user && this.processedWallets.has(hints.user)) {
+          this.stats.duplicatesSkipped++;
           return;
         }
         
-        // Check rate limits
-        if (!this.canProcessMore()) {
+        // Sample on the logged signer when there is one; otherwise the trader is sampled once fetched
+        if (hints?.user && !this.sampleWallet(hints.user)) {
           return;
         }
         
-        await this.processSwapTransaction(logData);
+        const { score, reasons } = this.candidateScorer.score(hints);
+        this.candidateScorer.recordSighting(hints);
+        this.candidateQueue.push({ logData, score, reasons, sampled: Boolean(hints?.user) });
+        this.stats.candidatesQueued = this.candidateQueue.stats.queued;
+        this.stats.candidatesDropped = this.candidateQueue.stats.evicted + this.candidateQueue.stats.expired;
       }
     } catch (error) {
       console.error('Error handling WebSocket message:', error.message);
     }
   }
 
+  /**
+   * Group a buy into same-slot bundles from its log hints, before the queue, budget and sampler
+   * drop most swaps (a bundle only forms if every buy of the slot is seen); the full transaction
+   * adds its Jito tip when the candidate is checked
+   */
+  recordHintedBuy(hints, logData) {
+    const slot = logData?.context?.slot;
+    if (!hints?.user || !hints.mint || hints.direction !== 'buy' || slot == null) {
+      return;
+    }
+    this.detectBundle(hints.user, {
+      direction: 'buy',
+      inputToken: { amount: hints.solAmount ?? null },
+      outputToken: { symbol: null, mint: hints.mint }
+    }, { slot, signature: logData?.value?.signature || logData?.signature || null });
+  }
+
+  /**
+   * Apply the sampling decision to a wallet and count its reason
+   */
+  sampleWallet(address) {
+    const { sampled, reason } = this.sampler.decide(address);
+    this.stats.samplingReasons[reason] = (this.stats.samplingReasons[reason] || 0) + 1;
+    if (!sampled) {
+      this.stats.walletsSampledOut++;
+    }
+    return sampled;
+  }
+
   /**
    * Check if we can process more wallets (rate limiting)
    */
@@ -520,13 +980,18 @@ class FreshWalletDetector {
       this.lastResetTime = now;
     }
     
-    return this.checkCount < this.maxChecksPerMinute;
+    // Credit budgets shrink the per-minute allowance as a cap gets close
+    const allowed = Math.floor(this.maxChecksPerMinute * this.creditBudget.getThrottleFactor(now));
+    
+    // Don't start a check while every endpoint is cooling down or honouring a Retry-After
+    return this.checkCount < allowed && !this.rpcPool?.isSaturated(now);
   }
 
   /**
    * Process swap transaction to extract signer wallet
+   * options.sampled: the sampling decision was already made (or the transaction must not be sampled out)
    */
-  async processSwapTransaction(logData) {
+  async processSwapTransaction(logData, options = {}) {
     try {
       // Handle different message structures from Helius
       const signature = logData?.signature || logData?.value?.signature;
@@ -535,28 +1000,67 @@ class FreshWalletDetector {
         return;
       }
       
+      // Jupiter routes through Raydium/pump.fun are notified once per mentioned program
+      if (this.recentSignatures.has(signature)) {
+        return;
+      }
+      this.rememberSignature(signature);
+      
       // Get transaction details
-      const transaction = await this.rpcConnection.getTransaction(signature, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0
-      });
+      const transaction = await this.rpcBatcher.getTransaction(signature);
       
       if (!transaction || !transaction.transaction) {
         return;
       }
       
-      // Extract signer (fee payer) from transaction
-      const signerWallet = this.extractSignerFromTransaction(transaction);
+      if (transaction.meta?.err) {
+        this.stats.failedTransactionsSkipped++;
+        return;
+      }
+      
+      // v0 swaps load most accounts from lookup tables; fetch them if the RPC didn't return them
+      await this.lookupTables.resolve(transaction);
+      
+      // Decode swaps and creations once for trader identification, launch tracking and token info
+      const decoded = this.swapSources.decode(transaction);
+      
+      // The trader owns the token accounts that changed; relayers and bots may only pay the fee
+      const participants = this.extractSignerFromTransaction(transaction, decoded.swaps);
+      const signerWallet = participants?.trader;
       if (!signerWallet) {
         return;
       }
+      if (participants.relayed) {
+        this.stats.relayedSwaps++;
+      }
+      
+      const context = {
+        slot: logData?.context?.slot ?? transaction.slot,
+        blockTime: transaction.blockTime,
+        signature,
+        jitoTip: findJitoTip(transaction)
+      };
+      this.recordLaunches(decoded.creates, context);
+      if (!options.sampled && !this.sampleWallet(signerWallet)) {
+        return;
+      }
       
       // Extract token information
-      const tokenInfo = await this.extractTokenInfo(transaction);
+      const tokenInfo = await this.extractTokenInfo(transaction, decoded, signerWallet);
+      tokenInfo.feePayer = participants.feePayer;
+      tokenInfo.signers = participants.signers;
+      tokenInfo.traderSource = participants.source;
+      await this.applyMintExtensions(transaction, tokenInfo, context.slot);
       console.log(`💎 Token info for ${signerWallet.substring(0, 8)}:`, tokenInfo);
       
+      // Record what the swap changes (snipes, bundled buys, the detection) in case it never finalizes
+      const effects = new DetectionEffects();
+      this.detectSniper(signerWallet, tokenInfo, context, effects);
+      this.detectBundle(signerWallet, tokenInfo, context, effects);
+      
       // Process the wallet with delay
-      await this.processWalletWithDelay(signerWallet, null, signature, tokenInfo);
+      await this.processWalletWithDelay(signerWallet, null, signature, tokenInfo, false, effects);
+      this.finalityChecker?.track(signature, { wallet: signerWallet, effects });
       
     } catch (error) {
       console.error('Error processing swap transaction:', error.message);
@@ -565,16 +1069,11 @@ class FreshWalletDetector {
   }
 
   /**
-   * Extract signer wallet from transaction
+   * Extract the trader, fee payer and signers from a transaction
    */
-  extractSignerFromTransaction(transaction) {
+  extractSignerFromTransaction(transaction, swaps = []) {
     try {
-      // The first account in accountKeys is usually the fee payer (signer)
-      const accountKeys = transaction.transaction.message.accountKeys;
-      if (accountKeys && accountKeys.length > 0) {
-        return accountKeys[0].toBase58();
-      }
-      return null;
+      return identifyTrader(transaction, swaps);
     } catch (error) {
       console.error('Error extracting signer:', error.message);
       return null;
@@ -584,7 +1083,7 @@ class FreshWalletDetector {
   /**
    * Extract basic token information from swap transaction
    */
-  async extractTokenInfo(transaction) {
+  async extractTokenInfo(transaction, decoded = null, trader = null) {
     try {
       if (!transaction || !transaction.meta) {
         return {
@@ -595,14 +1094,14 @@ class FreshWalletDetector {
         };
       }
       
-      // Method 1: Try to extract from instruction logs (most accurate for swaps)
-      const logResult = this.extractFromInstructionLogs(transaction);
-      if (logResult) {
-        return logResult;
+      // Method 1: Decode swap instructions (exact legs and pool addresses)
+      const decodedResult = this.extractFromDecodedSwaps(transaction, decoded);
+      if (decodedResult) {
+        return decodedResult;
       }
       
-      // Method 2: Try balance analysis across ALL accounts (not just matching indices)
-      const balanceResult = this.extractFromAllBalanceChanges(transaction);
+      // Method 2: Balance analysis of the trader (native SOL and WSOL as one leg), then of all accounts
+      const balanceResult = this.extractFromAllBalanceChanges(transaction, trader);
       if (balanceResult) {
         return balanceResult;
       }
@@ -615,7 +1114,7 @@ class FreshWalletDetector {
       
       console.log('⚠️ Could not extract token info');
       return {
-        trade: 'Raydium Swap',
+        trade: 'Swap',
         inputToken: { symbol: 'Unknown', mint: 'Unknown' },
         outputToken: { symbol: 'Unknown', mint: 'Unknown' },
         amounts: 'Swap detected'
@@ -632,55 +1131,157 @@ class FreshWalletDetector {
     }
   }
 
-  extractFromInstructionLogs(transaction) {
+  extractFromDecodedSwaps(transaction, decoded = null) {
     try {
-      if (!transaction.meta.logMessages) return null;
-      
-      // Look for Raydium swap logs
-      const logs = transaction.meta.logMessages;
-      for (const log of logs) {
-        // Look for swap patterns in logs
-        if (log.includes('swap') || log.includes('Swap')) {
-          // Try to extract token information from log message
-          // This is program-specific and might need adjustment
-        }
+      const { swaps: legs, creates } = decoded || this.swapSources.decode(transaction);
+      this.cacheLaunchMetadata(creates);
+      if (legs.length === 0) return null;
+      
+      const tokenInfo = this.buildTokenInfoFromLegs(legs);
+      if (tokenInfo && creates.length > 0) {
+        // Buy bundled with the token/pool creation: the buyer is there at launch
+        tokenInfo.launch = creates.find(c => c.mint === tokenInfo.outputToken.mint) || null;
       }
-      return null;
+      return tokenInfo;
     } catch (error) {
       return null;
     }
   }
 
-  extractFromAllBalanceChanges(transaction) {
-    try {
-      if (!transaction.meta.preTokenBalances || !transaction.meta.postTokenBalances) {
-        return null;
+  /**
+   * Attach Token-2022 extensions to the traded tokens and report transfer-fee adjusted amounts
+   * Balance deltas of fee-bearing mints are net of the fee on the receiving side
+   */
+  async applyMintExtensions(transaction, tokenInfo, slot) {
+    const token2022Mints = MintExtensionCache.getToken2022Mints(transaction);
+    if (token2022Mints.length === 0) {
+      return;
+    }
+    
+    // Fetch both sides together: uncached mints share one getMultipleAccounts call
+    await Promise.all(token2022Mints.map(mint => this.mintExtensions.get(mint)));
+    
+    // Mainnet epochs are 432,000 slots (no warmup)
+    const epoch = slot != null ? Math.floor(slot / 432000) : Number.MAX_SAFE_INTEGER;
+    for (const side of ['inputToken', 'outputToken']) {
+      const token = tokenInfo[side];
+      if (!token?.mint || !token2022Mints.includes(token.mint)) continue;
+      
+      const info = await this.mintExtensions.get(token.mint);
+      if (!info) continue;
+      token.extensions = info.extensions;
+      token.riskyExtensions = info.riskyExtensions;
+      if (info.confidential) {
+        // Confidential balances don't show up in token balances: the amount may be incomplete
+        token.confidential = true;
       }
-      
-      const preBalances = transaction.meta.preTokenBalances;
-      const postBalances = transaction.meta.postTokenBalances;
-      
-      // Collect ALL balance changes across all accounts
-      const changes = [];
-      
-      for (const preBal of preBalances) {
-        const postBal = postBalances.find(p => 
-          p.accountIndex === preBal.accountIndex && p.mint === preBal.mint
-        );
-        
-        if (postBal && preBal.mint) {
-          const preAmount = parseFloat(preBal.uiTokenAmount?.uiAmountString || '0');
-          const postAmount = parseFloat(postBal.uiTokenAmount?.uiAmountString || '0');
-          const change = postAmount - preAmount;
-          
-          if (Math.abs(change) > 0.000001) { // Ignore tiny dust changes
-            changes.push({
-              mint: preBal.mint,
-              change: change,
-              symbol: this.getTokenSymbol(preBal.mint)
-            });
-          }
-        }
+      this.cacheMintExtensions(token.mint, info);
+      
+      if (info.transferFee && typeof token.amount === 'number' && token.amount > 0) {
+        const scale = Math.pow(10, info.decimals);
+        const moved = BigInt(Math.round(token.amount * scale));
+        // The seller's delta is the gross amount; the buyer received the gross minus the fee
+        const gross = side === 'outputToken' ? getPreFeeAmount(info.transferFee, epoch, moved) : moved;
+        const fee = getTransferFee(info.transferFee, epoch, gross);
+        token.amount = Number(gross) / scale;
+        token.transferFee = Number(fee) / scale;
+      }
+    }
+    
+    if (tokenInfo.inputToken?.transferFee !== undefined || tokenInfo.outputToken?.transferFee !== undefined) {
+      const { inputToken: input, outputToken: output } = tokenInfo;
+      tokenInfo.amounts = `${(input.amount ?? 0).toFixed(3)} ${input.symbol} → ${(output.amount ?? 0).toFixed(3)} ${output.symbol}`;
+    }
+  }
+
+  /**
+   * Keep extensions (and Token-2022 metadata of mints metadata APIs don't know) on the token record
+   */
+  cacheMintExtensions(mint, info) {
+    const meta = this.tokenMetaCache.get(mint) || { ts: 0 };
+    meta.extensions = info.extensions;
+    meta.riskyExtensions = info.riskyExtensions;
+    if (!meta.symbol && info.metadata?.symbol) {
+      meta.symbol = info.metadata.symbol;
+      meta.name = info.metadata.name;
+    }
+    this.tokenMetaCache.set(mint, meta);
+  }
+
+  /**
+   * Remember a processed signature (bounded, oldest forgotten first)
+   */
+  rememberSignature(signature) {
+    this.recentSignatures.add(signature);
+    if (this.recentSignatures.size > 5000) {
+      const oldest = this.recentSignatures.values().next().value;
+      this.recentSignatures.delete(oldest);
+    }
+  }
+
+  /**
+   * Cache name/symbol of tokens created in the transaction (metadata APIs lag behind brand new mints)
+   */
+  cacheLaunchMetadata(creates) {
+    for (const create of creates) {
+      if (!create.symbol || this.tokenMetaCache.has(create.mint)) continue;
+      this.tokenMetaCache.set(create.mint, {
+        symbol: create.symbol,
+        name: create.name,
+        ts: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Build token info from decoded swap legs (first leg's input → last leg's output)
+   */
+  buildTokenInfoFromLegs(legs) {
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+    if (!first.inputMint || !last.outputMint) {
+      return null;
+    }
+    
+    const inputSymbol = this.getTokenSymbol(first.inputMint);
+    const outputSymbol = this.getTokenSymbol(last.outputMint);
+    const amountIn = first.amountIn ?? 0;
+    const amountOut = last.amountOut ?? 0;
+    
+    return {
+      trade: `${inputSymbol} → ${outputSymbol}`,
+      inputToken: {
+        mint: first.inputMint,
+        symbol: inputSymbol,
+        amount: amountIn
+      },
+      outputToken: {
+        mint: last.outputMint,
+        symbol: outputSymbol,
+        amount: amountOut
+      },
+      amounts: `${amountIn.toFixed(3)} ${inputSymbol} → ${amountOut.toFixed(3)} ${outputSymbol}`,
+      dex: first.dex,
+      pool: first.pool,
+      direction: getSwapDirection(first.inputMint, last.outputMint),
+      swaps: legs
+    };
+  }
+
+  extractFromAllBalanceChanges(transaction, trader = null) {
+    try {
+      // The trader's own changes, with native SOL and WSOL wrap/unwrap collapsed into one SOL leg
+      let changes = Array.from(getOwnerBalanceChanges(transaction, trader || getFeePayer(transaction)).entries())
+        .map(([mint, { change, decimals }]) => ({
+          mint,
+          change: toUiAmount(change, decimals),
+          symbol: this.getTokenSymbol(mint)
+        }))
+        .filter(c => Math.abs(c.change) > 0.000001);
+      
+      const hasBothSides = changes.some(c => c.change < 0) && changes.some(c => c.change > 0);
+      if (!hasBothSides) {
+        changes = this.collectTokenBalanceChanges(transaction);
       }
       
       // Find the largest positive and negative changes
@@ -701,7 +1302,8 @@ class FreshWalletDetector {
             symbol: positiveChange.symbol,
             amount: positiveChange.change
           },
-          amounts: `${Math.abs(negativeChange.change).toFixed(3)} ${negativeChange.symbol} → ${positiveChange.change.toFixed(3)} ${positiveChange.symbol}`
+          amounts: `${Math.abs(negativeChange.change).toFixed(3)} ${negativeChange.symbol} → ${positiveChange.change.toFixed(3)} ${positiveChange.symbol}`,
+          direction: getSwapDirection(negativeChange.mint, positiveChange.mint)
         };
       }
       
@@ -711,6 +1313,36 @@ class FreshWalletDetector {
     }
   }
 
+  /**
+   * Collect token balance changes across all accounts (used when the trader's own changes are one-sided)
+   */
+  collectTokenBalanceChanges(transaction) {
+    const preBalances = transaction.meta.preTokenBalances || [];
+    const postBalances = transaction.meta.postTokenBalances || [];
+    const changes = [];
+    
+    for (const preBal of preBalances) {
+      const postBal = postBalances.find(p => 
+        p.accountIndex === preBal.accountIndex && p.mint === preBal.mint
+      );
+      
+      if (postBal && preBal.mint) {
+        // Raw amounts: UI amounts of interest-bearing and scaled Token-2022 mints include accrued interest
+        const rawChange = BigInt(postBal.uiTokenAmount?.amount || '0') - BigInt(preBal.uiTokenAmount?.amount || '0');
+        const change = toUiAmount(rawChange, preBal.uiTokenAmount?.decimals);
+        
+        if (Math.abs(change) > 0.000001) { // Ignore tiny dust changes
+          changes.push({
+            mint: preBal.mint,
+            change: change,
+            symbol: this.getTokenSymbol(preBal.mint)
+          });
+        }
+      }
+    }
+    return changes;
+  }
+
   extractFromUniqueTokens(transaction) {
     try {
       if (!transaction.meta.preTokenBalances || !transaction.meta.postTokenBalances) {
@@ -796,8 +1428,9 @@ class FreshWalletDetector {
 
   /**
    * Process wallet with rate limiting delay
+   * In-memory updates are recorded on effects so a retracted detection can be undone
    */
-  async processWalletWithDelay(signerWallet, accountInfo = null, swapSignature = null, tokenInfo = null) {
+  async processWalletWithDelay(signerWallet, accountInfo = null, swapSignature = null, tokenInfo = null, isRetry = false, effects = new DetectionEffects()) {
     try {
       // Skip if already processed
       if (this.processedWallets.has(signerWallet)) {
@@ -808,21 +1441,46 @@ class FreshWalletDetector {
       this.processedWallets.add(signerWallet);
       this.checkCount++;
       
-      console.log(`🔍 Analyzing wallet: ${signerWallet.substring(0, 8)}...`);
+      console.log(`🔍 ${isRetry ? 'Re-checking' : 'Analyzing'} wallet: ${signerWallet.substring(0, 8)}...`);
       
       // Check if this is a fresh wallet
-      const result = await this.checkIfFreshWallet(signerWallet);
+      const result = await this.checkIfFreshWallet(signerWallet, tokenInfo);
       
-      // Check SOL balance for whale detection
-      const solBalance = await this.getSOLBalance(signerWallet);
-      const isWhale = solBalance >= this.whaleTracker.whaleThreshold;
+      if (!isRetry) {
+        effects.increment(this.stats, 'totalWalletsDetected');
+      }
+      
+      // Snipers and bundle buyers get their freshness once the wallet is checked
+      this.updateSniperVerdicts(signerWallet, result.verdict);
+      this.updateBundleVerdicts(signerWallet, result.verdict);
+      
+      // No verdict: queue a re-check instead of reporting the wallet as not fresh
+      const outcome = this.retryQueue.recordVerdict(signerWallet, result.verdict, { swapSignature, tokenInfo, effects });
+      this.updateVerdictStats();
+      if (result.verdict === VERDICT.UNKNOWN) {
+        await this.handleUnknownVerdict(signerWallet, result, tokenInfo, swapSignature, outcome);
+        await this.sleep(this.processingDelay);
+        return;
+      }
+      
+      if (outcome.action === 'resolved') {
+        console.log(`🔁 Verdict resolved for ${signerWallet.substring(0, 8)}...: ${result.verdict}`);
+      }
+      
+      // Whale detection reuses the balance of the account info fetched by the check
+      const solBalance = result.solBalance ?? await this.getSOLBalance(signerWallet);
+      this.stats.rpcRequestsSaved = this.rpcBatcher.requestsSaved;
+      const isWhale = this.rules.isWhale({
+        ...FreshnessRuleEngine.buildFacts(result, tokenInfo),
+        solBalance
+      });
       
-      // Track whale if balance is 100+ SOL
+      // Track whale if the wallet matches the whale profile
       if (isWhale) {
-        this.trackWhale(signerWallet, solBalance, tokenInfo, result.success);
-        this.stats.whalesFound++;
+        effects.tracked(this.whaleTracker, this.trackWhale(signerWallet, solBalance, tokenInfo, result.success));
+        effects.increment(this.stats, 'whalesFound');
         if (result.success) {
-          this.stats.freshWhalesFound++;
+          effects.increment(this.stats, 'freshWhalesFound');
         }
         console.log(`🐋 WHALE DETECTED: ${signerWallet.substring(0, 8)}... - ${solBalance.toFixed(2)} SOL ${result.success ? '(FRESH)' : ''}`);
       }
@@ -850,7 +1508,7 @@ class FreshWalletDetector {
       }
       
       if (hasValidTokenInfo) {
-        this.trackTokens(tokenInfo, result.success);
+        effects.tracked(this.tokenTracker, this.trackTokens(tokenInfo, result.success));
         console.log(`✅ Token tracked for ${signerWallet.substring(0, 8)}: ${tokenInfo.inputToken.symbol} → ${tokenInfo.outputToken.symbol}`);
       } else if (result.success) {
         // For fresh wallets without valid token info, create a default entry
@@ -860,22 +1518,30 @@ class FreshWalletDetector {
           outputToken: { symbol: 'SPL', mint: 'SPL-Token' },
           amounts: 'Fresh wallet detected'
         };
-        this.trackTokens(defaultTokenInfo, true);
+        effects.tracked(this.tokenTracker, this.trackTokens(defaultTokenInfo, true));
       } else if (tokenInfo) {
         // Track failed wallets even with unknown tokens
-        this.trackTokens(tokenInfo, false);
+        effects.tracked(this.tokenTracker, this.trackTokens(tokenInfo, false));
       }
       
       // Update statistics
-      this.stats.totalWalletsDetected++;
+      this.recordDexDetection(tokenInfo, result.success, effects);
       if (result.success) {
-        this.stats.freshWalletsFound++;
+        effects.increment(this.stats, 'freshWalletsFound');
         this.stats.lastDetectionTime = new Date().toISOString();
         console.log(`✅ FRESH WALLET FOUND: ${signerWallet.substring(0, 8)}... - ${result.reason}`);
       }
       
+      // Group fresh wallets that share a funder into insider clusters
+      if (result.success && result.funding) {
+        await this.updateInsiderClusters(signerWallet, result.funding, tokenInfo, effects);
+      }
+      
       // Save to database
       await this.saveWalletToDatabase(signerWallet, result, tokenInfo, swapSignature);
+      if (result.funding) {
+        await this.saveFundingToDatabase(signerWallet, result.funding);
+      }
       
       // Emit to web dashboard
       this.emitToWebDashboard(result, tokenInfo);
@@ -890,20 +1556,249 @@ class FreshWalletDetector {
   }
 
   /**
-   * Check if wallet is fresh (new user wallet)
+   * Mirror the retry queue's verdict counters into the dashboard stats
+   */
+  updateVerdictStats() {
+    const { unknown, notFresh, retriesResolved, gaveUp } = this.retryQueue.stats;
+    this.stats.unknownVerdicts = unknown;
+    this.stats.notFreshVerdicts = notFresh;
+    this.stats.retriesResolved = retriesResolved;
+    this.stats.retriesGivenUp = gaveUp;
+    this.stats.retryQueueSize = this.retryQueue.size;
+  }
+
+  /**
+   * Report an unknown verdict the retry queue has scheduled (or given up on)
+   */
+  async handleUnknownVerdict(walletAddress, result, tokenInfo, swapSignature, outcome) {
+    // Allow the wallet to be checked again (by the retry queue or a new swap)
+    this.processedWallets.delete(walletAddress);
+    
+    if (outcome.action === 'gave_up') {
+      console.log(`❔ Giving up on ${walletAddress.substring(0, 8)}... after ${outcome.attempts} retries - verdict stays unknown`);
+    } else {
+      console.log(`❔ Unknown verdict for ${walletAddress.substring(0, 8)}... - retry ${outcome.attempts}/${this.retryQueue.config.maxAttempts} queued`);
+    }
+    
+    // Only report the first unknown verdict; retries update the dashboard once resolved
+    if (outcome.firstUnknown) {
+      await this.saveWalletToDatabase(walletAddress, result, tokenInfo, swapSignature);
+      this.emitToWebDashboard(result, tokenInfo);
+    }
+  }
+
+  /**
+   * Re-check queued unknown wallets when the per-minute budget allows
    */
-  async checkIfFreshWallet(walletAddress) {
+  async processRetryQueue() {
+    if (this.isProcessingRetries || this.retryQueue.size === 0) {
+      return;
+    }
+    
+    this.isProcessingRetries = true;
     try {
-      // Get account info
-      const accountInfo = await this.rpcConnection.getAccountInfo(new PublicKey(walletAddress));
-      
-      if (!accountInfo) {
-              return {
-        success: false,
-        reason: 'Account not found',
-        address: walletAddress,
-        timestamp: new Date().toISOString()
-      };
+      for (const [walletAddress, entry] of this.retryQueue.getDue()) {
+        // Leave budget for live swaps: retries only use checks that are still free
+        if (!this.canProcessMore()) break;
+        
+        this.retryQueue.markInProgress(walletAddress);
+        await this.processWalletWithDelay(walletAddress, null, entry.swapSignature, entry.tokenInfo, true, entry.effects || undefined);
+      }
+    } finally {
+      this.isProcessingRetries = false;
+    }
+  }
+
+  /**
+   * Add a fresh wallet to the insider clusters and emit clusterDetected when a cluster forms,
+   * grows or its wallets buy the same mint within the coordination window
+   */
+  async updateInsiderClusters(walletAddress, funding, tokenInfo, effects = new DetectionEffects()) {
+    try {
+      // Trace further up the funding chain when multi-hop clustering is enabled
+      let current = funding.funder;
+      this.clusterTracker.addFundingEdge(walletAddress, current);
+      for (let hop = 1; hop < this.clusterConfig.maxHops; hop++) {
+        if (this.clusterConfig.ignoredFunders.includes(current)) break;
+        let parent = this.clusterTracker.getFunder(current);
+        if (!parent) {
+          const parentFunding = await this.fundingTracer.traceFundingSource(current);
+          if (!parentFunding?.funder) break; // never link a parent guessed from partial history
+          parent = parentFunding.funder;
+          this.clusterTracker.addFundingEdge(current, parent);
+        }
+        current = parent;
+      }
+      
+      const clusterTracker = this.clusterTracker;
+      const added = clusterTracker.addFreshWallet(walletAddress, funding);
+      effects.onRevert(() => clusterTracker.removeFreshWallet(walletAddress));
+      if (added) {
+        if (added.isNew) {
+          effects.increment(this.stats, 'clustersDetected');
+        }
+        console.log(`🕸️ INSIDER CLUSTER: ${added.cluster.size} fresh wallets funded by ${added.cluster.rootFunder.substring(0, 8)}...`);
+        this.emitClusterDetected(added.cluster, added.isNew ? 'new_cluster' : 'cluster_grew');
+      }
+      
+      const coordinated = this.clusterTracker.recordBuy(walletAddress, tokenInfo);
+      if (coordinated) {
+        console.log(`🚨 COORDINATED BUY: ${coordinated.coordinatedBuy.buyers.length} clustered fresh wallets bought ${coordinated.coordinatedBuy.symbol || coordinated.coordinatedBuy.mint}`);
+        this.emitClusterDetected(coordinated.cluster, 'coordinated_buy', coordinated.coordinatedBuy);
+      }
+    } catch (error) {
+      console.error('Error updating insider clusters:', error.message);
+      this.stats.rpcErrors++;
+    }
+  }
+
+  /**
+   * Record token and pool creations as launches
+   */
+  recordLaunches(creates, context) {
+    for (const create of creates) {
+      const recorded = this.launchTracker.recordLaunch(create, context);
+      if (!recorded?.isNew) continue;
+      
+      this.stats.launchesDetected++;
+      console.log(`🚀 LAUNCH: ${recorded.launch.symbol || recorded.launch.mint.substring(0, 8)} on ${recorded.launch.dex} (slot ${recorded.launch.slot})`);
+      this.saveLaunchToDatabase(recorded.launch).catch(error => {
+        console.error('Error saving launch:', error.message);
+      });
+      
+      if (this.io) {
+        this.io.emit('launchDetected', recorded.launch);
+      }
+    }
+  }
+
+  /**
+   * Flag a buyer landing within the sniper window of a launch
+   */
+  detectSniper(walletAddress, tokenInfo, context, effects) {
+    const sniped = this.launchTracker.recordBuy(walletAddress, tokenInfo, context);
+    if (!sniped) return;
+    
+    effects.increment(this.stats, 'snipersDetected');
+    effects.onRevert(() => {
+      const launch = this.launchTracker.removeSniper(sniped.launch.mint, walletAddress);
+      if (launch && this.io) {
+        this.io.emit('launchUpdated', launch);
+      }
+    });
+    const delay = sniped.sniper.slotsAfterLaunch !== null
+      ? `${sniped.sniper.slotsAfterLaunch} slots`
+      : `${sniped.sniper.secondsAfterLaunch}s`;
+    console.log(`🎯 SNIPER: ${walletAddress.substring(0, 8)}... bought ${sniped.launch.symbol || sniped.launch.mint.substring(0, 8)} ${delay} after launch`);
+    this.saveSniperToDatabase(sniped.launch.mint, sniped.sniper).catch(error => {
+      console.error('Error saving sniper:', error.message);
+    });
+    
+    if (this.io) {
+      this.io.emit('sniperDetected', sniped);
+    }
+  }
+
+  /**
+   * Apply a wallet's verdict to the launches it sniped
+   */
+  updateSniperVerdicts(walletAddress, verdict) {
+    const launches = this.launchTracker.setWalletVerdict(walletAddress, verdict);
+    if (launches.length === 0) return;
+    
+    this.database.run('UPDATE launch_snipers SET verdict = ? WHERE wallet_address = ?', [verdict, walletAddress], (err) => {
+      if (err) console.error('Error updating sniper verdict:', err.message);
+    });
+    
+    if (this.io) {
+      for (const launch of launches) {
+        this.io.emit('launchUpdated', launch);
+      }
+    }
+  }
+
+  /**
+   * Group same-slot buys of a mint and alert on bundled launches
+   * effects: the buy leaves its group again if the transaction never finalizes (none for log hints)
+   */
+  detectBundle(walletAddress, tokenInfo, context, effects = null) {
+    const bundled = this.bundleDetector.recordBuy(walletAddress, tokenInfo, context);
+    effects?.onRevert(() => this.retractBundleBuy(walletAddress, tokenInfo, context));
+    if (!bundled) return;
+    
+    if (bundled.isNew) {
+      this.stats.bundlesDetected++;
+    }
+    const { bundle } = bundled;
+    console.log(`📦 BUNDLED BUYS: ${bundle.size} wallets bought ${bundle.symbol || bundle.mint.substring(0, 8)} in slot ${bundle.slot} (${bundle.jitoTipped} Jito-tipped)`);
+    this.emitBundleDetected(bundle, bundled.isNew ? 'new_bundle' : 'bundle_grew');
+  }
+
+  /**
+   * Take a buy out of its same-slot group; a bundle falling below the minimum is no longer counted
+   * (whichever buy completed it, possibly one grouped from its log hints)
+   */
+  retractBundleBuy(walletAddress, tokenInfo, context) {
+    const removed = this.bundleDetector.removeBuy(walletAddress, tokenInfo?.outputToken?.mint, context);
+    if (!removed) return;
+    
+    if (removed.dissolved) {
+      this.stats.bundlesDetected--;
+    }
+    this.emitBundleDetected(removed.bundle, 'buyer_retracted');
+  }
+
+  /**
+   * Apply a wallet's verdict to the bundles it bought in
+   */
+  updateBundleVerdicts(walletAddress, verdict) {
+    for (const bundle of this.bundleDetector.setWalletVerdict(walletAddress, verdict)) {
+      this.emitBundleDetected(bundle, 'verdict_update');
+    }
+  }
+
+  /**
+   * Emit bundled buys to web dashboard
+   */
+  emitBundleDetected(bundle, reason) {
+    if (!this.io) return;
+    
+    this.io.emit('bundleDetected', {
+      ...bundle,
+      reason
+    });
+  }
+
+  /**
+   * Emit insider cluster to web dashboard
+   */
+  emitClusterDetected(cluster, reason, coordinatedBuy = null) {
+    if (!this.io) return;
+    
+    this.io.emit('clusterDetected', {
+      ...cluster,
+      reason,
+      coordinatedBuy
+    });
+  }
+
+  /**
+   * Check if wallet is fresh (new user wallet)
+   */
+  async checkIfFreshWallet(walletAddress, tokenInfo = null) {
+    try {
+      // Get account info (batched; its lamports also serve the whale check)
+      const accountInfo = await this.rpcBatcher.getAccountInfo(walletAddress);
+      
+      if (!accountInfo) {
+        return {
+          success: false,
+          verdict: VERDICT.NOT_FRESH,
+          reason: 'Account not found',
+          address: walletAddress,
+          solBalance: 0,
+          timestamp: new Date().toISOString()
+        };
       }
       
       // Check if it's an actual user wallet (not a program/token account)
@@ -911,26 +1806,61 @@ class FreshWalletDetector {
         this.stats.nonUserAccountsSkipped++;
         return {
           success: false,
+          verdict: VERDICT.NOT_FRESH,
           reason: 'Not a user wallet',
           address: walletAddress,
+          solBalance: accountInfo.lamports / 1e9,
           timestamp: new Date().toISOString()
         };
       }
       
       // Get wallet age and transaction count
       const ageCheck = await this.checkWalletAge(walletAddress);
-      const txCount = await this.getTransactionCount(walletAddress);
+      const txCount = ageCheck.hours === null ? null : await this.getTransactionCount(walletAddress);
+      
+      if (ageCheck.hours === null || txCount === null) {
+        return {
+          success: false,
+          verdict: VERDICT.UNKNOWN,
+          reason: `Unknown: ${ageCheck.error || 'could not fetch wallet history'}`,
+          address: walletAddress,
+          ageHours: ageCheck.hours,
+          transactionCount: txCount,
+          solBalance: accountInfo.lamports / 1e9,
+          timestamp: new Date().toISOString()
+        };
+      }
+      
+      const baseResult = {
+        ageHours: ageCheck.hours,
+        transactionCount: txCount,
+        solBalance: accountInfo.lamports / 1e9
+      };
       
-      // Fresh wallet criteria: 0-24 hours old, ≤50 transactions
-      const isFresh = ageCheck.hours <= 24 && txCount <= 50;
+      // Trace who funded the wallet (only worth the RPC calls while it can still be fresh)
+      const canBeFresh = this.rules.isFresh(
+        FreshnessRuleEngine.buildFacts(baseResult, tokenInfo),
+        { ignoreMissing: true }
+      );
+      const funding = canBeFresh ? await this.traceFundingSource(walletAddress) : null;
+      
+      // Classify against every profile of the rule set
+      const evaluation = this.rules.classify({ ...baseResult, funding }, tokenInfo);
+      const isFresh = evaluation.isFresh;
+      const classification = this.rules.profiles[this.rules.classification];
       
       return {
         success: isFresh,
-        reason: isFresh ? 'Fresh wallet detected!' : 'Not fresh (too old or too many transactions)',
+        verdict: isFresh ? VERDICT.FRESH : VERDICT.NOT_FRESH,
+        reason: isFresh ? 'Fresh wallet detected!' : `Not fresh (does not match the "${classification.label}" profile)`,
+        profiles: evaluation.profiles,
+        indeterminateProfiles: evaluation.indeterminate,
         address: walletAddress,  // Frontend expects 'address', not 'walletAddress'
         ageHours: ageCheck.hours,
         transactionCount: txCount,
+        historyComplete: ageCheck.complete,
         solBalance: accountInfo.lamports / 1e9,
+        funding,
         timestamp: new Date().toISOString()
       };
       
@@ -938,13 +1868,21 @@ class FreshWalletDetector {
       console.error(`Error checking wallet freshness:`, error.message);
       return {
         success: false,
-        reason: `Error: ${error.message}`,
+        verdict: VERDICT.UNKNOWN,
+        reason: `Unknown: ${error.message}`,
         address: walletAddress,
         timestamp: new Date().toISOString()
       };
     }
   }
 
+  /**
+   * Minimum SOL balance of the whale profile
+   */
+  getWhaleThreshold() {
+    return this.rules.getThreshold(this.rules.whaleProfile, 'solBalance', 'min') ?? null;
+  }
+
   /**
    * Check if account is an actual user wallet
    */
@@ -979,32 +1917,31 @@ class FreshWalletDetector {
    */
   async checkWalletAge(walletAddress) {
     try {
-      const signatures = await this.rpcConnection.getSignaturesForAddress(
-        new PublicKey(walletAddress),
-        { limit: 1000 }
-      );
+      const history = await this.signatureHistory.getHistory(walletAddress);
       
-      if (signatures.length === 0) {
-        return { hours: 0 };
+      if (!history.oldest) {
+        return { hours: 0, complete: true };
       }
       
-      // Get the oldest transaction (last in the array)
-      const oldestSignature = signatures[signatures.length - 1];
-      const oldestTx = await this.rpcConnection.getTransaction(oldestSignature.signature, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0
-      });
+      // Signatures carry their block time; only fetch the transaction when it is missing
+      let blockTime = history.oldest.blockTime;
+      if (!blockTime) {
+        const oldestTx = await this.rpcBatcher.getTransaction(history.oldest.signature);
+        blockTime = oldestTx?.blockTime;
+      }
       
-      if (oldestTx && oldestTx.blockTime) {
-        const ageMs = Date.now() - (oldestTx.blockTime * 1000);
+      if (blockTime) {
+        const ageMs = Date.now() - (blockTime * 1000);
         const ageHours = ageMs / (1000 * 60 * 60);
-        return { hours: ageHours };
+        // When paging stopped early this is the age of the oldest signature seen (a lower bound)
+        return { hours: ageHours, complete: history.complete };
       }
       
-      return { hours: 0 };
+      return { hours: 0, complete: history.complete };
     } catch (error) {
       console.error('Error checking wallet age:', error.message);
-      return { hours: 999 }; // Assume old if we can't determine
+      this.stats.rpcErrors++;
+      return { hours: null, error: error.message }; // Unknown - don't assume old
     }
   }
 
@@ -1013,15 +1950,41 @@ class FreshWalletDetector {
    */
   async getTransactionCount(walletAddress) {
     try {
-      const signatures = await this.rpcConnection.getSignaturesForAddress(
-        new PublicKey(walletAddress),
-        { limit: 1000 }
-      );
+      // Shares the paged fetch made by checkWalletAge
+      const history = await this.signatureHistory.getHistory(walletAddress);
       
-      return signatures.length;
+      return history.signatures.length;
     } catch (error) {
       console.error('Error getting transaction count:', error.message);
-      return 999; // Assume high count if we can't determine
+      this.stats.rpcErrors++;
+      return null; // Unknown - don't assume a high count
+    }
+  }
+
+  /**
+   * Find the first inbound SOL transfer of a wallet (best-effort)
+   */
+  async traceFundingSource(walletAddress) {
+    try {
+      const history = await this.signatureHistory.getHistory(walletAddress);
+      const funding = await this.fundingTracer.traceFundingSource(
+        walletAddress,
+        history.complete ? history.signatures : null
+      );
+      if (funding?.unknown) {
+        // Leave the funding facts undetermined instead of guessing a recent sender
+        console.log(`❔ Funding source for ${walletAddress.substring(0, 8)}... unknown (${funding.reason})`);
+        this.stats.fundingUnknown++;
+        return undefined;
+      }
+      if (funding) {
+        console.log(`💸 Funding source for ${walletAddress.substring(0, 8)}...: ${funding.funder.substring(0, 8)}... (${funding.amountSol.toFixed(3)} SOL)`);
+      }
+      return funding;
+    } catch (error) {
+      console.error('Error tracing funding source:', error.message);
+      this.stats.rpcErrors++;
+      return undefined; // undetermined rather than unfunded
     }
   }
 
@@ -1030,20 +1993,8 @@ class FreshWalletDetector {
    */
   async getSOLBalance(walletAddress) {
     try {
-      let balance;
-      try {
-        balance = await this.rpcConnection.getBalance(new PublicKey(walletAddress));
-      } catch (e) {
-        // rotate to next RPC endpoint on failure
-        if (this.rpcEndpoints.length > 1) {
-          this.rpcIndex = (this.rpcIndex + 1) % this.rpcEndpoints.length;
-          this.rpcUrl = this.rpcEndpoints[this.rpcIndex];
-          this.rpcConnection = new Connection(this.rpcUrl, 'confirmed');
-          balance = await this.rpcConnection.getBalance(new PublicKey(walletAddress));
-        } else {
-          throw e;
-        }
-      }
+      // The pool fails over to the next endpoint on errors
+      const balance = await this.rpcPool.getBalance(new PublicKey(walletAddress));
       const solBalance = balance / 1e9; // Convert lamports to SOL
       return solBalance;
     } catch (error) {
@@ -1092,6 +2043,7 @@ class FreshWalletDetector {
     
     // Emit whale analytics
     this.emitWhaleAnalytics();
+    return whaleEntry;
   }
 
   /**
@@ -1122,6 +2074,19 @@ class FreshWalletDetector {
     this.io.emit('whaleAnalytics', whaleAnalytics);
   }
 
+  /**
+   * Count detections per DEX so venues can be compared
+   */
+  recordDexDetection(tokenInfo, isFresh, effects = new DetectionEffects()) {
+    const dex = tokenInfo?.dex || 'unknown';
+    const entry = this.stats.dexBreakdown[dex] || { detected: 0, fresh: 0 };
+    effects.increment(entry, 'detected');
+    if (isFresh) {
+      effects.increment(entry, 'fresh');
+    }
+    this.stats.dexBreakdown[dex] = entry;
+  }
+
   /**
    * Track tokens for analytics
    */
@@ -1133,13 +2098,16 @@ class FreshWalletDetector {
     const timestamp = Date.now();
     const tokenEntry = {
       timestamp,
+      dex: tokenInfo.dex || null,
       inputToken: {
         symbol: tokenInfo.inputToken.symbol,
-        mint: tokenInfo.inputToken.mint
+        mint: tokenInfo.inputToken.mint,
+        riskyExtensions: tokenInfo.inputToken.riskyExtensions || []
       },
       outputToken: {
         symbol: tokenInfo.outputToken.symbol,
-        mint: tokenInfo.outputToken.mint
+        mint: tokenInfo.outputToken.mint,
+        riskyExtensions: tokenInfo.outputToken.riskyExtensions || []
       }
     };
     
@@ -1161,6 +2129,7 @@ class FreshWalletDetector {
     
     // Emit updated analytics
     this.emitTokenAnalytics();
+    return tokenEntry;
   }
 
   /**
@@ -1179,7 +2148,8 @@ class FreshWalletDetector {
         tokenCounts[inputKey] = {
           count: 0,
           symbol: entry.inputToken.symbol,
-          mint: entry.inputToken.mint
+          mint: entry.inputToken.mint,
+          riskyExtensions: entry.inputToken.riskyExtensions || []
         };
       }
       tokenCounts[inputKey].count += 1;
@@ -1190,7 +2160,8 @@ class FreshWalletDetector {
         tokenCounts[outputKey] = {
           count: 0,
           symbol: entry.outputToken.symbol,
-          mint: entry.outputToken.mint
+          mint: entry.outputToken.mint,
+          riskyExtensions: entry.outputToken.riskyExtensions || []
         };
       }
       tokenCounts[outputKey].count += 1;
@@ -1210,7 +2181,9 @@ class FreshWalletDetector {
           mint: token.mint
         },
         count: token.count,
-        trade: `${token.symbol} Trading`
+        trade: `${token.symbol} Trading`,
+        // Token-2022 extensions letting the issuer move or block holders' tokens
+        riskyExtensions: token.riskyExtensions
       }));
   }
 
@@ -1305,6 +2278,7 @@ class FreshWalletDetector {
     
     // Clear in-memory tracking data
     this.processedWallets.clear();
+    this.recentSignatures.clear();
     this.tokenTracker = {
       all: [],
       success: [],
@@ -1313,15 +2287,44 @@ class FreshWalletDetector {
     this.whaleTracker = {
       all: [],
       fresh: [],
-      whaleThreshold: 100
+      whaleThreshold: this.getWhaleThreshold()
     };
+    this.clusterTracker = new InsiderClusterTracker(this.clusterConfig);
+    this.launchTracker = new LaunchTracker(this.launchConfig);
+    this.bundleDetector = new BundleDetector(this.bundleConfig);
+    this.rpcBatcher?.clear();
     
     // Reset statistics to zero
     this.stats = {
       totalWalletsDetected: 0,
       freshWalletsFound: 0,
+      unknownVerdicts: 0,
+      notFreshVerdicts: 0, // decided not fresh (unknown verdicts are counted apart)
+      retriesResolved: 0,
+      retriesGivenUp: 0,
+      retryQueueSize: 0,
       whalesFound: 0,
       freshWhalesFound: 0,
+      clustersDetected: 0,
+      launchesDetected: 0,
+      snipersDetected: 0,
+      bundlesDetected: 0,
+      relayedSwaps: 0, // trader differs from the fee payer
+      failedTransactionsSkipped: 0,
+      detectionsRetracted: 0,
+      candidatesQueued: 0,
+      candidatesDropped: 0, // evicted by better candidates or expired
+      candidateQueueSize: 0,
+      rpcRequestsSaved: 0, // by batching and reusing account lookups
+      rpcThroughput: 0, // successful RPC requests in the last minute
+      rpcRate: 0, // current allowance in requests per second, summed over endpoints
+      rpcRateLimited: 0, // 429 responses
+      fundingUnknown: 0, // funders left undetermined because the history was too long to page
+      creditsToday: 0,
+      creditThrottle: 1, // share of MAX_CHECKS_PER_MINUTE allowed by the credit budgets
+      walletsSampledOut: 0,
+      samplingReasons: {}, // sampling decision reason -> count
+      dexBreakdown: {}, // dex -> { detected, fresh }
       duplicatesSkipped: 0,
       nonUserAccountsSkipped: 0,
       rpcErrors: 0,
@@ -1329,12 +2332,202 @@ class FreshWalletDetector {
       uptime: this.sessionStartTime
     };
     
+    this.retryQueue.clear();
+    this.finalityChecker?.clear();
+    this.candidateQueue.clear();
     this.checkCount = 0;
     this.lastResetTime = Date.now();
     
     console.log('✅ All cached data cleared - starting fresh session');
   }
 
+  /**
+   * Periodically process the unknown-verdict retry queue
+   */
+  startRetryInterval() {
+    if (this.retryInterval) return;
+    
+    this.retryInterval = setInterval(() => {
+      this.processRetryQueue().catch((error) => {
+        console.error('Error processing retry queue:', error.message);
+      });
+    }, 15000);
+  }
+
+  /**
+   * Save credit usage every minute and push it to the dashboard
+   */
+  startUsageInterval() {
+    if (this.usageInterval) return;
+    
+    this.usageInterval = setInterval(() => {
+      this.saveCreditUsage().catch((error) => {
+        console.error('Error saving credit usage:', error.message);
+      });
+      
+      const usage = this.creditBudget.getUsage();
+      if (usage.throttle < 1 && this.stats.creditThrottle === 1) {
+        console.log(`💳 Credit budget ${Math.round(usage.budgets.throttleAt * 100)}% used: slowing wallet checks down`);
+      }
+      this.stats.creditsToday = usage.today.credits;
+      this.stats.creditThrottle = usage.throttle;
+      this.io?.emit('usage', usage);
+    }, 60000);
+  }
+
+  /**
+   * Load this month's credit usage saved by previous runs
+   */
+  async loadCreditUsage() {
+    const since = `${dayKey().slice(0, 7)}-01`;
+    return new Promise((resolve) => {
+      this.database.all(
+        'SELECT day, api_key AS key, method, calls, credits FROM rpc_usage WHERE day >= ?',
+        [since],
+        (err, rows) => {
+          if (err) {
+            console.error('Error loading credit usage:', err.message);
+          } else {
+            this.creditBudget.restore(rows);
+          }
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Add the usage recorded since the last save to the rpc_usage table
+   */
+  async saveCreditUsage() {
+    const rows = this.creditBudget.takeUnsaved();
+    for (const row of rows) {
+      await new Promise((resolve, reject) => {
+        this.database.run(`
+          INSERT INTO rpc_usage (day, api_key, method, calls, credits) VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT(day, api_key, method) DO UPDATE SET
+            calls = calls + excluded.calls,
+            credits = credits + excluded.credits
+        `, [row.day, row.key, row.method, row.calls, row.credits], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Pick queued candidates at the pace of the per-minute budget, so later and better ones can compete
+   */
+  startCandidateInterval() {
+    if (this.candidateInterval) return;
+    
+    const slotMs = Math.max(250, Math.floor(60000 / this.maxChecksPerMinute));
+    this.candidateInterval = setInterval(() => {
+      this.drainCandidateQueue().catch((error) => {
+        console.error('Error processing candidate queue:', error.message);
+      });
+    }, slotMs);
+  }
+
+  /**
+   * Process the best candidates until one of them uses a wallet check
+   */
+  async drainCandidateQueue() {
+    if (this.isDrainingCandidates) {
+      return;
+    }
+    
+    this.isDrainingCandidates = true;
+    try {
+      // Duplicates and failed transactions cost no check: keep going until one does,
+      // but never fetch more than a few transactions per slot
+      for (let fetched = 0; fetched < 5 && this.candidateQueue.size > 0 && this.canProcessMore(); fetched++) {
+        const candidate = this.candidateQueue.pop();
+        if (!candidate) break;
+        
+        const checksBefore = this.checkCount;
+        await this.processSwapTransaction(candidate.logData, { sampled: candidate.sampled });
+        if (this.checkCount !== checksBefore) break;
+      }
+      this.stats.candidateQueueSize = this.candidateQueue.size;
+    } finally {
+      this.isDrainingCandidates = false;
+    }
+  }
+
+  /**
+   * Periodically re-check detections at finalized commitment (FINALITY_RECHECK=true)
+   */
+  startFinalityInterval() {
+    if (!this.finalityChecker || this.finalityInterval) return;
+    
+    this.finalityInterval = setInterval(async () => {
+      try {
+        const retractions = await this.finalityChecker.check();
+        for (const retraction of retractions) {
+          await this.retractDetection(retraction);
+        }
+      } catch (error) {
+        console.error('Error checking finality:', error.message);
+      }
+    }, 15000);
+  }
+
+  /**
+   * Undo a detection whose transaction failed or was dropped before finalizing
+   */
+  async retractDetection({ signature, data, reason }) {
+    const walletAddress = data.wallet;
+    const deleteRows = (query, params) => new Promise((resolve) => {
+      this.database.run(query, params, function(err) {
+        resolve(err ? 0 : this.changes);
+      });
+    });
+    
+    // Snipes and bundled buys of the transaction never happened, whatever the wallet's detection
+    await deleteRows('DELETE FROM launch_snipers WHERE wallet_address = ? AND signature = ?', [walletAddress, signature]);
+    const removed = await deleteRows(
+      'DELETE FROM fresh_wallets WHERE wallet_address = ? AND swap_signature = ?',
+      [walletAddress, signature]
+    );
+    // Unknown verdicts are only saved once their re-checks give up
+    const pendingRetry = this.retryQueue.entries.get(walletAddress)?.swapSignature === signature;
+    // The wallet was detected through another swap: that detection still stands, and this swap
+    // only recorded its snipes and bundled buys
+    if (removed === 0 && !pendingRetry) {
+      data.effects?.revert();
+      return;
+    }
+    await deleteRows('DELETE FROM wallet_funding WHERE wallet_address = ?', [walletAddress]);
+    
+    // Undo the counters, tracker entries, snipes, bundled buys and cluster membership the
+    // detection added, then let a later (real) swap check the wallet again
+    data.effects?.revert();
+    for (const [dex, entry] of Object.entries(this.stats.dexBreakdown)) {
+      if (entry.detected <= 0) {
+        delete this.stats.dexBreakdown[dex];
+      }
+    }
+    this.processedWallets.delete(walletAddress);
+    this.retryQueue.delete(walletAddress);
+    this.updateVerdictStats();
+    this.stats.detectionsRetracted++;
+    console.log(`↩️ Detection retracted for ${walletAddress.substring(0, 8)}...: transaction ${reason}`);
+    
+    if (this.io) {
+      this.io.emit('detectionRetracted', {
+        wallet: walletAddress,
+        signature,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+      this.io.emit('stats', this.stats);
+      this.emitTokenAnalytics();
+      this.emitWhaleAnalytics();
+    }
+  }
+
   /**
    * Start analytics emission intervals
    */
@@ -1352,6 +2545,12 @@ class FreshWalletDetector {
       this.emitWhaleAnalytics();
     }, 30000);
 
+    // Emit RPC throughput every 10 seconds
+    setInterval(() => {
+      this.updateRpcStats();
+      this.io?.emit('stats', this.stats);
+    }, 10000);
+
     // Emit initial analytics after 5 seconds (should be empty/zero)
     setTimeout(() => {
       this.emitTokenAnalytics();
@@ -1368,17 +2567,22 @@ class FreshWalletDetector {
     return new Promise((resolve, reject) => {
       const query = `
         INSERT OR REPLACE INTO fresh_wallets 
-        (wallet_address, age_hours, transaction_count, sol_balance, is_fresh, token_trade, swap_signature)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (wallet_address, age_hours, transaction_count, sol_balance, is_fresh, verdict, token_trade, dex,
+         fee_payer, signers, swap_signature)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const values = [
         walletAddress,
-        result.ageHours || null,
-        result.transactionCount || null,
+        result.ageHours ?? null,
+        result.transactionCount ?? null,
         result.solBalance || null,
         result.success ? 1 : 0,
+        result.verdict || null,
         tokenInfo ? tokenInfo.trade : null,
+        tokenInfo?.dex || null,
+        tokenInfo?.feePayer || null,
+        tokenInfo?.signers ? tokenInfo.signers.join(',') : null,
         swapSignature
       ];
       
@@ -1392,12 +2596,104 @@ class FreshWalletDetector {
     });
   }
 
+  /**
+   * Save launch to database
+   */
+  async saveLaunchToDatabase(launch) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO pool_launches
+        (mint, pool, dex, creator, slot, block_time, signature)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      
+      const values = [
+        launch.mint,
+        launch.pool,
+        launch.dex,
+        launch.creator,
+        launch.slot,
+        launch.blockTime,
+        launch.signature
+      ];
+      
+      this.database.run(query, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  /**
+   * Save sniper of a launch to database
+   */
+  async saveSniperToDatabase(mint, sniper) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR REPLACE INTO launch_snipers
+        (mint, wallet_address, slot, slots_after_launch, seconds_after_launch, verdict, signature)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      
+      const values = [
+        mint,
+        sniper.address,
+        sniper.slot,
+        sniper.slotsAfterLaunch,
+        sniper.secondsAfterLaunch,
+        sniper.verdict,
+        sniper.signature
+      ];
+      
+      this.database.run(query, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  /**
+   * Save funding source of a wallet to database
+   */
+  async saveFundingToDatabase(walletAddress, funding) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR REPLACE INTO wallet_funding
+        (wallet_address, funder_address, amount_sol, funded_at, funding_signature)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+      
+      const values = [
+        walletAddress,
+        funding.funder,
+        funding.amountSol,
+        funding.fundedAt,
+        funding.signature
+      ];
+      
+      this.database.run(query, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
   /**
    * Emit detection result to web dashboard
    */
   emitToWebDashboard(result, tokenInfo) {
     if (this.io) {
       // Emit separate events for fresh vs failed wallets
+      // (unknown verdicts go out as failedWallet with verdict 'unknown')
       const eventName = result.success ? 'freshWallet' : 'failedWallet';
       
       this.io.emit(eventName, {
@@ -1430,17 +2726,20 @@ async function main() {
   }
 }
 
-// Keep the process running
-process.stdin.resume();
+// Only run when started directly (the tests import the detector)
+if (process.argv[1] && process.argv[1].endsWith('fresh-wallet-detector.js')) {
+  // Keep the process running
+  process.stdin.resume();
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  process.exit(0);
-});
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Shutting down gracefully...');
+    process.exit(0);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  });
 
-main().catch(console.error);
\ No newline at end of file
+  main().catch(console.error);
+}
\ No newline at end of file
@@ -4,6 +4,7 @@ class UnrektDashboard {
         this.isPaused = false;
         this.freshWalletCount = 0;
         this.failedWalletCount = 0;
+        this.unknownWalletCount = 0;
         this.whaleWalletCount = 0;
         this.showFailedWallets = true;
         this.socket = null;
@@ -11,6 +12,7 @@ class UnrektDashboard {
             totalChecked: 0,
             freshFound: 0,
             failedChecks: 0,
+            unknownChecks: 0,
             whalesFound: 0,
             freshWhalesFound: 0,
             activeConnections: 1
@@ -88,14 +90,24 @@ class UnrektDashboard {
         this.socket.on('failedWallet', (data) => {
             if (!this.isPaused && this.showFailedWallets) {
                 this.addFailedWalletCard(data);
-                this.failedWalletCount++;
+                // Unknown verdicts (RPC failures, re-checked later) are not failed checks
+                if (data.verdict === 'unknown') {
+                    this.unknownWalletCount++;
+                } else {
+                    this.failedWalletCount++;
+                }
                 this.updateStats({
                     ...this.stats,
-                    failedChecks: this.failedWalletCount
+                    failedChecks: this.failedWalletCount,
+                    unknownChecks: this.unknownWalletCount
                 });
             }
         });
 
+        this.socket.on('detectionRetracted', (data) => {
+            this.markRetracted(data);
+        });
+
         this.socket.on('tokenAnalytics', (data) => {
             this.updateTokenAnalytics(data);
         });
@@ -105,7 +117,20 @@ class UnrektDashboard {
         });
 
         this.socket.on('stats', (data) => {
-            this.updateStats(data);
+            // Server counters are authoritative; unknown verdicts are kept apart from failed checks
+            this.failedWalletCount = data.notFreshVerdicts ?? this.failedWalletCount;
+            this.unknownWalletCount = data.unknownVerdicts ?? this.unknownWalletCount;
+            this.updateStats({
+                ...data,
+                totalChecked: data.totalWalletsDetected,
+                freshFound: data.freshWalletsFound,
+                failedChecks: this.failedWalletCount,
+                unknownChecks: this.unknownWalletCount
+            });
+        });
+
+        this.socket.on('usage', (data) => {
+            this.updateUsage(data);
         });
     }
 
@@ -174,7 +199,8 @@ class UnrektDashboard {
             'totalWallets': stats.totalChecked,
             'freshWallets': stats.freshFound,
             'failedWallets': stats.failedChecks,
-            'whaleWallets': stats.whalesFound
+            'whaleWallets': stats.whalesFound,
+            'rpcThroughput': stats.rpcThroughput
         };
 
         Object.entries(elements).forEach(([id, value]) => {
@@ -184,6 +210,18 @@ class UnrektDashboard {
             }
         });
 
+        // Wallets whose verdict is still unknown are shown next to the failed checks
+        const unknownElement = document.getElementById('unknownWallets');
+        if (unknownElement) {
+            unknownElement.textContent = stats.unknownChecks ? `(${stats.unknownChecks} unknown)` : '';
+        }
+
+        // Current adaptive RPC allowance (drops after 429s, ramps back up)
+        const rpcRateElement = document.getElementById('rpcRate');
+        if (rpcRateElement && stats.rpcRate) {
+            rpcRateElement.textContent = `(limit ${stats.rpcRate.toFixed(1)}/s${stats.rpcRateLimited ? `, ${stats.rpcRateLimited} × 429` : ''})`;
+        }
+
         // Update whale count
         const whaleCountElement = document.getElementById('whaleWalletCount');
         if (whaleCountElement) {
@@ -191,6 +229,53 @@ class UnrektDashboard {
         }
     }
 
+    updateUsage(usage) {
+        const budgets = document.getElementById('usage-budgets');
+        if (!budgets) return;
+
+        const formatCredits = (credits) => Math.round(credits).toLocaleString();
+        const budgetRow = (label, used, budget) => {
+            const share = budget ? Math.min(100, (used / budget) * 100) : 0;
+            const level = share >= usage.budgets.throttleAt * 100 ? 'warning' : '';
+            return `
+                <div class="usage-row">
+                    <span>${label}</span>
+                    <span>${formatCredits(used)}${budget ? ` / ${formatCredits(budget)}` : ''} credits</span>
+                </div>
+                ${budget ? `<div class="usage-bar ${level}"><div style="width: ${share.toFixed(1)}%"></div></div>` : ''}
+            `;
+        };
+        budgets.innerHTML = budgetRow('Today', usage.today.credits, usage.budgets.daily) +
+            budgetRow('This month', usage.month.credits, usage.budgets.monthly) +
+            (usage.throttle < 1
+                ? `<div class="usage-row warning"><span>Checks throttled to</span><span>${Math.round(usage.throttle * 100)}%</span></div>`
+                : '');
+
+        const listRows = (entries) => entries.length === 0
+            ? '<div class="empty-state"><p>No calls yet</p></div>'
+            : entries.map(([label, credits, calls]) => `
+                <div class="usage-row">
+                    <span>${label}</span>
+                    <span>${formatCredits(credits)} credits${calls !== undefined ? ` · ${calls} calls` : ''}</span>
+                </div>
+            `).join('');
+        const methods = Object.entries(usage.month.byMethod)
+            .map(([method, entry]) => [method, entry.credits, entry.calls])
+            .sort((a, b) => b[1] - a[1]);
+        const keys = Object.entries(usage.month.byKey).sort((a, b) => b[1] - a[1]);
+        document.getElementById('usage-methods').innerHTML = listRows(methods);
+        document.getElementById('usage-keys').innerHTML = listRows(keys);
+
+        // Daily credits of the last two weeks
+        const history = usage.history.slice(-14);
+        const peak = Math.max(1, ...history.map(day => day.credits));
+        document.getElementById('usage-history').innerHTML = history.map(day => `
+            <div class="usage-day" title="${day.day}: ${formatCredits(day.credits)} credits">
+                <div style="height: ${((day.credits / peak) * 100).toFixed(1)}%"></div>
+            </div>
+        `).join('');
+    }
+
     updateTokenAnalytics(analyticsData) {
         console.log('📊 Updating token analytics:', analyticsData);
         ['all', 'success', 'failed'].forEach(category => {
@@ -348,6 +433,8 @@ class UnrektDashboard {
             const symbolHtml = resolvedSymbol ? `<span class=\\"token-symbol-tag\\">${resolvedSymbol}</span>` : '';
             const mcapValue = token.market?.marketCap ?? token.market?.fdv;
             const marketBadge = mcapValue ? `<span class=\"market-cap\">$${Number(mcapValue).toLocaleString()} MC</span>` : '';
+            const risky = token.riskyExtensions || [];
+            const riskBadge = risky.length > 0 ? `<span class="risk-tag" title="Token-2022 extensions: ${risky.join(', ')}">⚠️ ${risky.join(', ')}</span>` : '';
 
             tokenElement.innerHTML = `
                 <div class="token-rank">#${index + 1}</div>
@@ -355,7 +442,7 @@ class UnrektDashboard {
                     <div class="token-address" title="Click to copy ${primaryToken}">
                         ${logoHtml}${symbolHtml}
                         <span class=\\"token-mint\\">${this.formatTokenDisplay(primaryToken)}</span>
-                        ${marketBadge}
+                        ${marketBadge}${riskBadge}
                     </div>
                     <div class="token-count">${token.count || 0} trades</div>
                 </div>
@@ -390,6 +477,7 @@ class UnrektDashboard {
         // Create wallet card
         const card = document.createElement('div');
         card.className = 'whale-item fresh new';
+        card.dataset.address = wallet.address;
         
         const timeStr = new Date(wallet.timestamp).toLocaleTimeString();
         const balanceStr = wallet.solBalance ? `${wallet.solBalance.toFixed(4)} SOL` : '';
@@ -397,6 +485,10 @@ class UnrektDashboard {
         const tokenDisplay = wallet.tokenInfo ? 
             `${wallet.tokenInfo.inputToken?.mint || wallet.tokenInfo.inputToken?.symbol || 'Unknown'} → ${wallet.tokenInfo.outputToken?.mint || wallet.tokenInfo.outputToken?.symbol || 'Unknown'}` : 
             'No token data';
+        const dexLabel = wallet.tokenInfo?.dex ? ` <span class="dex-tag">${wallet.tokenInfo.dex}</span>` : '';
+        const feePayer = wallet.tokenInfo?.feePayer;
+        const relayLabel = feePayer && feePayer !== wallet.address ?
+            ` <span class="dex-tag" title="Fee paid by ${feePayer}">relayed</span>` : '';
 
         card.innerHTML = `
             <div class="whale-header">
@@ -406,7 +498,7 @@ class UnrektDashboard {
                 <span class="fresh-balance">${balanceStr || '0 SOL'}</span>
             </div>
             <div class="whale-token-info">
-                🎯 <strong>Tokens:</strong> ${tokenDisplay}
+                🎯 <strong>Tokens:</strong> ${tokenDisplay}${dexLabel}${relayLabel}
             </div>
             <div class="whale-timestamp">
                 🌱 Fresh wallet • ${timeStr}
@@ -441,11 +533,11 @@ class UnrektDashboard {
             emptyState.style.display = 'none';
         }
         
-        this.failedWalletCount++;
-        
-        // Create wallet card
+        // Create wallet card (unknown verdicts are RPC failures, not real failures)
+        const isUnknown = wallet.verdict === 'unknown';
         const card = document.createElement('div');
-        card.className = 'whale-item failed new';
+        card.className = `whale-item failed${isUnknown ? ' unknown' : ''} new`;
+        card.dataset.address = wallet.address;
         
         const timeStr = new Date(wallet.timestamp).toLocaleTimeString();
         const balanceStr = wallet.solBalance ? `${wallet.solBalance.toFixed(4)} SOL` : '';
@@ -453,6 +545,10 @@ class UnrektDashboard {
         const tokenDisplay = wallet.tokenInfo ? 
             `${wallet.tokenInfo.inputToken?.mint || wallet.tokenInfo.inputToken?.symbol || 'Unknown'} → ${wallet.tokenInfo.outputToken?.mint || wallet.tokenInfo.outputToken?.symbol || 'Unknown'}` : 
             'No token data';
+        const dexLabel = wallet.tokenInfo?.dex ? ` <span class="dex-tag">${wallet.tokenInfo.dex}</span>` : '';
+        const feePayer = wallet.tokenInfo?.feePayer;
+        const relayLabel = feePayer && feePayer !== wallet.address ?
+            ` <span class="dex-tag" title="Fee paid by ${feePayer}">relayed</span>` : '';
 
         card.innerHTML = `
             <div class="whale-header">
@@ -462,10 +558,10 @@ class UnrektDashboard {
                 <span class="failed-balance">${balanceStr || '0 SOL'}</span>
             </div>
             <div class="whale-token-info">
-                🎯 <strong>Tokens:</strong> ${tokenDisplay}
+                🎯 <strong>Tokens:</strong> ${tokenDisplay}${dexLabel}${relayLabel}
             </div>
             <div class="whale-timestamp">
-                ❌ ${wallet.reason || 'Failed check'} • ${timeStr}
+                ${isUnknown ? '❔' : '❌'} ${wallet.reason || 'Failed check'} • ${timeStr}
                 <button onclick="copyToClipboard('${wallet.address}'); event.stopPropagation();" class="copy-btn" title="Copy address">📋</button>
             </div>
         `;
@@ -489,6 +585,16 @@ class UnrektDashboard {
 
 
 
+    markRetracted(data) {
+        // Transaction failed or never finalized: keep the card but show it no longer counts
+        document.querySelectorAll('.whale-item').forEach(card => {
+            if (card.dataset.address === data.wallet) {
+                card.classList.add('retracted');
+                card.title = `Retracted: transaction ${data.reason}`;
+            }
+        });
+    }
+
     copyToClipboard(text) {
         navigator.clipboard.writeText(text).then(() => {
             this.showCopyFeedback();
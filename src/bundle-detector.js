@@ -0,0 +1,265 @@
+import { SYSTEM_PROGRAM_ID, getAllInstructions } from './transaction-utils.js';
+
+// Jito block engine tip accounts
+export const JITO_TIP_ACCOUNTS = new Set([
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+]);
+
+const SYSTEM_TRANSFER = 2;
+
+/**
+ * Sum the lamports a transaction tips to Jito tip accounts (0 when it wasn't sent as a bundle)
+ */
+export function findJitoTip(transaction) {
+  let lamports = 0;
+  for (const ix of getAllInstructions(transaction)) {
+    if (ix.programId !== SYSTEM_PROGRAM_ID || ix.data.length < 12) continue;
+    if (ix.data.readUInt32LE(0) === SYSTEM_TRANSFER && JITO_TIP_ACCOUNTS.has(ix.accounts[1])) {
+      lamports += Number(ix.data.readBigUInt64LE(4));
+    }
+  }
+  return lamports;
+}
+
+/**
+ * Bundle Detector
+ * Groups buys of the same mint landing in the same slot and remembers which wallets keep appearing together
+ */
+export class BundleDetector {
+  constructor(config = {}) {
+    this.config = {
+      minBuyers: config.minBuyers || 3,
+      retentionSlots: config.retentionSlots || 9000, // ~1 hour
+      maxCoBuyers: config.maxCoBuyers || 10000
+    };
+
+    this.groups = new Map(); // `${slot}:${mint}` -> group
+    this.coBuyers = new Map(); // wallet -> Map(wallet -> shared bundle count)
+    this.verdicts = new Map(); // wallet -> verdict
+    this.latestSlot = 0;
+  }
+
+  /**
+   * Record a buy; returns { bundle, isNew } once enough distinct wallets bought the mint in the slot
+   */
+  recordBuy(walletAddress, tokenInfo, context = {}) {
+    const mint = tokenInfo?.outputToken?.mint;
+    if (!mint || mint === 'Unknown' || context.slot == null || tokenInfo.direction === 'sell') {
+      return null;
+    }
+
+    this.latestSlot = Math.max(this.latestSlot, context.slot);
+    const key = `${context.slot}:${mint}`;
+    let group = this.groups.get(key);
+    if (!group) {
+      group = {
+        id: key,
+        mint,
+        symbol: tokenInfo.outputToken.symbol || null,
+        slot: context.slot,
+        buyers: new Map(),
+        alerted: false,
+        firstSeen: Date.now()
+      };
+      this.groups.set(key, group);
+    }
+
+    const existing = group.buyers.get(walletAddress);
+    if (existing) {
+      // The buy was grouped from its log hints: keep what the fetched transaction adds
+      existing.signature = existing.signature || context.signature || null;
+      existing.jitoTip = existing.jitoTip || context.jitoTip || 0;
+      existing.amountIn = tokenInfo.inputToken?.amount ?? existing.amountIn;
+      group.symbol = group.symbol || tokenInfo.outputToken.symbol || null;
+      return null;
+    }
+    group.buyers.set(walletAddress, {
+      address: walletAddress,
+      signature: context.signature || null,
+      jitoTip: context.jitoTip || 0,
+      amountIn: tokenInfo.inputToken?.amount ?? null,
+      verdict: this.verdicts.get(walletAddress) || null
+    });
+
+    this.cleanup();
+    if (group.buyers.size < this.config.minBuyers) {
+      return null;
+    }
+
+    const isNew = !group.alerted;
+    group.alerted = true;
+    this.recordCoBuyers(group, walletAddress, isNew);
+
+    return { bundle: this.serializeGroup(group), isNew };
+  }
+
+  /**
+   * Count how often wallets land in the same bundle
+   */
+  recordCoBuyers(group, walletAddress, isNew) {
+    const wallets = Array.from(group.buyers.keys());
+    // A new bundle links every pair; a grown bundle only links the newcomer
+    const pairs = isNew
+      ? wallets.flatMap((a, i) => wallets.slice(i + 1).map(b => [a, b]))
+      : wallets.filter(w => w !== walletAddress).map(w => [walletAddress, w]);
+
+    for (const [a, b] of pairs) {
+      this.linkCoBuyers(a, b);
+      this.linkCoBuyers(b, a);
+    }
+
+    while (this.coBuyers.size > this.config.maxCoBuyers) {
+      this.coBuyers.delete(this.coBuyers.keys().next().value);
+    }
+  }
+
+  /**
+   * Increment the shared bundle count of a wallet pair (one direction)
+   */
+  linkCoBuyers(wallet, other) {
+    const links = this.coBuyers.get(wallet) || new Map();
+    links.set(other, (links.get(other) || 0) + 1);
+    this.coBuyers.set(wallet, links);
+  }
+
+  /**
+   * Decrement the shared bundle count of a wallet pair (one direction)
+   */
+  unlinkCoBuyers(wallet, other) {
+    const links = this.coBuyers.get(wallet);
+    if (!links?.has(other)) return;
+    if (links.get(other) > 1) {
+      links.set(other, links.get(other) - 1);
+    } else {
+      links.delete(other);
+      if (links.size === 0) this.coBuyers.delete(wallet);
+    }
+  }
+
+  /**
+   * Remove a buy whose transaction never finalized (only the buy with that signature, if given)
+   * Returns { bundle, dissolved } for alerted groups, dissolved when the group fell below minBuyers
+   */
+  removeBuy(walletAddress, mint, context = {}) {
+    const group = this.groups.get(`${context.slot}:${mint}`);
+    const buyer = group?.buyers.get(walletAddress);
+    if (!buyer || (context.signature && buyer.signature && buyer.signature !== context.signature)) {
+      return null;
+    }
+    group.buyers.delete(walletAddress);
+    if (group.buyers.size === 0) {
+      this.groups.delete(group.id);
+    }
+    if (!group.alerted) {
+      return null;
+    }
+
+    // An alerted group linked every pair of its buyers once: unlink the removed wallet, and every
+    // remaining pair when the group is no longer a bundle (it links them again if it re-forms)
+    const remaining = Array.from(group.buyers.keys());
+    const dissolved = remaining.length < this.config.minBuyers;
+    const pairs = [
+      ...remaining.map(w => [walletAddress, w]),
+      ...(dissolved ? remaining.flatMap((a, i) => remaining.slice(i + 1).map(b => [a, b])) : [])
+    ];
+    for (const [a, b] of pairs) {
+      this.unlinkCoBuyers(a, b);
+      this.unlinkCoBuyers(b, a);
+    }
+    if (dissolved) {
+      group.alerted = false;
+    }
+
+    return { bundle: this.serializeGroup(group), dissolved };
+  }
+
+  /**
+   * Wallets that bundled with the given wallet, most frequent first
+   */
+  getCoBuyers(walletAddress) {
+    const links = this.coBuyers.get(walletAddress);
+    if (!links) return [];
+    return Array.from(links.entries())
+      .map(([address, sharedBundles]) => ({ address, sharedBundles }))
+      .sort((a, b) => b.sharedBundles - a.sharedBundles);
+  }
+
+  /**
+   * Store a wallet's freshness verdict and return the alerted bundles it belongs to
+   */
+  setWalletVerdict(walletAddress, verdict) {
+    this.verdicts.set(walletAddress, verdict);
+    while (this.verdicts.size > this.config.maxCoBuyers) {
+      this.verdicts.delete(this.verdicts.keys().next().value);
+    }
+
+    const updated = [];
+    for (const group of this.groups.values()) {
+      const buyer = group.buyers.get(walletAddress);
+      if (buyer) {
+        buyer.verdict = verdict;
+        if (group.alerted) {
+          updated.push(this.serializeGroup(group));
+        }
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Get alerted bundles, most recent slot first
+   */
+  getBundles(limit = 50) {
+    return Array.from(this.groups.values())
+      .filter(group => group.alerted)
+      .sort((a, b) => b.slot - a.slot)
+      .slice(0, limit)
+      .map(group => this.serializeGroup(group));
+  }
+
+  /**
+   * Drop groups from slots older than the retention window
+   */
+  cleanup() {
+    const cutoff = this.latestSlot - this.config.retentionSlots;
+    for (const [key, group] of this.groups.entries()) {
+      if (group.slot < cutoff) {
+        this.groups.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Convert a group to a plain object for the API and Socket.IO
+   */
+  serializeGroup(group) {
+    const buyers = Array.from(group.buyers.values()).map(buyer => ({
+      ...buyer,
+      coBuyers: this.getCoBuyers(buyer.address).slice(0, 5)
+    }));
+
+    return {
+      id: group.id,
+      mint: group.mint,
+      symbol: group.symbol,
+      slot: group.slot,
+      size: buyers.length,
+      jitoTipped: buyers.filter(b => b.jitoTip > 0).length,
+      buyers,
+      freshness: {
+        fresh: buyers.filter(b => b.verdict === 'fresh').length,
+        notFresh: buyers.filter(b => b.verdict === 'not_fresh').length,
+        unknown: buyers.filter(b => b.verdict === 'unknown').length,
+        pending: buyers.filter(b => !b.verdict).length
+      },
+      firstSeen: group.firstSeen
+    };
+  }
+}
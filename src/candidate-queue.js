@@ -0,0 +1,174 @@
+/**
+ * Candidate Scorer
+ * Scores swap notifications from their log hints alone, before any RPC call is spent on them
+ */
+export class CandidateScorer {
+  constructor(config = {}) {
+    this.config = {
+      watchlist: new Set(config.watchlist || []),
+      weights: {
+        size: 1, // log-scaled SOL amount: 0.1 SOL ≈ 0.3, 1 SOL ≈ 1, 10 SOL ≈ 2, capped at 3
+        novelty: 1, // mints seen rarely in the novelty window
+        watchlist: 5,
+        newSigner: 1, // signer not seen in this session
+        ...(config.weights || {})
+      },
+      noveltyWindowMs: config.noveltyWindowMs || 30 * 60 * 1000,
+      maxTracked: config.maxTracked || 10000
+    };
+
+    this.mintSightings = new Map(); // mint -> { count, lastSeen }
+    this.seenSigners = new Set();
+  }
+
+  /**
+   * Score a candidate: { score, reasons } where reasons name the components that contributed
+   */
+  score(hints) {
+    const { weights, watchlist } = this.config;
+    const reasons = [];
+    let score = 1;
+
+    if (hints?.solAmount > 0) {
+      score += weights.size * Math.min(3, Math.log10(1 + hints.solAmount * 10));
+      reasons.push('size');
+    }
+    if (hints?.mint) {
+      const sightings = this.mintSightings.get(hints.mint)?.count || 0;
+      score += weights.novelty / (1 + sightings);
+      if (sightings === 0) reasons.push('new_token');
+      if (watchlist.has(hints.mint)) {
+        score += weights.watchlist;
+        reasons.push('watchlist');
+      }
+    }
+    if (hints?.user && !this.seenSigners.has(hints.user)) {
+      score += weights.newSigner;
+      reasons.push('new_signer');
+    }
+
+    return { score, reasons };
+  }
+
+  /**
+   * Remember the mint and signer of a notification (after scoring it)
+   */
+  recordSighting(hints, now = Date.now()) {
+    if (hints?.mint) {
+      const entry = this.mintSightings.get(hints.mint) || { count: 0, lastSeen: now };
+      entry.count++;
+      entry.lastSeen = now;
+      this.mintSightings.set(hints.mint, entry);
+    }
+    if (hints?.user) {
+      this.seenSigners.add(hints.user);
+    }
+    if (this.mintSightings.size > this.config.maxTracked || this.seenSigners.size > this.config.maxTracked) {
+      this.cleanup(now);
+    }
+  }
+
+  /**
+   * Forget mints outside the novelty window and the oldest signers
+   */
+  cleanup(now = Date.now()) {
+    const cutoff = now - this.config.noveltyWindowMs;
+    for (const [mint, entry] of this.mintSightings.entries()) {
+      if (entry.lastSeen < cutoff) this.mintSightings.delete(mint);
+    }
+    while (this.seenSigners.size > this.config.maxTracked) {
+      this.seenSigners.delete(this.seenSigners.values().next().value);
+    }
+  }
+}
+
+/**
+ * Candidate Queue
+ * Bounded priority queue: the highest score is checked first, the lowest is evicted when full
+ */
+export class CandidateQueue {
+  constructor(config = {}) {
+    this.config = {
+      maxSize: config.maxSize || 1000,
+      maxAgeMs: config.maxAgeMs || 2 * 60 * 1000 // older swaps are no longer worth a check
+    };
+
+    this.items = [];
+    this.stats = {
+      queued: 0,
+      evicted: 0,
+      expired: 0
+    };
+  }
+
+  /**
+   * Add a candidate ({ score, ... }); returns false when it scored too low to enter a full queue
+   */
+  push(candidate, now = Date.now()) {
+    const item = { ...candidate, queuedAt: now };
+    if (this.items.length >= this.config.maxSize) {
+      this.dropExpired(now);
+    }
+    if (this.items.length >= this.config.maxSize) {
+      const lowest = this.findIndex((a, b) => a.score < b.score);
+      if (this.items[lowest].score >= item.score) {
+        this.stats.evicted++;
+        return false;
+      }
+      this.items.splice(lowest, 1);
+      this.stats.evicted++;
+    }
+
+    this.items.push(item);
+    this.stats.queued++;
+    return true;
+  }
+
+  /**
+   * Take the highest-scoring candidate (oldest first on ties)
+   */
+  pop(now = Date.now()) {
+    this.dropExpired(now);
+    if (this.items.length === 0) {
+      return null;
+    }
+    const highest = this.findIndex((a, b) => a.score > b.score);
+    return this.items.splice(highest, 1)[0];
+  }
+
+  /**
+   * Index of the item that wins the comparison against every other item
+   */
+  findIndex(wins) {
+    let best = 0;
+    for (let i = 1; i < this.items.length; i++) {
+      if (wins(this.items[i], this.items[best])) best = i;
+    }
+    return best;
+  }
+
+  /**
+   * Drop candidates older than maxAgeMs
+   */
+  dropExpired(now = Date.now()) {
+    const cutoff = now - this.config.maxAgeMs;
+    const before = this.items.length;
+    this.items = this.items.filter(item => item.queuedAt >= cutoff);
+    this.stats.expired += before - this.items.length;
+  }
+
+  /**
+   * Number of queued candidates
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Remove all candidates and reset the counters
+   */
+  clear() {
+    this.items = [];
+    this.stats = { queued: 0, evicted: 0, expired: 0 };
+  }
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+
+export const DEFAULT_COSTS_PATH = new URL('../config/credit-costs.json', import.meta.url);
+
+/**
+ * UTC day of a timestamp (YYYY-MM-DD); providers reset quotas on UTC boundaries
+ */
+export function dayKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Credit Budget
+ * Counts RPC credits per day, method and key from a cost table, and turns daily/monthly budgets
+ * into a throttle factor that shrinks the check budget before a cap is reached
+ */
+export class CreditBudget {
+  constructor(costs = {}, config = {}) {
+    this.costs = {
+      default: costs.default ?? 1,
+      methods: { ...(costs.methods || {}) }
+    };
+    this.config = {
+      dailyBudget: config.dailyBudget || 0, // 0 = no budget
+      monthlyBudget: config.monthlyBudget || 0,
+      throttleAt: config.throttleAt ?? 0.8, // share of a budget after which checks slow down
+      historyDays: config.historyDays || 62
+    };
+
+    this.days = new Map(); // day -> { calls, credits, byMethod: { method: { calls, credits } }, byKey: { key: credits } }
+    this.unsaved = new Map(); // `day|key|method` -> { day, key, method, calls, credits }
+  }
+
+  /**
+   * Build a budget from a cost table file (config/credit-costs.json or CREDIT_COSTS_PATH)
+   */
+  static load(costsPath = process.env.CREDIT_COSTS_PATH || DEFAULT_COSTS_PATH, config = {}) {
+    const costs = JSON.parse(fs.readFileSync(costsPath, 'utf8'));
+    return new CreditBudget(costs, config);
+  }
+
+  /**
+   * Credits charged for `count` calls of a method
+   */
+  cost(method, count = 1) {
+    return (this.costs.methods[method] ?? this.costs.default) * count;
+  }
+
+  /**
+   * Record calls made with a key; returns the credits charged
+   */
+  record(key, method, count = 1, now = Date.now()) {
+    const credits = this.cost(method, count);
+    const day = dayKey(now);
+    this.add(day, key, method, count, credits);
+
+    const id = `${day}|${key}|${method}`;
+    const pending = this.unsaved.get(id) || { day, key, method, calls: 0, credits: 0 };
+    pending.calls += count;
+    pending.credits += credits;
+    this.unsaved.set(id, pending);
+    return credits;
+  }
+
+  /**
+   * Add usage to a day, dropping days older than the history window
+   */
+  add(day, key, method, calls, credits) {
+    const usage = this.days.get(day) || { calls: 0, credits: 0, byMethod: {}, byKey: {} };
+    usage.calls += calls;
+    usage.credits += credits;
+    const byMethod = usage.byMethod[method] || { calls: 0, credits: 0 };
+    byMethod.calls += calls;
+    byMethod.credits += credits;
+    usage.byMethod[method] = byMethod;
+    usage.byKey[key] = (usage.byKey[key] || 0) + credits;
+    this.days.set(day, usage);
+
+    if (this.days.size > this.config.historyDays) {
+      const oldest = Array.from(this.days.keys()).sort()[0];
+      this.days.delete(oldest);
+    }
+  }
+
+  /**
+   * Load usage saved by a previous run ({ day, key, method, calls, credits } rows)
+   */
+  restore(rows) {
+    for (const row of rows) {
+      this.add(row.day, row.key, row.method, row.calls, row.credits);
+    }
+  }
+
+  /**
+   * Usage recorded since the last call, for persisting
+   */
+  takeUnsaved() {
+    const rows = Array.from(this.unsaved.values());
+    this.unsaved.clear();
+    return rows;
+  }
+
+  /**
+   * Credits used today and in the current month
+   */
+  getTotals(now = Date.now()) {
+    const today = dayKey(now);
+    const month = today.slice(0, 7);
+    let monthCredits = 0;
+    for (const [day, usage] of this.days.entries()) {
+      if (day.startsWith(month)) monthCredits += usage.credits;
+    }
+    return { today: this.days.get(today)?.credits || 0, month: monthCredits };
+  }
+
+  /**
+   * Share of the normal check budget to use: 1 below `throttleAt` of every budget,
+   * falling linearly to 0 when a budget is used up
+   */
+  getThrottleFactor(now = Date.now()) {
+    const { dailyBudget, monthlyBudget, throttleAt } = this.config;
+    const totals = this.getTotals(now);
+    const factor = (used, budget) => {
+      if (!budget) return 1;
+      const remaining = (budget - used) / (budget * (1 - throttleAt));
+      return Math.max(0, Math.min(1, remaining));
+    };
+    return Math.min(factor(totals.today, dailyBudget), factor(totals.month, monthlyBudget));
+  }
+
+  /**
+   * Usage summary for /api/usage and the dashboard
+   */
+  getUsage(now = Date.now()) {
+    const today = dayKey(now);
+    const month = today.slice(0, 7);
+    const totals = this.getTotals(now);
+    const monthUsage = { byMethod: {}, byKey: {} };
+    for (const [day, usage] of this.days.entries()) {
+      if (!day.startsWith(month)) continue;
+      for (const [method, entry] of Object.entries(usage.byMethod)) {
+        const sum = monthUsage.byMethod[method] || { calls: 0, credits: 0 };
+        sum.calls += entry.calls;
+        sum.credits += entry.credits;
+        monthUsage.byMethod[method] = sum;
+      }
+      for (const [key, credits] of Object.entries(usage.byKey)) {
+        monthUsage.byKey[key] = (monthUsage.byKey[key] || 0) + credits;
+      }
+    }
+
+    return {
+      today: { day: today, credits: totals.today, ...(this.days.get(today) || { calls: 0, byMethod: {}, byKey: {} }) },
+      month: { month, credits: totals.month, ...monthUsage },
+      budgets: {
+        daily: this.config.dailyBudget || null,
+        monthly: this.config.monthlyBudget || null,
+        dailyRemaining: this.config.dailyBudget ? Math.max(0, this.config.dailyBudget - totals.today) : null,
+        monthlyRemaining: this.config.monthlyBudget ? Math.max(0, this.config.monthlyBudget - totals.month) : null,
+        throttleAt: this.config.throttleAt
+      },
+      throttle: this.getThrottleFactor(now),
+      history: Array.from(this.days.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, usage]) => ({ day, calls: usage.calls, credits: usage.credits }))
+    };
+  }
+}
@@ -90,6 +90,8 @@ export class WalletDatabase {
         fee REAL DEFAULT 0,
         success BOOLEAN DEFAULT 1,
         programs TEXT DEFAULT '',
+        fee_payer TEXT,
+        signers TEXT,
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         FOREIGN KEY (wallet_address) REFERENCES wallets(address)
       )
@@ -110,6 +112,18 @@ export class WalletDatabase {
       )
     `;
 
+    // Who sent each wallet its first SOL (same schema as the fresh wallet detector)
+    const createFundingTable = `
+      CREATE TABLE IF NOT EXISTS wallet_funding (
+        wallet_address TEXT PRIMARY KEY,
+        funder_address TEXT NOT NULL,
+        amount_sol REAL,
+        funded_at DATETIME,
+        funding_signature TEXT,
+        traced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
     const createIndexes = `
       CREATE INDEX IF NOT EXISTS idx_wallets_address ON wallets(address);
       CREATE INDEX IF NOT EXISTS idx_wallets_detection_method ON wallets(detection_method);
@@ -125,7 +139,16 @@ export class WalletDatabase {
       await this.db.run(createWalletsTable);
       await this.db.run(createTransactionsTable);
       await this.db.run(createAnalyticsTable);
+      await this.db.run(createFundingTable);
       await this.db.run(createIndexes);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_wallet_funding_funder ON wallet_funding(funder_address)');
+      
+      // Add fee payer/signers columns to databases created before trader identification
+      for (const column of ['fee_payer', 'signers']) {
+        await this.db.run(`ALTER TABLE transactions ADD COLUMN ${column} TEXT`).catch(error => {
+          if (!error.message.includes('duplicate column')) throw error;
+        });
+      }
       console.log('✅ Database tables created successfully');
     } catch (error) {
       console.error('❌ Failed to create database tables:', error);
@@ -199,7 +222,8 @@ export class WalletDatabase {
         return {
           ...row,
           is_active: Boolean(row.is_active),
-          metadata: JSON.parse(row.metadata || '{}')
+          metadata: JSON.parse(row.metadata || '{}'),
+          funding: await this.getFunding(address)
         };
       }
       
@@ -320,15 +344,17 @@ export class WalletDatabase {
       solAmount = 0,
       fee = 0,
       success = true,
-      programs = []
+      programs = [],
+      feePayer = null,
+      signers = null
     } = transactionData;
 
     try {
       const query = `
         INSERT OR REPLACE INTO transactions 
         (wallet_address, signature, slot, block_time, transaction_type, 
-         sol_amount, fee, success, programs)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         sol_amount, fee, success, programs, fee_payer, signers)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       await this.db.run(query, [
@@ -340,7 +366,9 @@ export class WalletDatabase {
         solAmount,
         fee,
         success ? 1 : 0,
-        JSON.stringify(programs)
+        JSON.stringify(programs),
+        feePayer,
+        signers ? signers.join(',') : null
       ]);
 
       return true;
@@ -351,6 +379,72 @@ export class WalletDatabase {
     }
   }
 
+  /**
+   * Save the funding source of a wallet ({ funder, amountSol, fundedAt, signature })
+   */
+  async saveFunding(walletAddress, funding) {
+    if (!this.isInitialized) {
+      throw new Error('Database not initialized');
+    }
+
+    try {
+      const query = `
+        INSERT OR REPLACE INTO wallet_funding
+        (wallet_address, funder_address, amount_sol, funded_at, funding_signature)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      await this.db.run(query, [
+        walletAddress,
+        funding.funder,
+        funding.amountSol,
+        funding.fundedAt,
+        funding.signature
+      ]);
+
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Failed to save funding of ${walletAddress}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the funding source of a wallet (null when it was never traced)
+   */
+  async getFunding(walletAddress) {
+    if (!this.isInitialized) {
+      throw new Error('Database not initialized');
+    }
+
+    const row = await this.db.get('SELECT * FROM wallet_funding WHERE wallet_address = ?', [walletAddress]);
+    if (!row) {
+      return null;
+    }
+    return {
+      funder: row.funder_address,
+      amountSol: row.amount_sol,
+      fundedAt: row.funded_at,
+      signature: row.funding_signature
+    };
+  }
+
+  /**
+   * Get the wallets funded by an address, most recently traced first
+   */
+  async getWalletsFundedBy(funderAddress) {
+    if (!this.isInitialized) {
+      throw new Error('Database not initialized');
+    }
+
+    const rows = await this.db.all(
+      'SELECT wallet_address FROM wallet_funding WHERE funder_address = ? ORDER BY traced_at DESC',
+      [funderAddress]
+    );
+    return rows.map(row => row.wallet_address);
+  }
+
   /**
    * Get wallet statistics
    */
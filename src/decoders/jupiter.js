@@ -0,0 +1,210 @@
+import bs58 from 'bs58';
+import {
+  getAllInstructions,
+  anchorDiscriminator,
+  hasDiscriminator,
+  getMintDecimals,
+  getSwapDirection,
+  toUiAmount,
+  QUOTE_MINTS,
+  WSOL_MINT
+} from '../transaction-utils.js';
+import { buildSwapLeg } from './swap-leg.js';
+import { RAYDIUM_AMM_V4, RAYDIUM_CPMM, RAYDIUM_CLMM } from './raydium.js';
+import { PUMP_FUN_PROGRAM, PUMPSWAP_PROGRAM } from './pumpfun.js';
+import { ORCA_WHIRLPOOL } from './orca.js';
+import { METEORA_DLMM, METEORA_DYNAMIC_AMM } from './meteora.js';
+
+export const JUPITER_V6 = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+
+// Route instructions and where the user's accounts and mints sit in each layout
+const ROUTES = [
+  { name: 'route', exactOut: false, accounts: { user: 1, source: 2, destination: 3, outputMint: 5 } },
+  { name: 'route_with_token_ledger', exactOut: false, accounts: { user: 1, source: 2, destination: 3, outputMint: 5 } },
+  { name: 'exact_out_route', exactOut: true, accounts: { user: 1, source: 2, destination: 3, inputMint: 5, outputMint: 6 } },
+  { name: 'shared_accounts_route', exactOut: false, accounts: { user: 2, source: 3, destination: 6, inputMint: 7, outputMint: 8 } },
+  { name: 'shared_accounts_route_with_token_ledger', exactOut: false, accounts: { user: 2, source: 3, destination: 6, inputMint: 7, outputMint: 8 } },
+  { name: 'shared_accounts_exact_out_route', exactOut: true, accounts: { user: 2, source: 3, destination: 6, inputMint: 7, outputMint: 8 } }
+].map(route => ({ ...route, discriminator: anchorDiscriminator(route.name) }));
+
+// SwapEvent is emitted once per hop, via self-CPI (current) or "Program data:" logs (older releases)
+const EVENT_IX_TAG = anchorDiscriminator('event', 'anchor');
+const SWAP_EVENT = anchorDiscriminator('SwapEvent', 'event');
+
+// Venue labels for hop metadata
+const AMM_LABELS = {
+  [RAYDIUM_AMM_V4]: 'raydium-amm-v4',
+  [RAYDIUM_CPMM]: 'raydium-cpmm',
+  [RAYDIUM_CLMM]: 'raydium-clmm',
+  [PUMP_FUN_PROGRAM]: 'pumpfun',
+  [PUMPSWAP_PROGRAM]: 'pumpswap',
+  [ORCA_WHIRLPOOL]: 'orca-whirlpool',
+  [METEORA_DLMM]: 'meteora-dlmm',
+  [METEORA_DYNAMIC_AMM]: 'meteora-amm'
+};
+
+/**
+ * Decode Jupiter v6 routes into one normalized leg per route
+ * The leg carries the user-facing input/output and keeps the individual hops as metadata
+ */
+export function decodeJupiterRoutes(transaction) {
+  const instructions = getAllInstructions(transaction);
+  const routes = [];
+  const events = [];
+
+  for (const ix of instructions) {
+    if (ix.programId !== JUPITER_V6) continue;
+
+    if (hasDiscriminator(ix.data, EVENT_IX_TAG)) {
+      const event = decodeSwapEvent(ix.data.subarray(8));
+      if (event) {
+        events.push({ ...event, outerIndex: ix.outerIndex });
+      }
+      continue;
+    }
+
+    const route = ROUTES.find(r => hasDiscriminator(ix.data, r.discriminator));
+    if (route) {
+      routes.push({ ix, route });
+    }
+  }
+
+  // Older program versions only log the events, which can't be tied to an instruction
+  const logEvents = events.length === 0 && routes.length === 1 ? decodeLogEvents(transaction) : [];
+
+  const legs = [];
+  for (const { ix, route } of routes) {
+    try {
+      const hops = logEvents.length > 0 ? logEvents : events.filter(e => e.outerIndex === ix.outerIndex);
+      legs.push(buildRouteLeg(transaction, ix, route, hops));
+    } catch (error) {
+      // Malformed or unexpected layout: let the caller fall back to balance analysis
+    }
+  }
+
+  return legs;
+}
+
+/**
+ * SwapEvent: amm, input_mint, input_amount u64, output_mint, output_amount u64
+ */
+function decodeSwapEvent(data) {
+  if (!hasDiscriminator(data, SWAP_EVENT) || data.length < 120) {
+    return null;
+  }
+
+  const amm = bs58.encode(data.subarray(8, 40));
+  return {
+    amm,
+    label: AMM_LABELS[amm] || null,
+    inputMint: bs58.encode(data.subarray(40, 72)),
+    inputAmount: data.readBigUInt64LE(72),
+    outputMint: bs58.encode(data.subarray(80, 112)),
+    outputAmount: data.readBigUInt64LE(112)
+  };
+}
+
+/**
+ * Read trade hints from SwapEvents logged as "Program data:" (routes emitting them via CPI have no hints)
+ */
+export function decodeJupiterLogHints(logs) {
+  const hops = decodeLogEvents({ meta: { logMessages: logs } });
+  if (hops.length === 0) {
+    return null;
+  }
+
+  const { inputMint, outputMint } = resolveRouteMints(hops, {});
+  const inputLamports = hops.filter(h => h.inputMint === inputMint).reduce((total, h) => total + h.inputAmount, 0n);
+  const outputLamports = hops.filter(h => h.outputMint === outputMint).reduce((total, h) => total + h.outputAmount, 0n);
+  const solAmount = inputMint === WSOL_MINT ? toUiAmount(inputLamports, 9)
+    : outputMint === WSOL_MINT ? toUiAmount(outputLamports, 9)
+      : null;
+
+  return {
+    user: null,
+    mint: QUOTE_MINTS.has(outputMint) ? inputMint : outputMint,
+    solAmount,
+    direction: getSwapDirection(inputMint, outputMint)
+  };
+}
+
+/**
+ * Decode SwapEvents from "Program data:" log lines
+ */
+function decodeLogEvents(transaction) {
+  const events = [];
+  for (const line of transaction?.meta?.logMessages || []) {
+    if (!line.startsWith('Program data: ')) continue;
+    const event = decodeSwapEvent(Buffer.from(line.slice('Program data: '.length), 'base64'));
+    if (event) {
+      events.push(event);
+    }
+  }
+  return events;
+}
+
+/**
+ * Build the user-facing leg of a route from its hops
+ * Input is the mint that is only ever sold into the route, output the one only ever bought;
+ * split routes are summed per side
+ */
+function buildRouteLeg(transaction, ix, route, hops) {
+  const accounts = ix.accounts;
+  const { inputMint, outputMint } = resolveRouteMints(hops, {
+    inputMint: route.accounts.inputMint !== undefined ? accounts[route.accounts.inputMint] : null,
+    outputMint: accounts[route.accounts.outputMint] || null
+  });
+
+  const sum = (values) => values.length > 0 ? values.reduce((total, value) => total + value, 0n) : undefined;
+  const amountIn = sum(hops.filter(h => h.inputMint === inputMint).map(h => h.inputAmount));
+  const amountOut = sum(hops.filter(h => h.outputMint === outputMint).map(h => h.outputAmount));
+
+  const leg = buildSwapLeg(transaction, {
+    dex: 'jupiter',
+    program: 'jupiter-v6',
+    programId: ix.programId,
+    instruction: route.name,
+    user: accounts[route.accounts.user],
+    sourceAccount: accounts[route.accounts.source],
+    destinationAccount: accounts[route.accounts.destination],
+    inputMint,
+    outputMint,
+    inputDecimals: inputMint ? getMintDecimals(transaction, inputMint) : null,
+    outputDecimals: outputMint ? getMintDecimals(transaction, outputMint) : null,
+    amountIn,
+    amountOut,
+    exactIn: !route.exactOut,
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+
+  return {
+    ...leg,
+    hops: hops.map(hop => ({
+      amm: hop.amm,
+      label: hop.label,
+      inputMint: hop.inputMint,
+      inputAmount: hop.inputAmount.toString(),
+      outputMint: hop.outputMint,
+      outputAmount: hop.outputAmount.toString()
+    })),
+    venues: [...new Set(hops.map(h => h.label || h.amm))]
+  };
+}
+
+/**
+ * Pick the user-facing mints: instruction accounts when the layout has them,
+ * otherwise the mints that appear on only one side of the hops
+ */
+function resolveRouteMints(hops, fromAccounts) {
+  const inputs = new Set(hops.map(h => h.inputMint));
+  const outputs = new Set(hops.map(h => h.outputMint));
+  const onlyIn = [...inputs].filter(m => !outputs.has(m));
+  const onlyOut = [...outputs].filter(m => !inputs.has(m));
+
+  return {
+    // Circular routes (SOL → X → SOL) have no one-sided mint: use the first and last hop
+    inputMint: fromAccounts.inputMint || onlyIn[0] || hops[0]?.inputMint || null,
+    outputMint: fromAccounts.outputMint || onlyOut[0] || hops[hops.length - 1]?.outputMint || null
+  };
+}
@@ -0,0 +1,110 @@
+import { getAllInstructions, anchorDiscriminator, hasDiscriminator } from '../transaction-utils.js';
+import { buildSwapLeg } from './swap-leg.js';
+
+export const METEORA_DLMM = 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo';
+export const METEORA_DYNAMIC_AMM = 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB';
+
+// DLMM swap variants share the first 11 accounts; the *2 variants add token programs and memo
+const DLMM_SWAPS = [
+  { name: 'swap', exactIn: true },
+  { name: 'swap2', exactIn: true },
+  { name: 'swap_with_price_impact', exactIn: true },
+  { name: 'swap_with_price_impact2', exactIn: true },
+  { name: 'swap_exact_out', exactIn: false },
+  { name: 'swap_exact_out2', exactIn: false }
+].map(swap => ({ ...swap, discriminator: anchorDiscriminator(swap.name) }));
+
+const DYNAMIC_AMM_SWAP = anchorDiscriminator('swap');
+
+/**
+ * Decode all Meteora DLMM and dynamic AMM swap instructions (top-level and CPI) into normalized swap legs
+ */
+export function decodeMeteoraSwaps(transaction) {
+  const legs = [];
+
+  for (const ix of getAllInstructions(transaction)) {
+    let leg = null;
+    try {
+      if (ix.programId === METEORA_DLMM) {
+        leg = decodeDlmmSwap(transaction, ix);
+      } else if (ix.programId === METEORA_DYNAMIC_AMM) {
+        leg = decodeDynamicAmmSwap(transaction, ix);
+      }
+    } catch (error) {
+      // Malformed or unexpected layout: let the caller fall back to balance analysis
+      leg = null;
+    }
+
+    if (leg) {
+      legs.push(leg);
+    }
+  }
+
+  return legs;
+}
+
+/**
+ * DLMM swap(amount_in, min_amount_out) / swap_exact_out(max_in_amount, out_amount) /
+ * swap_with_price_impact(amount_in, active_id, max_price_impact_bps)
+ * Accounts: lb_pair, bin_array_bitmap_extension, reserve_x, reserve_y, user_token_in, user_token_out,
+ * token_x_mint, token_y_mint, oracle, host_fee_in, user, ...
+ */
+function decodeDlmmSwap(transaction, ix) {
+  const swap = DLMM_SWAPS.find(s => hasDiscriminator(ix.data, s.discriminator));
+  if (!swap || ix.data.length < 16 || ix.accounts.length < 11) return null;
+
+  const accounts = ix.accounts;
+  const first = ix.data.readBigUInt64LE(8);
+  // swap_with_price_impact only carries the input amount
+  const second = ix.data.length >= 24 && !swap.name.startsWith('swap_with_price_impact')
+    ? ix.data.readBigUInt64LE(16)
+    : undefined;
+
+  return buildSwapLeg(transaction, {
+    dex: 'meteora',
+    program: 'meteora-dlmm',
+    programId: ix.programId,
+    instruction: swap.name,
+    pool: accounts[0],
+    user: accounts[10],
+    sourceAccount: accounts[4],
+    destinationAccount: accounts[5],
+    // Reserves are ordered x/y, not input/output
+    vaults: [accounts[2], accounts[3]],
+    exactIn: swap.exactIn,
+    ...(swap.exactIn
+      ? { amountIn: first, minimumAmountOut: second }
+      : { maxAmountIn: first, amountOut: second }),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
+
+/**
+ * Dynamic AMM swap(in_amount, minimum_out_amount)
+ * Accounts: pool, user_source_token, user_destination_token, a_vault, b_vault, a_token_vault,
+ * b_token_vault, a_vault_lp_mint, b_vault_lp_mint, a_vault_lp, b_vault_lp, protocol_token_fee, user, ...
+ */
+function decodeDynamicAmmSwap(transaction, ix) {
+  if (!hasDiscriminator(ix.data, DYNAMIC_AMM_SWAP) || ix.data.length < 24 || ix.accounts.length < 13) return null;
+
+  const accounts = ix.accounts;
+
+  return buildSwapLeg(transaction, {
+    dex: 'meteora',
+    program: 'meteora-amm',
+    programId: ix.programId,
+    instruction: 'swap',
+    pool: accounts[0],
+    user: accounts[12],
+    sourceAccount: accounts[1],
+    destinationAccount: accounts[2],
+    // Tokens sit in shared Meteora vaults, ordered a/b
+    vaults: [accounts[5], accounts[6]],
+    exactIn: true,
+    amountIn: ix.data.readBigUInt64LE(8),
+    minimumAmountOut: ix.data.readBigUInt64LE(16),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
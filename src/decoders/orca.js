@@ -0,0 +1,82 @@
+import { getAllInstructions, anchorDiscriminator, hasDiscriminator } from '../transaction-utils.js';
+import { buildSwapLeg } from './swap-leg.js';
+
+export const ORCA_WHIRLPOOL = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+
+const SWAP = anchorDiscriminator('swap');
+const SWAP_V2 = anchorDiscriminator('swap_v2');
+
+// Account positions per layout (swap has no mint accounts)
+const SWAP_ACCOUNTS = { authority: 1, whirlpool: 2, ownerA: 3, vaultA: 4, ownerB: 5, vaultB: 6 };
+const V2_ACCOUNTS = { authority: 3, whirlpool: 4, mintA: 5, mintB: 6, ownerA: 7, vaultA: 8, ownerB: 9, vaultB: 10 };
+
+/**
+ * Decode all Orca Whirlpool swap instructions (top-level and CPI) into normalized swap legs
+ */
+export function decodeOrcaSwaps(transaction) {
+  const legs = [];
+
+  for (const ix of getAllInstructions(transaction)) {
+    if (ix.programId !== ORCA_WHIRLPOOL) continue;
+
+    let leg = null;
+    try {
+      leg = decodeWhirlpoolSwap(transaction, ix);
+    } catch (error) {
+      // Malformed or unexpected layout: let the caller fall back to balance analysis
+      leg = null;
+    }
+
+    if (leg) {
+      legs.push(leg);
+    }
+  }
+
+  return legs;
+}
+
+/**
+ * swap / swap_v2(amount, other_amount_threshold, sqrt_price_limit u128, amount_specified_is_input, a_to_b)
+ * swap accounts: token_program, token_authority, whirlpool, token_owner_account_a, token_vault_a,
+ * token_owner_account_b, token_vault_b, tick_array_0..2, oracle
+ * swap_v2 accounts: token_program_a, token_program_b, memo_program, token_authority, whirlpool,
+ * token_mint_a, token_mint_b, token_owner_account_a, token_vault_a, token_owner_account_b, token_vault_b, ...
+ */
+function decodeWhirlpoolSwap(transaction, ix) {
+  const isV2 = hasDiscriminator(ix.data, SWAP_V2);
+  if ((!isV2 && !hasDiscriminator(ix.data, SWAP)) || ix.data.length < 42) return null;
+
+  const accounts = ix.accounts;
+  if (accounts.length < (isV2 ? 11 : 7)) return null;
+
+  const amount = ix.data.readBigUInt64LE(8);
+  const threshold = ix.data.readBigUInt64LE(16);
+  const isInput = ix.data.readUInt8(40) === 1;
+  const aToB = ix.data.readUInt8(41) === 1;
+
+  const layout = isV2 ? V2_ACCOUNTS : SWAP_ACCOUNTS;
+  const a = { mint: accounts[layout.mintA], account: accounts[layout.ownerA], vault: accounts[layout.vaultA] };
+  const b = { mint: accounts[layout.mintB], account: accounts[layout.ownerB], vault: accounts[layout.vaultB] };
+  const [input, output] = aToB ? [a, b] : [b, a];
+
+  return buildSwapLeg(transaction, {
+    dex: 'orca',
+    program: 'orca-whirlpool',
+    programId: ix.programId,
+    instruction: isV2 ? 'swapV2' : 'swap',
+    pool: accounts[layout.whirlpool],
+    user: accounts[layout.authority],
+    inputMint: input.mint,
+    outputMint: output.mint,
+    sourceAccount: input.account,
+    destinationAccount: output.account,
+    inputVault: input.vault,
+    outputVault: output.vault,
+    exactIn: isInput,
+    ...(isInput
+      ? { amountIn: amount, minimumAmountOut: threshold }
+      : { amountOut: amount, maxAmountIn: threshold }),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
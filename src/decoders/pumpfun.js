@@ -0,0 +1,272 @@
+import bs58 from 'bs58';
+import {
+  WSOL_MINT,
+  getAllInstructions,
+  anchorDiscriminator,
+  hasDiscriminator,
+  getLamportChange,
+  readBorshString,
+  toUiAmount
+} from '../transaction-utils.js';
+import { buildSwapLeg } from './swap-leg.js';
+
+export const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+export const PUMPSWAP_PROGRAM = 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA';
+
+// Bonding curve tokens are always minted with 6 decimals
+const PUMP_TOKEN_DECIMALS = 6;
+const SOL_DECIMALS = 9;
+
+const BUY = anchorDiscriminator('buy');
+const SELL = anchorDiscriminator('sell');
+const CREATE = anchorDiscriminator('create');
+const CREATE_V2 = anchorDiscriminator('create_v2');
+const CREATE_POOL = anchorDiscriminator('create_pool');
+
+// Anchor emit_cpi! events: self-invoke with [event ix tag][event discriminator][event data]
+const EVENT_IX_TAG = anchorDiscriminator('event', 'anchor');
+const TRADE_EVENT = anchorDiscriminator('TradeEvent', 'event');
+
+/**
+ * Decode pump.fun bonding curve and PumpSwap AMM instructions
+ * Returns { swaps, creates }: normalized swap legs for buys/sells and token/pool creations
+ */
+export function decodePumpFunInstructions(transaction) {
+  const swaps = [];
+  const creates = [];
+  const instructions = getAllInstructions(transaction);
+  const tradeEvents = decodeTradeEvents(instructions);
+
+  for (const ix of instructions) {
+    let decoded = null;
+    try {
+      if (ix.programId === PUMP_FUN_PROGRAM) {
+        decoded = decodeBondingCurveInstruction(transaction, ix, tradeEvents);
+      } else if (ix.programId === PUMPSWAP_PROGRAM) {
+        decoded = decodePumpSwapInstruction(transaction, ix);
+      }
+    } catch (error) {
+      // Malformed or unexpected layout: let the caller fall back to balance analysis
+      decoded = null;
+    }
+
+    if (decoded?.type === 'swap') {
+      swaps.push(decoded);
+    } else if (decoded?.type === 'create') {
+      creates.push(decoded);
+    }
+  }
+
+  return { swaps, creates };
+}
+
+/**
+ * Decode TradeEvent self-CPIs which carry the exact SOL and token amounts of each trade
+ * TradeEvent: mint, sol_amount u64, token_amount u64, is_buy bool, user, timestamp i64, ...
+ */
+function decodeTradeEvents(instructions) {
+  const events = [];
+  for (const ix of instructions) {
+    if (ix.programId !== PUMP_FUN_PROGRAM || !hasDiscriminator(ix.data, EVENT_IX_TAG)) continue;
+    const event = decodeTradeEvent(ix.data.subarray(8));
+    if (event) {
+      events.push({ ...event, outerIndex: ix.outerIndex, used: false });
+    }
+  }
+  return events;
+}
+
+/**
+ * Decode TradeEvent data (discriminator included)
+ */
+function decodeTradeEvent(data) {
+  if (!hasDiscriminator(data, TRADE_EVENT) || data.length < 89) {
+    return null;
+  }
+  return {
+    mint: bs58.encode(data.subarray(8, 40)),
+    solAmount: data.readBigUInt64LE(40),
+    tokenAmount: data.readBigUInt64LE(48),
+    isBuy: data.readUInt8(56) === 1,
+    user: bs58.encode(data.subarray(57, 89))
+  };
+}
+
+/**
+ * Read trade hints from the TradeEvent the program also logs as "Program data:"
+ * Lets candidates be scored from the log notification, before fetching the transaction
+ */
+export function decodePumpFunLogHints(logs) {
+  for (const line of logs || []) {
+    if (!line.startsWith('Program data: ')) continue;
+    const event = decodeTradeEvent(Buffer.from(line.slice('Program data: '.length), 'base64'));
+    if (event) {
+      return {
+        user: event.user,
+        mint: event.mint,
+        solAmount: toUiAmount(event.solAmount, SOL_DECIMALS),
+        direction: event.isBuy ? 'buy' : 'sell'
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Take the first unused trade event of the same outer instruction, mint and user
+ */
+function takeTradeEvent(tradeEvents, ix, mint, user) {
+  const event = tradeEvents.find(e =>
+    !e.used && e.outerIndex === ix.outerIndex && e.mint === mint && e.user === user
+  );
+  if (event) {
+    event.used = true;
+  }
+  return event || null;
+}
+
+/**
+ * Bonding curve buy(amount, max_sol_cost) / sell(amount, min_sol_output) / create(name, symbol, uri)
+ * / create_v2(name, symbol, uri, ...)
+ * Trade accounts: global, fee_recipient, mint, bonding_curve, associated_bonding_curve, associated_user, user, ...
+ * Create accounts: mint, mint_authority, bonding_curve, associated_bonding_curve, global, mpl_token_metadata,
+ * metadata, user, ...
+ * create_v2 (Token-2022 mint, metadata in the mint) drops the two Metaplex accounts: ..., global, user, ...
+ */
+function decodeBondingCurveInstruction(transaction, ix, tradeEvents) {
+  const accounts = ix.accounts;
+  const isCreateV2 = hasDiscriminator(ix.data, CREATE_V2);
+
+  if ((hasDiscriminator(ix.data, CREATE) || isCreateV2) && accounts.length >= (isCreateV2 ? 6 : 8)) {
+    const name = readBorshString(ix.data, 8);
+    const symbol = readBorshString(ix.data, name.offset);
+    const uri = readBorshString(ix.data, symbol.offset);
+
+    return {
+      type: 'create',
+      dex: 'pumpfun',
+      program: 'pumpfun',
+      programId: ix.programId,
+      mint: accounts[0],
+      quoteMint: WSOL_MINT,
+      pool: accounts[2],
+      creator: accounts[isCreateV2 ? 5 : 7],
+      name: name.value,
+      symbol: symbol.value,
+      uri: uri.value,
+      isInner: ix.isInner,
+      instructionIndex: ix.index
+    };
+  }
+
+  const isBuy = hasDiscriminator(ix.data, BUY);
+  if ((!isBuy && !hasDiscriminator(ix.data, SELL)) || ix.data.length < 24 || accounts.length < 7) {
+    return null;
+  }
+
+  const tokenAmount = ix.data.readBigUInt64LE(8);
+  const solLimit = ix.data.readBigUInt64LE(16);
+  const mint = accounts[2];
+  const user = accounts[6];
+  const event = takeTradeEvent(tradeEvents, ix, mint, user);
+
+  // SOL moves natively in and out of the bonding curve account, not through a token account
+  const curveChange = getLamportChange(transaction, accounts[3]);
+  const solAmount = event?.solAmount ?? (curveChange !== null ? (curveChange < 0n ? -curveChange : curveChange) : null);
+
+  const common = {
+    dex: 'pumpfun',
+    program: 'pumpfun',
+    programId: ix.programId,
+    pool: accounts[3],
+    user,
+    exactIn: !isBuy,
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  };
+
+  if (isBuy) {
+    return buildSwapLeg(transaction, {
+      ...common,
+      instruction: 'buy',
+      inputMint: WSOL_MINT,
+      outputMint: mint,
+      inputDecimals: SOL_DECIMALS,
+      outputDecimals: PUMP_TOKEN_DECIMALS,
+      destinationAccount: accounts[5],
+      amountIn: solAmount ?? undefined,
+      amountOut: event?.tokenAmount ?? tokenAmount,
+      maxAmountIn: solLimit
+    });
+  }
+
+  return buildSwapLeg(transaction, {
+    ...common,
+    instruction: 'sell',
+    inputMint: mint,
+    outputMint: WSOL_MINT,
+    inputDecimals: PUMP_TOKEN_DECIMALS,
+    outputDecimals: SOL_DECIMALS,
+    sourceAccount: accounts[5],
+    amountIn: event?.tokenAmount ?? tokenAmount,
+    amountOut: solAmount ?? undefined,
+    minimumAmountOut: solLimit
+  });
+}
+
+/**
+ * PumpSwap buy(base_amount_out, max_quote_amount_in) / sell(base_amount_in, min_quote_amount_out)
+ * Trade accounts: pool, user, global_config, base_mint, quote_mint, user_base_token_account,
+ * user_quote_token_account, pool_base_token_account, pool_quote_token_account, ...
+ * create_pool accounts: pool, global_config, creator, base_mint, quote_mint, lp_mint, ...
+ */
+function decodePumpSwapInstruction(transaction, ix) {
+  const accounts = ix.accounts;
+
+  if (hasDiscriminator(ix.data, CREATE_POOL) && accounts.length >= 5) {
+    return {
+      type: 'create',
+      dex: 'pumpswap',
+      program: 'pumpswap',
+      programId: ix.programId,
+      mint: accounts[3],
+      quoteMint: accounts[4],
+      pool: accounts[0],
+      creator: accounts[2],
+      isInner: ix.isInner,
+      instructionIndex: ix.index
+    };
+  }
+
+  const isBuy = hasDiscriminator(ix.data, BUY);
+  if ((!isBuy && !hasDiscriminator(ix.data, SELL)) || ix.data.length < 24 || accounts.length < 9) {
+    return null;
+  }
+
+  const baseAmount = ix.data.readBigUInt64LE(8);
+  const quoteLimit = ix.data.readBigUInt64LE(16);
+  const base = { mint: accounts[3], user: accounts[5], pool: accounts[7] };
+  const quote = { mint: accounts[4], user: accounts[6], pool: accounts[8] };
+  const [input, output] = isBuy ? [quote, base] : [base, quote];
+
+  return buildSwapLeg(transaction, {
+    dex: 'pumpswap',
+    program: 'pumpswap',
+    programId: ix.programId,
+    instruction: isBuy ? 'buy' : 'sell',
+    pool: accounts[0],
+    user: accounts[1],
+    inputMint: input.mint,
+    outputMint: output.mint,
+    sourceAccount: input.user,
+    destinationAccount: output.user,
+    inputVault: input.pool,
+    outputVault: output.pool,
+    exactIn: !isBuy,
+    ...(isBuy
+      ? { amountOut: baseAmount, maxAmountIn: quoteLimit }
+      : { amountIn: baseAmount, minimumAmountOut: quoteLimit }),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
@@ -0,0 +1,282 @@
+import { QUOTE_MINTS, getAllInstructions, anchorDiscriminator, hasDiscriminator, toUiAmount } from '../transaction-utils.js';
+import { buildSwapLeg } from './swap-leg.js';
+
+export const RAYDIUM_AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+export const RAYDIUM_CPMM = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+export const RAYDIUM_CLMM = 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK';
+
+// AMM v4 is a native program with a one-byte instruction tag
+const AMM_V4_INITIALIZE2 = 1;
+const AMM_V4_SWAP_BASE_IN = 9;
+const AMM_V4_SWAP_BASE_OUT = 11;
+const AMM_V4_SWAP_BASE_IN_V2 = 16;
+const AMM_V4_SWAP_BASE_OUT_V2 = 17;
+
+// AMM v4 ray_log types and swap directions
+const RAY_LOG_SWAP_BASE_IN = 3;
+const RAY_LOG_SWAP_BASE_OUT = 4;
+const RAY_LOG_PC_TO_COIN = 1n;
+
+// CPMM and CLMM are Anchor programs
+const CPMM_SWAP_BASE_INPUT = anchorDiscriminator('swap_base_input');
+const CPMM_SWAP_BASE_OUTPUT = anchorDiscriminator('swap_base_output');
+const CPMM_INITIALIZE = anchorDiscriminator('initialize');
+const CLMM_SWAP = anchorDiscriminator('swap');
+const CLMM_SWAP_V2 = anchorDiscriminator('swap_v2');
+
+/**
+ * Decode all Raydium swap instructions (top-level and CPI) into normalized swap legs
+ */
+export function decodeRaydiumSwaps(transaction) {
+  const legs = [];
+
+  for (const ix of getAllInstructions(transaction)) {
+    let leg = null;
+    try {
+      if (ix.programId === RAYDIUM_AMM_V4) {
+        leg = decodeAmmV4Swap(transaction, ix);
+      } else if (ix.programId === RAYDIUM_CPMM) {
+        leg = decodeCpmmSwap(transaction, ix);
+      } else if (ix.programId === RAYDIUM_CLMM) {
+        leg = decodeClmmSwap(transaction, ix);
+      }
+    } catch (error) {
+      // Malformed or unexpected layout: let the caller fall back to balance analysis
+      leg = null;
+    }
+
+    if (leg) {
+      legs.push(leg);
+    }
+  }
+
+  return legs;
+}
+
+/**
+ * AMM v4: [tag u8][u64][u64]
+ * Legacy layout (17/18 accounts) ends with user source, user destination, user owner
+ * V2 layout (8 accounts): token program, amm, authority, coin vault, pc vault, source, destination, owner
+ */
+function decodeAmmV4Swap(transaction, ix) {
+  if (ix.data.length < 17) return null;
+
+  const tag = ix.data.readUInt8(0);
+  const isBaseIn = tag === AMM_V4_SWAP_BASE_IN || tag === AMM_V4_SWAP_BASE_IN_V2;
+  const isBaseOut = tag === AMM_V4_SWAP_BASE_OUT || tag === AMM_V4_SWAP_BASE_OUT_V2;
+  if (!isBaseIn && !isBaseOut) return null;
+
+  const accounts = ix.accounts;
+  if (accounts.length < 8) return null;
+
+  const first = ix.data.readBigUInt64LE(1);
+  const second = ix.data.readBigUInt64LE(9);
+  const n = accounts.length;
+  // Coin/pc vaults: 3-4 in the V2 layout, 4-5 without target orders (17 accounts), else 5-6
+  const coinVaultIndex = n === 8 ? 3 : (n === 17 ? 4 : 5);
+
+  return buildSwapLeg(transaction, {
+    dex: 'raydium',
+    program: 'raydium-amm-v4',
+    programId: ix.programId,
+    instruction: isBaseIn ? 'swapBaseIn' : 'swapBaseOut',
+    pool: accounts[1],
+    sourceAccount: accounts[n - 3],
+    destinationAccount: accounts[n - 2],
+    user: accounts[n - 1],
+    vaults: [accounts[coinVaultIndex], accounts[coinVaultIndex + 1]],
+    exactIn: isBaseIn,
+    ...(isBaseIn
+      ? { amountIn: first, minimumAmountOut: second }
+      : { maxAmountIn: first, amountOut: second }),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
+
+/**
+ * Log hints from the AMM v4 "ray_log" line of a swap, without fetching the transaction
+ * SwapBaseIn: [type u8][amount_in][minimum_out][direction][user_source][pool_coin][pool_pc][out_amount]
+ * SwapBaseOut: [type u8][max_in][amount_out][direction][user_source][pool_coin][pool_pc][deduct_in]
+ * The log names neither the user nor the mints: the pc (quote) side is taken as SOL, as it is for
+ * pools launched against WSOL, and direction 1 (pc to coin) is a buy
+ */
+export function decodeRaydiumLogHints(logs) {
+  const line = logs.find(l => l.startsWith('Program log: ray_log: '));
+  if (!line) {
+    return null;
+  }
+
+  const data = Buffer.from(line.slice('Program log: ray_log: '.length), 'base64');
+  const type = data.length >= 57 ? data.readUInt8(0) : null;
+  if (type !== RAY_LOG_SWAP_BASE_IN && type !== RAY_LOG_SWAP_BASE_OUT) {
+    return null;
+  }
+
+  const isBuy = data.readBigUInt64LE(17) === RAY_LOG_PC_TO_COIN;
+  const pcAmount = type === RAY_LOG_SWAP_BASE_IN
+    ? (isBuy ? data.readBigUInt64LE(1) : data.readBigUInt64LE(49)) // amount_in : out_amount
+    : (isBuy ? data.readBigUInt64LE(49) : data.readBigUInt64LE(9)); // deduct_in : amount_out
+
+  return {
+    user: null,
+    mint: null,
+    solAmount: toUiAmount(pcAmount, 9),
+    direction: isBuy ? 'buy' : 'sell'
+  };
+}
+
+/**
+ * CPMM swap_base_input(amount_in, minimum_amount_out) / swap_base_output(max_amount_in, amount_out)
+ * Accounts: payer, authority, amm_config, pool_state, input_token_account, output_token_account,
+ * input_vault, output_vault, input_token_program, output_token_program, input_mint, output_mint, observation
+ */
+function decodeCpmmSwap(transaction, ix) {
+  const isBaseIn = hasDiscriminator(ix.data, CPMM_SWAP_BASE_INPUT);
+  const isBaseOut = hasDiscriminator(ix.data, CPMM_SWAP_BASE_OUTPUT);
+  if ((!isBaseIn && !isBaseOut) || ix.data.length < 24 || ix.accounts.length < 12) return null;
+
+  const first = ix.data.readBigUInt64LE(8);
+  const second = ix.data.readBigUInt64LE(16);
+
+  return buildSwapLeg(transaction, {
+    dex: 'raydium',
+    program: 'raydium-cpmm',
+    programId: ix.programId,
+    instruction: isBaseIn ? 'swapBaseInput' : 'swapBaseOutput',
+    pool: ix.accounts[3],
+    user: ix.accounts[0],
+    sourceAccount: ix.accounts[4],
+    destinationAccount: ix.accounts[5],
+    inputVault: ix.accounts[6],
+    outputVault: ix.accounts[7],
+    inputMint: ix.accounts[10],
+    outputMint: ix.accounts[11],
+    exactIn: isBaseIn,
+    ...(isBaseIn
+      ? { amountIn: first, minimumAmountOut: second }
+      : { maxAmountIn: first, amountOut: second }),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
+
+/**
+ * CLMM swap / swap_v2(amount, other_amount_threshold, sqrt_price_limit_x64, is_base_input)
+ * Accounts: payer, amm_config, pool_state, input_token_account, output_token_account, input_vault,
+ * output_vault, observation_state, ... (swap_v2 adds input/output vault mints at 11 and 12)
+ */
+function decodeClmmSwap(transaction, ix) {
+  const isV2 = hasDiscriminator(ix.data, CLMM_SWAP_V2);
+  if ((!isV2 && !hasDiscriminator(ix.data, CLMM_SWAP)) || ix.data.length < 41 || ix.accounts.length < 7) return null;
+
+  const amount = ix.data.readBigUInt64LE(8);
+  const threshold = ix.data.readBigUInt64LE(16);
+  const isBaseInput = ix.data.readUInt8(40) === 1;
+
+  return buildSwapLeg(transaction, {
+    dex: 'raydium',
+    program: 'raydium-clmm',
+    programId: ix.programId,
+    instruction: isV2 ? 'swapV2' : 'swap',
+    pool: ix.accounts[2],
+    user: ix.accounts[0],
+    sourceAccount: ix.accounts[3],
+    destinationAccount: ix.accounts[4],
+    inputVault: ix.accounts[5],
+    outputVault: ix.accounts[6],
+    inputMint: isV2 ? ix.accounts[11] : undefined,
+    outputMint: isV2 ? ix.accounts[12] : undefined,
+    exactIn: isBaseInput,
+    ...(isBaseInput
+      ? { amountIn: amount, minimumAmountOut: threshold }
+      : { amountOut: amount, maxAmountIn: threshold }),
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  });
+}
+
+/**
+ * Decode Raydium pool creations (AMM v4 initialize2, CPMM initialize)
+ */
+export function decodeRaydiumPoolCreations(transaction) {
+  const creates = [];
+
+  for (const ix of getAllInstructions(transaction)) {
+    let create = null;
+    try {
+      if (ix.programId === RAYDIUM_AMM_V4) {
+        create = decodeAmmV4Initialize(ix);
+      } else if (ix.programId === RAYDIUM_CPMM) {
+        create = decodeCpmmInitialize(ix);
+      }
+    } catch (error) {
+      create = null;
+    }
+
+    if (create) {
+      creates.push(create);
+    }
+  }
+
+  return creates;
+}
+
+/**
+ * The launched token is the side that isn't a quote mint (coin/token 0 when neither is)
+ */
+function buildPoolCreation(ix, fields) {
+  const [mint, quoteMint] = QUOTE_MINTS.has(fields.mintA) && !QUOTE_MINTS.has(fields.mintB)
+    ? [fields.mintB, fields.mintA]
+    : [fields.mintA, fields.mintB];
+
+  return {
+    type: 'create',
+    dex: 'raydium',
+    program: fields.program,
+    programId: ix.programId,
+    mint,
+    quoteMint,
+    pool: fields.pool,
+    creator: fields.creator,
+    openTime: fields.openTime ? Number(fields.openTime) : null,
+    isInner: ix.isInner,
+    instructionIndex: ix.index
+  };
+}
+
+/**
+ * AMM v4 initialize2: [tag u8][nonce u8][open_time u64][init_pc_amount u64][init_coin_amount u64]
+ * Accounts: token_program, ata_program, system_program, rent, amm, amm_authority, open_orders, lp_mint,
+ * coin_mint, pc_mint, coin_vault, pc_vault, withdraw_queue, target_orders, temp_lp, serum_program,
+ * serum_market, user_wallet, ...
+ */
+function decodeAmmV4Initialize(ix) {
+  if (ix.data.length < 10 || ix.data.readUInt8(0) !== AMM_V4_INITIALIZE2 || ix.accounts.length < 18) return null;
+
+  return buildPoolCreation(ix, {
+    program: 'raydium-amm-v4',
+    pool: ix.accounts[4],
+    mintA: ix.accounts[8],
+    mintB: ix.accounts[9],
+    creator: ix.accounts[17],
+    openTime: ix.data.readBigUInt64LE(2)
+  });
+}
+
+/**
+ * CPMM initialize(init_amount_0, init_amount_1, open_time)
+ * Accounts: creator, amm_config, authority, pool_state, token_0_mint, token_1_mint, ...
+ */
+function decodeCpmmInitialize(ix) {
+  if (!hasDiscriminator(ix.data, CPMM_INITIALIZE) || ix.data.length < 32 || ix.accounts.length < 6) return null;
+
+  return buildPoolCreation(ix, {
+    program: 'raydium-cpmm',
+    pool: ix.accounts[3],
+    mintA: ix.accounts[4],
+    mintB: ix.accounts[5],
+    creator: ix.accounts[0],
+    openTime: ix.data.readBigUInt64LE(24)
+  });
+}
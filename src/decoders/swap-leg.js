@@ -0,0 +1,78 @@
+import { getTokenAccountChange, getSwapDirection, toUiAmount } from '../transaction-utils.js';
+
+/**
+ * Build a normalized swap leg from decoded instruction fields
+ * Mints, decimals and actual amounts come from the token balances of the user's
+ * source and destination accounts, then from the pool vaults (wrapped SOL accounts are
+ * often opened and closed inside the transaction), then from the instruction amounts
+ */
+export function buildSwapLeg(transaction, fields) {
+  const { inputVault, outputVault } = resolveVaults(transaction, fields);
+  const source = getTokenAccountChange(transaction, fields.sourceAccount) || invertChange(inputVault);
+  const destination = getTokenAccountChange(transaction, fields.destinationAccount) || invertChange(outputVault);
+
+  const inputMint = fields.inputMint || source?.mint || null;
+  const outputMint = fields.outputMint || destination?.mint || null;
+  const inputDecimals = source?.decimals ?? fields.inputDecimals ?? null;
+  const outputDecimals = destination?.decimals ?? fields.outputDecimals ?? null;
+
+  // Actual amounts moved by the user's accounts, falling back to the instruction amounts
+  const rawAmountIn = source && source.change < 0n ? -source.change : (fields.amountIn ?? null);
+  const rawAmountOut = destination && destination.change > 0n ? destination.change : (fields.amountOut ?? null);
+
+  return {
+    type: 'swap',
+    dex: fields.dex,
+    program: fields.program,
+    programId: fields.programId,
+    instruction: fields.instruction,
+    pool: fields.pool || null,
+    user: fields.user || source?.owner || destination?.owner || null,
+    inputMint,
+    outputMint,
+    amountIn: inputDecimals !== null ? toUiAmount(rawAmountIn, inputDecimals) : null,
+    amountOut: outputDecimals !== null ? toUiAmount(rawAmountOut, outputDecimals) : null,
+    rawAmountIn: rawAmountIn !== null ? rawAmountIn.toString() : null,
+    rawAmountOut: rawAmountOut !== null ? rawAmountOut.toString() : null,
+    minimumAmountOut: fields.minimumAmountOut !== undefined && outputDecimals !== null
+      ? toUiAmount(fields.minimumAmountOut, outputDecimals)
+      : null,
+    maxAmountIn: fields.maxAmountIn !== undefined && inputDecimals !== null
+      ? toUiAmount(fields.maxAmountIn, inputDecimals)
+      : null,
+    exactIn: fields.exactIn ?? true,
+    direction: getSwapDirection(inputMint, outputMint),
+    isInner: Boolean(fields.isInner),
+    instructionIndex: fields.instructionIndex ?? null
+  };
+}
+
+/**
+ * Find the pool's input and output vault changes
+ * Decoders pass inputVault/outputVault when the layout orders them, or vaults when it doesn't
+ */
+function resolveVaults(transaction, fields) {
+  if (fields.inputVault || fields.outputVault) {
+    return {
+      inputVault: getTokenAccountChange(transaction, fields.inputVault),
+      outputVault: getTokenAccountChange(transaction, fields.outputVault)
+    };
+  }
+
+  const changes = (fields.vaults || [])
+    .map(vault => getTokenAccountChange(transaction, vault))
+    .filter(Boolean);
+
+  return {
+    inputVault: changes.find(c => c.change > 0n) || null, // pool receives the input
+    outputVault: changes.find(c => c.change < 0n) || null // and pays out the output
+  };
+}
+
+/**
+ * A vault moves the opposite way of the user's account
+ */
+function invertChange(vaultChange) {
+  if (!vaultChange) return null;
+  return { ...vaultChange, owner: null, change: -vaultChange.change };
+}
@@ -0,0 +1,69 @@
+/**
+ * Detection Effects
+ * Records what processing a detection changed in memory (counters, tracker entries, cluster
+ * membership) so that a detection retracted after finality can be undone exactly
+ */
+export class DetectionEffects {
+  constructor() {
+    this.counters = []; // [{ target, field, by }]
+    this.entries = []; // [{ tracker, entry }]
+    this.reverts = []; // callbacks for effects their owner knows how to undo
+  }
+
+  /**
+   * Increment a counter and remember it
+   */
+  increment(target, field, by = 1) {
+    target[field] = (target[field] || 0) + by;
+    this.counted(target, field, by);
+  }
+
+  /**
+   * Remember a counter increment made elsewhere (e.g. inside a tracker)
+   */
+  counted(target, field, by = 1) {
+    this.counters.push({ target, field, by });
+  }
+
+  /**
+   * Remember an entry pushed to one or more of a tracker's lists
+   */
+  tracked(tracker, entry) {
+    if (entry) {
+      this.entries.push({ tracker, entry });
+    }
+  }
+
+  /**
+   * Remember how to undo an effect that cannot be expressed as a counter or list entry
+   */
+  onRevert(callback) {
+    this.reverts.push(callback);
+  }
+
+  /**
+   * Undo every recorded effect (newest first) and forget them
+   */
+  revert() {
+    for (const callback of this.reverts.reverse()) {
+      callback();
+    }
+
+    // Trackers reassign their lists when pruning, so look the lists up at revert time
+    for (const { tracker, entry } of this.entries) {
+      for (const [list, items] of Object.entries(tracker)) {
+        if (Array.isArray(items)) {
+          tracker[list] = items.filter(item => item !== entry);
+        }
+      }
+    }
+
+    for (const { target, field, by } of this.counters) {
+      target[field] -= by;
+    }
+
+    this.counters = [];
+    this.entries = [];
+    this.reverts = [];
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Finality Checker
+ * Re-checks detections at finalized commitment and reports the ones whose transactions never finalized
+ */
+export class FinalityChecker {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = {
+      // Finalization takes ~32 slots (~13s); give the cluster some slack before checking
+      delayMs: config.delayMs || 45000,
+      maxAttempts: config.maxAttempts || 3,
+      batchSize: config.batchSize || 256, // getSignatureStatuses limit
+      maxPending: config.maxPending || 5000
+    };
+
+    this.pending = new Map(); // signature -> { data, trackedAt, nextCheckAt, attempts }
+    this.stats = {
+      finalized: 0,
+      retracted: 0
+    };
+  }
+
+  /**
+   * Queue a signature for a finalized re-check; data is handed back if it gets retracted
+   */
+  track(signature, data = {}) {
+    if (!signature || this.pending.has(signature)) {
+      return;
+    }
+    const now = Date.now();
+    this.pending.set(signature, { data, trackedAt: now, nextCheckAt: now + this.config.delayMs, attempts: 0 });
+    while (this.pending.size > this.config.maxPending) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+  }
+
+  /**
+   * Check due signatures; returns [{ signature, data, reason }] for transactions to retract
+   * reason is 'failed' (finalized with an error) or 'dropped' (never finalized, e.g. a reorg)
+   */
+  async check(now = Date.now()) {
+    const due = Array.from(this.pending.entries())
+      .filter(([, entry]) => entry.nextCheckAt <= now)
+      .slice(0, this.config.batchSize);
+    if (due.length === 0) {
+      return [];
+    }
+
+    const response = await this.connection.getSignatureStatuses(
+      due.map(([signature]) => signature),
+      { searchTransactionHistory: true }
+    );
+    const statuses = response?.value || [];
+
+    const retracted = [];
+    due.forEach(([signature, entry], index) => {
+      const status = statuses[index];
+      if (status?.err) {
+        retracted.push(this.retract(signature, entry, 'failed'));
+      } else if (status?.confirmationStatus === 'finalized') {
+        this.pending.delete(signature);
+        this.stats.finalized++;
+      } else if (++entry.attempts >= this.config.maxAttempts) {
+        // Still unknown or only confirmed after several delays: the fork it landed on was abandoned
+        retracted.push(this.retract(signature, entry, 'dropped'));
+      } else {
+        entry.nextCheckAt = now + this.config.delayMs;
+      }
+    });
+
+    return retracted;
+  }
+
+  /**
+   * Stop tracking a signature and describe the retraction
+   */
+  retract(signature, entry, reason) {
+    this.pending.delete(signature);
+    this.stats.retracted++;
+    return { signature, data: entry.data, reason };
+  }
+
+  /**
+   * Forget all pending signatures
+   */
+  clear() {
+    this.pending.clear();
+  }
+}
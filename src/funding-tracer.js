@@ -0,0 +1,159 @@
+import { SignatureHistoryFetcher } from './signature-history.js';
+import { getAccountKeys, getAllInstructions, SYSTEM_PROGRAM_ID } from './transaction-utils.js';
+
+// System Program instruction indexes that move lamports into another account
+const SYSTEM_CREATE_ACCOUNT = 0;
+const SYSTEM_TRANSFER = 2;
+const SYSTEM_TRANSFER_WITH_SEED = 11;
+
+/**
+ * Funding Source Tracer
+ * Walks back through a wallet's history to find the first inbound SOL transfer
+ * The whole history is paged to its oldest signature; when it is longer than the ceiling the
+ * funder is reported as unknown rather than guessed from recent transfers
+ */
+export class FundingTracer {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = {
+      // How many of the oldest transactions to inspect before giving up
+      maxTransactions: config.maxTransactions || 3,
+      commitment: config.commitment || 'confirmed'
+    };
+    // Funders are often busy wallets: page their full history without the freshness early exit
+    this.history = config.history || new SignatureHistoryFetcher(connection, {
+      maxSignatures: config.maxSignatures,
+      earlyExit: null
+    });
+    // Optional LookupTableResolver for v0 transactions returned without loaded addresses
+    this.lookupTables = config.lookupTables || null;
+  }
+
+  /**
+   * Find who first funded a wallet with SOL
+   * Accepts an already fetched, complete signature list (newest first) to avoid duplicate RPC calls
+   * Returns null when no inbound transfer was found and { funder: null, unknown: true, reason }
+   * when the history could not be paged back to the first transaction
+   */
+  async traceFundingSource(walletAddress, signatures = null) {
+    let history = signatures;
+    if (!history) {
+      const fetched = await this.history.getHistory(walletAddress);
+      if (!fetched.complete) {
+        return { funder: null, unknown: true, reason: 'history_incomplete', signaturesScanned: fetched.signatures.length };
+      }
+      history = fetched.signatures;
+    }
+
+    // Oldest successful transactions first
+    const candidates = [...history]
+      .reverse()
+      .filter(sig => !sig.err)
+      .slice(0, this.config.maxTransactions);
+
+    for (const candidate of candidates) {
+      const transaction = await this.connection.getTransaction(candidate.signature, {
+        commitment: this.config.commitment,
+        maxSupportedTransactionVersion: 0
+      });
+      if (transaction && this.lookupTables) {
+        await this.lookupTables.resolve(transaction);
+      }
+
+      const transfer = this.findInboundTransfer(transaction, walletAddress);
+      if (transfer) {
+        const blockTime = transaction.blockTime || candidate.blockTime;
+        return {
+          ...transfer,
+          signature: candidate.signature,
+          fundedAt: blockTime ? new Date(blockTime * 1000).toISOString() : null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find an inbound SOL transfer to the wallet inside a single transaction
+   */
+  findInboundTransfer(transaction, walletAddress) {
+    if (!transaction || !transaction.meta || transaction.meta.err) {
+      return null;
+    }
+
+    // Method 1: decode System Program transfers (top-level and CPI)
+    for (const ix of getAllInstructions(transaction)) {
+      if (ix.programId !== SYSTEM_PROGRAM_ID || ix.data.length < 12) {
+        continue;
+      }
+
+      const instructionType = ix.data.readUInt32LE(0);
+      let from = null;
+      let to = null;
+
+      if (instructionType === SYSTEM_TRANSFER || instructionType === SYSTEM_CREATE_ACCOUNT) {
+        [from, to] = ix.accounts;
+      } else if (instructionType === SYSTEM_TRANSFER_WITH_SEED) {
+        [from, , to] = ix.accounts;
+      } else {
+        continue;
+      }
+
+      if (to === walletAddress && from && from !== walletAddress) {
+        const lamports = Number(ix.data.readBigUInt64LE(4));
+        return {
+          funder: from,
+          lamports,
+          amountSol: lamports / 1e9,
+          method: 'system_transfer'
+        };
+      }
+    }
+
+    // Method 2: fall back to lamport balance changes
+    return this.findInboundFromBalances(transaction, walletAddress);
+  }
+
+  /**
+   * Infer the funder as the account that lost the most lamports while the wallet gained
+   */
+  findInboundFromBalances(transaction, walletAddress) {
+    const { preBalances, postBalances } = transaction.meta;
+    if (!preBalances || !postBalances) {
+      return null;
+    }
+
+    const accountKeys = getAccountKeys(transaction);
+    const walletIndex = accountKeys.indexOf(walletAddress);
+    if (walletIndex === -1) {
+      return null;
+    }
+
+    const received = postBalances[walletIndex] - preBalances[walletIndex];
+    if (received <= 0) {
+      return null;
+    }
+
+    let funder = null;
+    let largestDecrease = 0;
+    accountKeys.forEach((key, index) => {
+      const change = (postBalances[index] ?? 0) - (preBalances[index] ?? 0);
+      if (key !== walletAddress && change < largestDecrease) {
+        largestDecrease = change;
+        funder = key;
+      }
+    });
+
+    if (!funder) {
+      return null;
+    }
+
+    return {
+      funder,
+      lamports: received,
+      amountSol: received / 1e9,
+      method: 'balance_change'
+    };
+  }
+}
@@ -1,5 +1,6 @@
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
+import { maskUrl } from './rpc-config.js';
 
 /**
  * Helius WebSocket Connection Manager with robust reconnection logic
@@ -32,9 +33,12 @@ export class HeliusWebSocketManager extends EventEmitter {
   }
 
   /**
-   * Get WebSocket URL based on network
+   * Get WebSocket URL: the configured url (any standard PubSub endpoint), else Helius for the network
    */
   getWebSocketUrl() {
+    if (this.config.url) {
+      return this.config.url;
+    }
     const baseUrl = this.config.network === 'mainnet' 
       ? 'wss://mainnet.helius-rpc.com'
       : 'wss://devnet.helius-rpc.com';
@@ -51,7 +55,7 @@ export class HeliusWebSocketManager extends EventEmitter {
     
     try {
       const url = this.getWebSocketUrl();
-      console.log(`🔌 Connecting to Helius WebSocket: ${url.replace(this.config.apiKey, '***')}`);
+      console.log(`🔌 Connecting to WebSocket: ${maskUrl(url)}`);
       
       this.ws = new WebSocket(url);
       this.setupEventHandlers();
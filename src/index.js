@@ -5,6 +5,7 @@ import { WalletDatabase } from './database.js';
 import { SolanaMCPIntegration } from './mcp-integration.js';
 import { AnalyticsDashboard } from './analytics-dashboard.js';
 import { WebDashboard } from './web-dashboard.js';
+import { resolveRpcConfig } from './rpc-config.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,20 +33,19 @@ class FreshiesWalletTracker {
    * Load configuration from environment variables
    */
   loadConfiguration() {
-    const requiredEnvVars = ['HELIUS_API_KEY'];
-    
-    for (const envVar of requiredEnvVars) {
-      if (!process.env[envVar]) {
-        console.error(`❌ Missing required environment variable: ${envVar}`);
-        console.log('💡 Please copy env.example to .env and fill in your configuration');
-        process.exit(1);
-      }
+    // Any standard endpoint works; a Helius key is only needed for its extras
+    const rpcConfig = resolveRpcConfig();
+    if (rpcConfig.publicFallback) {
+      console.error('❌ Missing RPC configuration: set HELIUS_API_KEY, HELIUS_API_KEY_2 or RPC_URLS (and optionally WS_URLS), or SOLANA_NETWORK=localnet');
+      console.log('💡 Please copy env.example to .env and fill in your configuration');
+      process.exit(1);
     }
 
     return {
-      // Helius Configuration
+      // WebSocket Configuration (Helius, or the first of WS_URLS / RPC_URLS)
       helius: {
-        apiKey: process.env.HELIUS_API_KEY,
+        apiKey: rpcConfig.heliusApiKey,
+        url: rpcConfig.wsUrls[0],
         network: process.env.SOLANA_NETWORK || 'mainnet',
         maxRetries: parseInt(process.env.MAX_RETRIES) || 10,
         baseDelay: parseInt(process.env.BASE_DELAY) || 1000
@@ -69,7 +69,9 @@ class FreshiesWalletTracker {
         enableThrottling: process.env.ENABLE_THROTTLING !== 'false',
         maxDetectionsPerMinute: parseInt(process.env.MAX_DETECTIONS_PER_MINUTE) || 10,
         processingDelay: parseInt(process.env.PROCESSING_DELAY) || 2000,
-        samplingRate: parseFloat(process.env.SAMPLING_RATE) || 0.1
+        samplingRate: parseFloat(process.env.SAMPLING_RATE) || 0.1,
+        samplingMode: process.env.SAMPLING_MODE || 'random',
+        samplingSeed: process.env.SAMPLING_SEED
       },
       
       // MCP Configuration
@@ -308,7 +310,8 @@ class FreshiesWalletTracker {
       candidatesProcessed: throttlingStats.candidatesProcessed,
       candidatesSkipped: throttlingStats.candidatesSkipped,
       rateLimitHits: throttlingStats.rateLimitHits,
-      samplingRate: `${(throttlingStats.samplingRate * 100).toFixed(1)}%`
+      samplingRate: `${(throttlingStats.samplingRate * 100).toFixed(1)}% (${throttlingStats.samplingMode})`,
+      samplingReasons: throttlingStats.samplingReasons
     });
     console.log('================================\n');
   }
@@ -0,0 +1,245 @@
+import { WSOL_MINT } from './transaction-utils.js';
+
+/**
+ * Insider Cluster Tracker
+ * Groups fresh wallets funded by the same parent (directly or within N hops)
+ * and flags clusters whose wallets buy the same mint within a short window
+ */
+export class InsiderClusterTracker {
+  constructor(config = {}) {
+    this.config = {
+      maxHops: config.maxHops || 1,
+      minClusterSize: config.minClusterSize || 2,
+      coordinatedBuyers: config.coordinatedBuyers || 3,
+      coordinatedWindowMinutes: config.coordinatedWindowMinutes || 10,
+      retentionHours: config.retentionHours || 24,
+      maxFundingEdges: config.maxFundingEdges || 50000, // oldest edges are evicted beyond this
+      cleanupIntervalMs: config.cleanupIntervalMs ?? 60000, // expired wallets are dropped at most this often
+      // Exchanges and other hot wallets fund thousands of unrelated wallets
+      ignoredFunders: new Set(config.ignoredFunders || [])
+    };
+
+    this.fundingEdges = new Map(); // wallet -> funder
+    this.freshWallets = new Map(); // wallet -> { funder, root, hops, amountSol, fundedAt, detectedAt }
+    this.clusters = new Map(); // root funder -> cluster
+    this.lastCleanup = Date.now();
+  }
+
+  /**
+   * Record a funding edge learned from tracing (fresh wallets and their funders)
+   */
+  addFundingEdge(walletAddress, funderAddress) {
+    if (walletAddress && funderAddress && walletAddress !== funderAddress) {
+      // Re-insert so the most recently learned edges are evicted last
+      this.fundingEdges.delete(walletAddress);
+      this.fundingEdges.set(walletAddress, funderAddress);
+      while (this.fundingEdges.size > this.config.maxFundingEdges) {
+        this.fundingEdges.delete(this.fundingEdges.keys().next().value);
+      }
+    }
+  }
+
+  /**
+   * Get the known funder of a wallet
+   */
+  getFunder(walletAddress) {
+    return this.fundingEdges.get(walletAddress) || null;
+  }
+
+  /**
+   * Walk funding edges up to maxHops and return the chain of funders (nearest first)
+   */
+  getFundingChain(walletAddress) {
+    const chain = [];
+    const visited = new Set([walletAddress]);
+    let current = walletAddress;
+
+    while (chain.length < this.config.maxHops) {
+      const funder = this.fundingEdges.get(current);
+      if (!funder || visited.has(funder) || this.config.ignoredFunders.has(funder)) {
+        break;
+      }
+      chain.push(funder);
+      visited.add(funder);
+      current = funder;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Add a fresh wallet with a traced funding source
+   * Returns { cluster, isNew } when the wallet belongs to a cluster of at least minClusterSize
+   */
+  addFreshWallet(walletAddress, funding) {
+    if (Date.now() - this.lastCleanup >= this.config.cleanupIntervalMs) {
+      this.cleanup();
+    }
+
+    if (!funding || !funding.funder || this.config.ignoredFunders.has(funding.funder)) {
+      return null;
+    }
+
+    this.addFundingEdge(walletAddress, funding.funder);
+    const chain = this.getFundingChain(walletAddress);
+    if (chain.length === 0) {
+      return null;
+    }
+
+    // Wallets are grouped under the furthest known ancestor so that siblings
+    // funded through different intermediate wallets end up in one cluster
+    const root = chain[chain.length - 1];
+    const entry = {
+      address: walletAddress,
+      funder: funding.funder,
+      root,
+      hops: chain.length,
+      amountSol: funding.amountSol,
+      fundedAt: funding.fundedAt,
+      detectedAt: Date.now(),
+      buys: []
+    };
+    this.freshWallets.set(walletAddress, entry);
+
+    let cluster = this.clusters.get(root);
+    if (!cluster) {
+      cluster = {
+        id: root,
+        rootFunder: root,
+        wallets: new Map(),
+        coordinatedBuys: [],
+        firstSeen: Date.now(),
+        lastUpdated: Date.now()
+      };
+      this.clusters.set(root, cluster);
+    }
+
+    const wasCluster = cluster.wallets.size >= this.config.minClusterSize;
+    cluster.wallets.set(walletAddress, entry);
+    cluster.lastUpdated = Date.now();
+
+    if (cluster.wallets.size < this.config.minClusterSize) {
+      return null;
+    }
+
+    return { cluster: this.serializeCluster(cluster), isNew: !wasCluster };
+  }
+
+  /**
+   * Record a token buy by a clustered fresh wallet
+   * Returns the coordinated buy when enough cluster wallets bought the same mint within the window
+   */
+  recordBuy(walletAddress, tokenInfo, timestamp = Date.now()) {
+    const entry = this.freshWallets.get(walletAddress);
+    const mint = tokenInfo?.outputToken?.mint;
+    if (!entry || !mint || mint === WSOL_MINT || mint === 'Unknown') {
+      return null;
+    }
+
+    entry.buys.push({ mint, symbol: tokenInfo.outputToken.symbol, timestamp });
+
+    const cluster = this.clusters.get(entry.root);
+    if (!cluster) {
+      return null;
+    }
+
+    const windowMs = this.config.coordinatedWindowMinutes * 60 * 1000;
+    const buyers = [];
+    for (const wallet of cluster.wallets.values()) {
+      const buy = wallet.buys.find(b => b.mint === mint && Math.abs(b.timestamp - timestamp) <= windowMs);
+      if (buy) {
+        buyers.push({ address: wallet.address, timestamp: buy.timestamp });
+      }
+    }
+
+    if (buyers.length < this.config.coordinatedBuyers) {
+      return null;
+    }
+
+    let coordinated = cluster.coordinatedBuys.find(c => c.mint === mint);
+    if (!coordinated) {
+      coordinated = { mint, symbol: tokenInfo.outputToken.symbol, buyers: [], firstBuy: timestamp, lastBuy: timestamp };
+      cluster.coordinatedBuys.push(coordinated);
+    }
+    coordinated.buyers = buyers;
+    coordinated.firstBuy = Math.min(...buyers.map(b => b.timestamp));
+    coordinated.lastBuy = Math.max(...buyers.map(b => b.timestamp));
+    cluster.lastUpdated = Date.now();
+
+    return { cluster: this.serializeCluster(cluster), coordinatedBuy: { ...coordinated } };
+  }
+
+  /**
+   * Remove a fresh wallet whose detection was retracted, along with the coordinated buys
+   * that no longer have enough buyers without it
+   */
+  removeFreshWallet(walletAddress) {
+    const entry = this.freshWallets.get(walletAddress);
+    if (!entry) {
+      return false;
+    }
+    this.freshWallets.delete(walletAddress);
+
+    const cluster = this.clusters.get(entry.root);
+    if (cluster) {
+      cluster.wallets.delete(walletAddress);
+      cluster.coordinatedBuys = cluster.coordinatedBuys
+        .map(c => ({ ...c, buyers: c.buyers.filter(b => b.address !== walletAddress) }))
+        .filter(c => c.buyers.length >= this.config.coordinatedBuyers);
+      if (cluster.wallets.size === 0) {
+        this.clusters.delete(entry.root);
+      } else {
+        cluster.lastUpdated = Date.now();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get clusters with at least minSize wallets, most recently updated first
+   */
+  getClusters(minSize = this.config.minClusterSize) {
+    this.cleanup();
+    return Array.from(this.clusters.values())
+      .filter(cluster => cluster.wallets.size >= minSize)
+      .sort((a, b) => b.lastUpdated - a.lastUpdated)
+      .map(cluster => this.serializeCluster(cluster));
+  }
+
+  /**
+   * Drop wallets and clusters older than the retention window
+   */
+  cleanup() {
+    this.lastCleanup = Date.now();
+    const cutoff = this.lastCleanup - (this.config.retentionHours * 60 * 60 * 1000);
+    for (const [root, cluster] of this.clusters.entries()) {
+      for (const [address, wallet] of cluster.wallets.entries()) {
+        if (wallet.detectedAt < cutoff) {
+          cluster.wallets.delete(address);
+          this.freshWallets.delete(address);
+        }
+      }
+      if (cluster.wallets.size === 0) {
+        this.clusters.delete(root);
+      }
+    }
+  }
+
+  /**
+   * Convert a cluster to a plain object for the API and Socket.IO
+   */
+  serializeCluster(cluster) {
+    return {
+      id: cluster.id,
+      rootFunder: cluster.rootFunder,
+      size: cluster.wallets.size,
+      wallets: Array.from(cluster.wallets.values()).map(({ buys, ...wallet }) => ({
+        ...wallet,
+        mints: [...new Set(buys.map(b => b.mint))]
+      })),
+      coordinatedBuys: cluster.coordinatedBuys.map(c => ({ ...c })),
+      firstSeen: cluster.firstSeen,
+      lastUpdated: cluster.lastUpdated
+    };
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Launch Tracker
+ * Records token and pool creations and flags buyers landing within the first slots/seconds as snipers
+ */
+export class LaunchTracker {
+  constructor(config = {}) {
+    this.config = {
+      // A buy is a snipe when it lands within either window (0 disables a window)
+      sniperSlots: config.sniperSlots ?? 10,
+      sniperSeconds: config.sniperSeconds ?? 30,
+      retentionHours: config.retentionHours || 24,
+      maxLaunches: config.maxLaunches || 500
+    };
+
+    this.launches = new Map(); // mint -> launch (first creation seen for the mint)
+    this.verdicts = new Map(); // wallet -> { verdict, ts } learned from freshness checks
+  }
+
+  /**
+   * Record a token or pool creation
+   * Returns { launch, isNew }; later pools for a known mint (e.g. a migration) are added to its pools
+   */
+  recordLaunch(create, context = {}) {
+    if (!create?.mint) {
+      return null;
+    }
+
+    const existing = this.launches.get(create.mint);
+    if (existing) {
+      if (create.pool && !existing.pools.some(p => p.pool === create.pool)) {
+        existing.pools.push({ pool: create.pool, dex: create.dex, slot: context.slot ?? null });
+      }
+      return { launch: this.serializeLaunch(existing), isNew: false };
+    }
+
+    const launch = {
+      mint: create.mint,
+      quoteMint: create.quoteMint || null,
+      name: create.name || null,
+      symbol: create.symbol || null,
+      dex: create.dex,
+      program: create.program,
+      pool: create.pool || null,
+      pools: create.pool ? [{ pool: create.pool, dex: create.dex, slot: context.slot ?? null }] : [],
+      creator: create.creator || null,
+      slot: context.slot ?? null,
+      blockTime: context.blockTime ?? null,
+      signature: context.signature || null,
+      detectedAt: Date.now(),
+      snipers: new Map() // wallet -> sniper
+    };
+    this.launches.set(create.mint, launch);
+    this.enforceLimit();
+
+    return { launch: this.serializeLaunch(launch), isNew: true };
+  }
+
+  /**
+   * Record a buy of a launched mint
+   * Returns { launch, sniper } when the buy lands inside the sniper window
+   */
+  recordBuy(walletAddress, tokenInfo, context = {}) {
+    const mint = tokenInfo?.outputToken?.mint;
+    const launch = mint ? this.launches.get(mint) : null;
+    if (!launch || tokenInfo.direction === 'sell' || launch.snipers.has(walletAddress)) {
+      return null;
+    }
+
+    const slotsAfterLaunch = context.slot != null && launch.slot != null ? context.slot - launch.slot : null;
+    const secondsAfterLaunch = context.blockTime != null && launch.blockTime != null
+      ? context.blockTime - launch.blockTime
+      : null;
+
+    const withinSlots = this.config.sniperSlots > 0 && slotsAfterLaunch !== null &&
+      slotsAfterLaunch >= 0 && slotsAfterLaunch <= this.config.sniperSlots;
+    const withinSeconds = this.config.sniperSeconds > 0 && secondsAfterLaunch !== null &&
+      secondsAfterLaunch >= 0 && secondsAfterLaunch <= this.config.sniperSeconds;
+    if (!withinSlots && !withinSeconds) {
+      return null;
+    }
+
+    const sniper = {
+      address: walletAddress,
+      slot: context.slot ?? null,
+      slotsAfterLaunch,
+      secondsAfterLaunch,
+      amountIn: tokenInfo.inputToken?.amount ?? null,
+      inputSymbol: tokenInfo.inputToken?.symbol || null,
+      signature: context.signature || null,
+      isCreator: walletAddress === launch.creator,
+      verdict: this.verdicts.get(walletAddress)?.verdict || null
+    };
+    launch.snipers.set(walletAddress, sniper);
+
+    return { launch: this.serializeLaunch(launch), sniper: { ...sniper } };
+  }
+
+  /**
+   * Remove a snipe whose transaction never finalized
+   * Returns the updated launch, or null when the wallet had not sniped it
+   */
+  removeSniper(mint, walletAddress) {
+    const launch = this.launches.get(mint);
+    if (!launch?.snipers.delete(walletAddress)) {
+      return null;
+    }
+    return this.serializeLaunch(launch);
+  }
+
+  /**
+   * Store a wallet's freshness verdict and apply it to its snipes
+   * Returns the launches the wallet sniped
+   */
+  setWalletVerdict(walletAddress, verdict) {
+    this.verdicts.set(walletAddress, { verdict, ts: Date.now() });
+
+    const updated = [];
+    for (const launch of this.launches.values()) {
+      const sniper = launch.snipers.get(walletAddress);
+      if (sniper) {
+        sniper.verdict = verdict;
+        updated.push(this.serializeLaunch(launch));
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Get a launch by mint
+   */
+  getLaunch(mint) {
+    const launch = this.launches.get(mint);
+    return launch ? this.serializeLaunch(launch) : null;
+  }
+
+  /**
+   * Get the most recent launches
+   */
+  getLaunches(limit = 50) {
+    this.cleanup();
+    return Array.from(this.launches.values())
+      .sort((a, b) => b.detectedAt - a.detectedAt)
+      .slice(0, limit)
+      .map(launch => this.serializeLaunch(launch));
+  }
+
+  /**
+   * Drop the oldest launches above maxLaunches
+   */
+  enforceLimit() {
+    while (this.launches.size > this.config.maxLaunches) {
+      const oldest = this.launches.keys().next().value;
+      this.launches.delete(oldest);
+    }
+  }
+
+  /**
+   * Drop launches and verdicts older than the retention window
+   */
+  cleanup() {
+    const cutoff = Date.now() - (this.config.retentionHours * 60 * 60 * 1000);
+    for (const [mint, launch] of this.launches.entries()) {
+      if (launch.detectedAt < cutoff) {
+        this.launches.delete(mint);
+      }
+    }
+    for (const [wallet, entry] of this.verdicts.entries()) {
+      if (entry.ts < cutoff) {
+        this.verdicts.delete(wallet);
+      }
+    }
+  }
+
+  /**
+   * Count snipers by freshness verdict
+   */
+  getSniperBreakdown(launch) {
+    const breakdown = { total: 0, fresh: 0, notFresh: 0, unknown: 0, pending: 0 };
+    for (const sniper of launch.snipers.values()) {
+      breakdown.total++;
+      if (sniper.verdict === 'fresh') breakdown.fresh++;
+      else if (sniper.verdict === 'not_fresh') breakdown.notFresh++;
+      else if (sniper.verdict === 'unknown') breakdown.unknown++;
+      else breakdown.pending++;
+    }
+    return breakdown;
+  }
+
+  /**
+   * Convert a launch to a plain object for the API and Socket.IO
+   */
+  serializeLaunch(launch) {
+    const { snipers, ...rest } = launch;
+    return {
+      ...rest,
+      pools: launch.pools.map(p => ({ ...p })),
+      snipers: Array.from(snipers.values()).map(s => ({ ...s })),
+      sniperBreakdown: this.getSniperBreakdown(launch)
+    };
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Localnet Fixture Fetch
+ * Dumps the pump.fun bonding curve program, its fee and token metadata programs and the global
+ * accounts they read from a cluster into localnet/, so that npm run localnet:validator needs no
+ * network afterwards. Run it once, and again when pump.fun upgrades its program
+ *
+ * Usage: npm run localnet:fetch (needs the Solana CLI and network access)
+ * LOCALNET_CLONE_URL picks the cluster to fetch from (default mainnet-beta)
+ */
+
+import fs from 'fs';
+import { spawnSync } from 'child_process';
+import dotenv from 'dotenv';
+import { LOCALNET_FIXTURES_DIR, getLocalnetFixtures } from './localnet-pumpfun.js';
+
+dotenv.config();
+
+const url = process.env.LOCALNET_CLONE_URL || 'mainnet-beta';
+
+/**
+ * Run the Solana CLI and stop on the first failure
+ */
+function solana(args) {
+  const result = spawnSync('solana', args, { stdio: 'inherit' });
+  if (result.error) {
+    console.error(`❌ Could not run solana: ${result.error.message} (install the Solana CLI)`);
+    process.exit(1);
+  }
+  if (result.status !== 0) {
+    console.error(`❌ solana ${args.join(' ')} failed`);
+    process.exit(result.status ?? 1);
+  }
+}
+
+console.log(`🧪 Fetching localnet fixtures from ${url} into ${LOCALNET_FIXTURES_DIR}\n`);
+fs.mkdirSync(LOCALNET_FIXTURES_DIR, { recursive: true });
+
+const { programs, accounts } = getLocalnetFixtures();
+for (const { address, file } of programs) {
+  solana(['program', 'dump', '--url', url, address, file]);
+}
+for (const { address, file } of accounts) {
+  solana(['account', '--url', url, address, '--output', 'json', '--output-file', file]);
+}
+
+console.log('\n✅ Fixtures written: start the validator offline with `npm run localnet:validator`');
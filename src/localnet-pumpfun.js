@@ -0,0 +1,244 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY, TransactionInstruction } from '@solana/web3.js';
+import { anchorDiscriminator } from './transaction-utils.js';
+import { PUMP_FUN_PROGRAM } from './decoders/pumpfun.js';
+
+// Programs loaded next to the bonding curve (the rest ship with solana-test-validator)
+export const PUMP_FEE_PROGRAM = 'pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ';
+export const MPL_TOKEN_METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+const TOKEN_PROGRAM = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const ASSOCIATED_TOKEN_PROGRAM = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+const PUMP = new PublicKey(PUMP_FUN_PROGRAM);
+const FEE_PROGRAM = new PublicKey(PUMP_FEE_PROGRAM);
+const METADATA_PROGRAM = new PublicKey(MPL_TOKEN_METADATA_PROGRAM);
+
+/**
+ * Program-derived address of the bonding curve program (or another program)
+ */
+function pda(seeds, programId = PUMP) {
+  return PublicKey.findProgramAddressSync(seeds.map(seed => typeof seed === 'string' ? Buffer.from(seed) : seed.toBuffer()), programId)[0];
+}
+
+/**
+ * Associated token account of an owner (owners may be PDAs, e.g. the bonding curve)
+ */
+export function getAssociatedTokenAddress(mint, owner) {
+  return PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), TOKEN_PROGRAM.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM
+  )[0];
+}
+
+/**
+ * Accounts of the bonding curve program, derived like the program does
+ */
+export const pumpFunAccounts = {
+  global: () => pda(['global']),
+  mintAuthority: () => pda(['mint-authority']),
+  eventAuthority: () => pda(['__event_authority']),
+  globalVolumeAccumulator: () => pda(['global_volume_accumulator']),
+  feeConfig: () => pda(['fee_config', PUMP], FEE_PROGRAM),
+  bondingCurve: (mint) => pda(['bonding-curve', mint]),
+  creatorVault: (creator) => pda(['creator-vault', creator]),
+  userVolumeAccumulator: (user) => pda(['user_volume_accumulator', user]),
+  metadata: (mint) => pda(['metadata', METADATA_PROGRAM, mint], METADATA_PROGRAM)
+};
+
+// Program and account dumps written once by npm run localnet:fetch (git-ignored)
+export const LOCALNET_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'localnet');
+
+/**
+ * Files the validator loads: the bonding curve, its fee and metadata programs (.so) and the
+ * global state they read (account JSON as written by solana account --output json)
+ */
+export function getLocalnetFixtures(dir = LOCALNET_FIXTURES_DIR) {
+  const accounts = [pumpFunAccounts.global(), pumpFunAccounts.globalVolumeAccumulator(), pumpFunAccounts.feeConfig()];
+  return {
+    programs: [PUMP_FUN_PROGRAM, PUMP_FEE_PROGRAM, MPL_TOKEN_METADATA_PROGRAM]
+      .map(address => ({ address, file: path.join(dir, `${address}.so`) })),
+    accounts: accounts.map(account => account.toBase58())
+      .map(address => ({ address, file: path.join(dir, `${address}.json`) }))
+  };
+}
+
+/**
+ * solana-test-validator arguments that load the fixtures from disk (no network needed)
+ */
+export function getValidatorFixtureArgs(dir = LOCALNET_FIXTURES_DIR) {
+  const { programs, accounts } = getLocalnetFixtures(dir);
+  return [
+    ...programs.flatMap(({ address, file }) => ['--bpf-program', address, file]),
+    ...accounts.flatMap(({ address, file }) => ['--account', address, file])
+  ];
+}
+
+/**
+ * Fee recipient configured in the global account
+ * Global: discriminator, initialized bool, authority, fee_recipient, ...
+ */
+export function readGlobal(data) {
+  return { feeRecipient: new PublicKey(data.subarray(41, 73)) };
+}
+
+/**
+ * Reserves and creator of a bonding curve account
+ * BondingCurve: discriminator, virtual_token_reserves, virtual_sol_reserves, real_token_reserves,
+ * real_sol_reserves, token_total_supply (u64s), complete bool, creator
+ */
+export function readBondingCurve(data) {
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    complete: data.readUInt8(48) === 1,
+    creator: new PublicKey(data.subarray(49, 81))
+  };
+}
+
+/**
+ * Tokens a buy of solLamports gets from the curve (constant product on the virtual reserves)
+ */
+export function quoteBuy(curve, solLamports) {
+  const sol = BigInt(solLamports);
+  const tokens = curve.virtualTokenReserves - (curve.virtualSolReserves * curve.virtualTokenReserves) / (curve.virtualSolReserves + sol);
+  return tokens < curve.realTokenReserves ? tokens : curve.realTokenReserves;
+}
+
+/**
+ * Borsh string: u32 length + utf8 bytes
+ */
+function borshString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(bytes.length, 0);
+  return Buffer.concat([length, bytes]);
+}
+
+/**
+ * Account meta shorthand
+ */
+function meta(pubkey, isWritable = false, isSigner = false) {
+  return { pubkey, isSigner, isWritable };
+}
+
+/**
+ * create(name, symbol, uri, creator): new SPL mint with its bonding curve and metadata
+ */
+export function createInstruction({ mint, user, name, symbol, uri }) {
+  const bondingCurve = pumpFunAccounts.bondingCurve(mint);
+  return new TransactionInstruction({
+    programId: PUMP,
+    keys: [
+      meta(mint, true, true),
+      meta(pumpFunAccounts.mintAuthority()),
+      meta(bondingCurve, true),
+      meta(getAssociatedTokenAddress(mint, bondingCurve), true),
+      meta(pumpFunAccounts.global()),
+      meta(METADATA_PROGRAM),
+      meta(pumpFunAccounts.metadata(mint), true),
+      meta(user, true, true),
+      meta(SystemProgram.programId),
+      meta(TOKEN_PROGRAM),
+      meta(ASSOCIATED_TOKEN_PROGRAM),
+      meta(SYSVAR_RENT_PUBKEY),
+      meta(pumpFunAccounts.eventAuthority()),
+      meta(PUMP)
+    ],
+    data: Buffer.concat([
+      anchorDiscriminator('create'),
+      borshString(name),
+      borshString(symbol),
+      borshString(uri),
+      user.toBuffer()
+    ])
+  });
+}
+
+/**
+ * Accounts shared by buy and sell, up to the user (the part the decoder reads)
+ */
+function tradeKeys({ mint, user, feeRecipient }) {
+  const bondingCurve = pumpFunAccounts.bondingCurve(mint);
+  return [
+    meta(pumpFunAccounts.global()),
+    meta(feeRecipient, true),
+    meta(mint),
+    meta(bondingCurve, true),
+    meta(getAssociatedTokenAddress(mint, bondingCurve), true),
+    meta(getAssociatedTokenAddress(mint, user), true),
+    meta(user, true, true)
+  ];
+}
+
+/**
+ * buy(amount, max_sol_cost, track_volume): exact tokens out for at most max_sol_cost lamports
+ */
+export function buyInstruction({ mint, user, feeRecipient, creator, amount, maxSolCost }) {
+  const data = Buffer.alloc(25);
+  anchorDiscriminator('buy').copy(data, 0);
+  data.writeBigUInt64LE(BigInt(amount), 8);
+  data.writeBigUInt64LE(BigInt(maxSolCost), 16);
+  data.writeUInt8(0, 24); // don't track volume
+
+  return new TransactionInstruction({
+    programId: PUMP,
+    keys: [
+      ...tradeKeys({ mint, user, feeRecipient }),
+      meta(SystemProgram.programId),
+      meta(TOKEN_PROGRAM),
+      meta(pumpFunAccounts.creatorVault(creator), true),
+      meta(pumpFunAccounts.eventAuthority()),
+      meta(PUMP),
+      meta(pumpFunAccounts.globalVolumeAccumulator(), true),
+      meta(pumpFunAccounts.userVolumeAccumulator(user), true),
+      meta(pumpFunAccounts.feeConfig()),
+      meta(FEE_PROGRAM)
+    ],
+    data
+  });
+}
+
+/**
+ * sell(amount, min_sol_output): exact tokens in for at least min_sol_output lamports
+ */
+export function sellInstruction({ mint, user, feeRecipient, creator, amount, minSolOutput = 0 }) {
+  const data = Buffer.alloc(24);
+  anchorDiscriminator('sell').copy(data, 0);
+  data.writeBigUInt64LE(BigInt(amount), 8);
+  data.writeBigUInt64LE(BigInt(minSolOutput), 16);
+
+  return new TransactionInstruction({
+    programId: PUMP,
+    keys: [
+      ...tradeKeys({ mint, user, feeRecipient }),
+      meta(SystemProgram.programId),
+      meta(pumpFunAccounts.creatorVault(creator), true),
+      meta(TOKEN_PROGRAM),
+      meta(pumpFunAccounts.eventAuthority()),
+      meta(PUMP),
+      meta(pumpFunAccounts.feeConfig()),
+      meta(FEE_PROGRAM)
+    ],
+    data
+  });
+}
+
+/**
+ * Create an associated token account unless it already exists (CreateIdempotent)
+ */
+export function createAssociatedTokenAccountInstruction(payer, owner, mint) {
+  return new TransactionInstruction({
+    programId: ASSOCIATED_TOKEN_PROGRAM,
+    keys: [
+      meta(payer, true, true),
+      meta(getAssociatedTokenAddress(mint, owner), true),
+      meta(owner),
+      meta(mint),
+      meta(SystemProgram.programId),
+      meta(TOKEN_PROGRAM)
+    ],
+    data: Buffer.from([1])
+  });
+}
@@ -0,0 +1,188 @@
+/**
+ * Localnet Seeding Script
+ * Launches a token on the pump.fun bonding curve loaded into a local solana-test-validator and has
+ * fresh wallets buy it (every other one selling half back), so the whole pipeline (decoding,
+ * detection, classification, DB writes, socket events) runs against the real program offline
+ *
+ * Usage: npm run localnet:validator, then SOLANA_NETWORK=localnet npm start, then npm run seed:localnet
+ */
+
+import dotenv from 'dotenv';
+import {
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  sendAndConfirmTransaction
+} from '@solana/web3.js';
+import { resolveRpcConfig } from './rpc-config.js';
+import { PUMP_FUN_PROGRAM } from './decoders/pumpfun.js';
+import {
+  pumpFunAccounts,
+  getAssociatedTokenAddress,
+  readGlobal,
+  readBondingCurve,
+  quoteBuy,
+  createInstruction,
+  buyInstruction,
+  sellInstruction,
+  createAssociatedTokenAccountInstruction
+} from './localnet-pumpfun.js';
+
+dotenv.config();
+
+// Part of the SOL spent on the curve; the rest covers protocol and creator fees
+const FEE_MARGIN = 95n;
+
+const config = {
+  rpcUrl: resolveRpcConfig({ ...process.env, SOLANA_NETWORK: 'localnet' }).rpcUrls[0],
+  wallets: parseInt(process.env.SEED_WALLETS) || 5,
+  swapSol: parseFloat(process.env.SEED_SWAP_SOL) || 0.5,
+  whales: parseInt(process.env.SEED_WHALES ?? '1'), // wallets funded above the whale threshold
+  whaleSol: parseFloat(process.env.SEED_WHALE_SOL) || 150,
+  delayMs: parseInt(process.env.SEED_DELAY_MS ?? '1000'), // pause between swaps so the detector sees them one by one
+  symbol: process.env.SEED_SYMBOL || 'FRESH'
+};
+
+/**
+ * Airdrop SOL and wait for confirmation
+ */
+async function airdrop(connection, publicKey, sol) {
+  const signature = await connection.requestAirdrop(publicKey, Math.round(sol * LAMPORTS_PER_SOL));
+  const blockhash = await connection.getLatestBlockhash();
+  await connection.confirmTransaction({ signature, ...blockhash }, 'confirmed');
+}
+
+/**
+ * Read an account that must exist (loaded from the fixtures or created by an earlier step)
+ */
+async function getAccountData(connection, address, what) {
+  const account = await connection.getAccountInfo(address, 'confirmed');
+  if (!account) {
+    throw new Error(`${what} ${address.toBase58()} not found: start the validator with npm run localnet:validator`);
+  }
+  return account.data;
+}
+
+/**
+ * Create the token on the bonding curve, then top up the fee accounts the trades pay into
+ * (fees on small test trades are below the rent-exempt minimum of a new account)
+ */
+async function launchToken(connection, creator, feeRecipient) {
+  const mint = Keypair.generate();
+  const rent = await connection.getMinimumBalanceForRentExemption(0);
+  const tx = new Transaction().add(
+    createInstruction({
+      mint: mint.publicKey,
+      user: creator.publicKey,
+      name: `${config.symbol} localnet`,
+      symbol: config.symbol,
+      uri: ''
+    })
+  );
+  for (const account of [feeRecipient, pumpFunAccounts.creatorVault(creator.publicKey)]) {
+    if (!await connection.getAccountInfo(account, 'confirmed')) {
+      tx.add(SystemProgram.transfer({ fromPubkey: creator.publicKey, toPubkey: account, lamports: rent }));
+    }
+  }
+  const signature = await sendAndConfirmTransaction(connection, tx, [creator, mint], { commitment: 'confirmed' });
+  return { mint: mint.publicKey, signature };
+}
+
+/**
+ * Buy lamports worth of the token, or sell the given share of the trader's balance
+ */
+async function swap(connection, trader, launch, { side, lamports, share }) {
+  const curve = readBondingCurve(await getAccountData(connection, pumpFunAccounts.bondingCurve(launch.mint), 'Bonding curve'));
+  const accounts = { mint: launch.mint, user: trader.publicKey, feeRecipient: launch.feeRecipient, creator: curve.creator };
+  const tx = new Transaction();
+
+  if (side === 'buy') {
+    tx.add(
+      createAssociatedTokenAccountInstruction(trader.publicKey, trader.publicKey, launch.mint),
+      buyInstruction({
+        ...accounts,
+        amount: quoteBuy(curve, (BigInt(lamports) * FEE_MARGIN) / 100n),
+        maxSolCost: lamports
+      })
+    );
+  } else {
+    const balance = await connection.getTokenAccountBalance(getAssociatedTokenAddress(launch.mint, trader.publicKey), 'confirmed');
+    tx.add(sellInstruction({ ...accounts, amount: BigInt(balance.value.amount) * BigInt(Math.round(share * 100)) / 100n }));
+  }
+
+  return sendAndConfirmTransaction(connection, tx, [trader], { commitment: 'confirmed' });
+}
+
+/**
+ * Resolve after ms milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  console.log('🧪 === FRESHIES LOCALNET SEED ===\n');
+  const connection = new Connection(config.rpcUrl, 'confirmed');
+
+  try {
+    const version = await connection.getVersion();
+    console.log(`✅ Connected to ${config.rpcUrl} (solana-core ${version['solana-core']})`);
+  } catch (error) {
+    console.error(`❌ No validator at ${config.rpcUrl}: start one with \`npm run localnet:validator\``);
+    process.exit(1);
+  }
+
+  if (!await connection.getAccountInfo(new PublicKey(PUMP_FUN_PROGRAM), 'confirmed')) {
+    console.error(`❌ pump.fun (${PUMP_FUN_PROGRAM}) is not loaded: start the validator with \`npm run localnet:validator\``);
+    process.exit(1);
+  }
+  const { feeRecipient } = readGlobal(await getAccountData(connection, pumpFunAccounts.global(), 'pump.fun global account'));
+
+  const creator = Keypair.generate();
+  await airdrop(connection, creator.publicKey, 1);
+  const launch = { ...await launchToken(connection, creator, feeRecipient), feeRecipient };
+  console.log(`🚀 Launched ${config.symbol} on pump.fun: mint ${launch.mint.toBase58()}, bonding curve ${pumpFunAccounts.bondingCurve(launch.mint).toBase58()}`);
+
+  const swapLamports = Math.round(config.swapSol * LAMPORTS_PER_SOL);
+  const wallets = [];
+  for (let i = 0; i < config.wallets; i++) {
+    const trader = Keypair.generate();
+    const whale = i < config.whales;
+    await airdrop(connection, trader.publicKey, (whale ? config.whaleSol : 0) + config.swapSol + 0.1);
+
+    const buy = await swap(connection, trader, launch, { side: 'buy', lamports: swapLamports });
+    console.log(`🟢 ${trader.publicKey.toBase58()} bought ${config.swapSol} SOL of ${config.symbol}${whale ? ' (whale)' : ''}: ${buy}`);
+    wallets.push({ address: trader.publicKey.toBase58(), whale, signatures: [buy] });
+
+    // Every other wallet sells half back so both directions are exercised
+    if (i % 2 === 1) {
+      await sleep(config.delayMs);
+      const sell = await swap(connection, trader, launch, { side: 'sell', share: 0.5 });
+      console.log(`🔴 ${trader.publicKey.toBase58()} sold half: ${sell}`);
+      wallets[i].signatures.push(sell);
+    }
+    await sleep(config.delayMs);
+  }
+
+  console.log('\n📋 Summary:');
+  console.log(JSON.stringify({
+    rpcUrl: config.rpcUrl,
+    mint: launch.mint.toBase58(),
+    bondingCurve: pumpFunAccounts.bondingCurve(launch.mint).toBase58(),
+    launchSignature: launch.signature,
+    wallets
+  }, null, 2));
+  console.log('\n💡 Check the dashboard, GET /api/stats and /api/launches for the detections');
+}
+
+main().catch(error => {
+  console.error('❌ Seeding failed:', error.message);
+  // Program logs say which account or constraint the loaded program rejected
+  for (const line of error.logs || []) {
+    console.error(`   ${line}`);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Localnet Validator
+ * Starts solana-test-validator with the real pump.fun bonding curve program (and the fee program,
+ * token metadata program and global accounts it needs) loaded from the fixtures npm run localnet:fetch
+ * dumped once, so that the seeded launches and trades run the production program offline and are
+ * decoded by the built-in decoders
+ *
+ * Usage: npm run localnet:validator [-- extra solana-test-validator flags]
+ */
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { getLocalnetFixtures, getValidatorFixtureArgs } from './localnet-pumpfun.js';
+
+const { programs, accounts } = getLocalnetFixtures();
+const missing = [...programs, ...accounts].filter(({ file }) => !fs.existsSync(file));
+if (missing.length > 0) {
+  console.error(`❌ Missing localnet fixtures: ${missing.map(({ file }) => file).join(', ')}`);
+  console.error('   Run `npm run localnet:fetch` once (needs network access), then start the validator again');
+  process.exit(1);
+}
+
+const args = [
+  '--reset',
+  ...getValidatorFixtureArgs(),
+  ...process.argv.slice(2)
+];
+
+console.log(`🧪 solana-test-validator ${args.join(' ')}\n`);
+const validator = spawn('solana-test-validator', args, { stdio: 'inherit' });
+
+validator.on('error', (error) => {
+  console.error(`❌ Could not start solana-test-validator: ${error.message} (install the Solana CLI)`);
+  process.exit(1);
+});
+validator.on('exit', (code) => process.exit(code ?? 0));
+
+// Forward Ctrl+C so the validator shuts down cleanly
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => validator.kill(signal));
+}
@@ -0,0 +1,80 @@
+import { PublicKey } from '@solana/web3.js';
+import { getAddressTableLookups, hasUnresolvedLookups, toBase58 } from './transaction-utils.js';
+
+/**
+ * Address Lookup Table Resolver
+ * Fills meta.loadedAddresses of v0 transactions when the RPC response doesn't include them
+ */
+export class LookupTableResolver {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = {
+      maxTables: config.maxTables || 1000
+    };
+
+    this.tables = new Map(); // table address -> addresses (lookup tables are append-only)
+    this.stats = {
+      resolved: 0,
+      tablesFetched: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Resolve lookup table addresses in place
+   * Returns false when a table can't be loaded; static keys (and the fee payer) stay usable
+   */
+  async resolve(transaction) {
+    if (!hasUnresolvedLookups(transaction)) {
+      return true;
+    }
+
+    try {
+      // The runtime orders loaded accounts as all writable addresses, then all readonly ones
+      const writable = [];
+      const readonly = [];
+      for (const lookup of getAddressTableLookups(transaction)) {
+        const highestIndex = Math.max(-1, ...lookup.writableIndexes, ...lookup.readonlyIndexes);
+        const addresses = await this.getTable(lookup.accountKey, highestIndex + 1);
+        if (!addresses) {
+          this.stats.failed++;
+          return false;
+        }
+        writable.push(...lookup.writableIndexes.map(i => addresses[i]));
+        readonly.push(...lookup.readonlyIndexes.map(i => addresses[i]));
+      }
+
+      transaction.meta = { ...(transaction.meta || {}), loadedAddresses: { writable, readonly } };
+      this.stats.resolved++;
+      return true;
+    } catch (error) {
+      console.error('Error resolving address lookup tables:', error.message);
+      this.stats.failed++;
+      return false;
+    }
+  }
+
+  /**
+   * Get the addresses of a lookup table, refetching when the cached copy is shorter than needed
+   */
+  async getTable(tableAddress, minLength) {
+    const cached = this.tables.get(tableAddress);
+    if (cached && cached.length >= minLength) {
+      return cached;
+    }
+
+    const response = await this.connection.getAddressLookupTable(new PublicKey(tableAddress));
+    const addresses = response?.value?.state?.addresses?.map(toBase58);
+    this.stats.tablesFetched++;
+    if (!addresses || addresses.length < minLength) {
+      return null;
+    }
+
+    this.tables.delete(tableAddress);
+    this.tables.set(tableAddress, addresses);
+    while (this.tables.size > this.config.maxTables) {
+      this.tables.delete(this.tables.keys().next().value);
+    }
+    return addresses;
+  }
+}
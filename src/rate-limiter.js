@@ -0,0 +1,172 @@
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Adaptive Rate Limiter
+ * Token bucket for one RPC endpoint: halves its rate and pauses on 429s (for Retry-After when given),
+ * halves it on 5xx errors and ramps back up by a small step per successful (2xx) call
+ */
+export class AdaptiveRateLimiter {
+  constructor(config = {}) {
+    this.config = {
+      rate: config.rate || 10, // starting requests per second
+      minRate: config.minRate || 1,
+      maxRate: config.maxRate || 50,
+      burst: config.burst || 10,
+      backoffFactor: config.backoffFactor || 0.5,
+      rampUpStep: config.rampUpStep || 0.05, // requests per second gained per successful call
+      defaultBackoffMs: config.defaultBackoffMs || 1000, // pause when a 429 has no Retry-After
+      maxRetries: config.maxRetries ?? 3
+    };
+
+    this.rate = Math.min(this.config.rate, this.config.maxRate);
+    this.tokens = this.config.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.completions = []; // timestamps of successful calls in the last minute
+    this.stats = {
+      requests: 0,
+      rateLimited: 0,
+      serverErrors: 0
+    };
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.config.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a request may be sent
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+      this.refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        this.stats.requests++;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+
+  /**
+   * Record a successful call and ramp the rate back up
+   */
+  onSuccess(now = Date.now()) {
+    this.rate = Math.min(this.config.maxRate, this.rate + this.config.rampUpStep);
+    this.completions.push(now);
+    this.pruneCompletions(now);
+  }
+
+  /**
+   * Record a 429: cut the rate and pause for Retry-After (or the default backoff)
+   */
+  onRateLimited(retryAfterMs = null, now = Date.now()) {
+    this.stats.rateLimited++;
+    this.rate = Math.max(this.config.minRate, this.rate * this.config.backoffFactor);
+    this.tokens = 0;
+    this.lastRefill = now;
+    this.pausedUntil = Math.max(this.pausedUntil, now + (retryAfterMs ?? this.config.defaultBackoffMs));
+  }
+
+  /**
+   * Record a 5xx: an overloaded endpoint earns no ramp-up, so cut the rate without pausing
+   */
+  onServerError(now = Date.now()) {
+    this.stats.serverErrors++;
+    this.refill(now);
+    this.rate = Math.max(this.config.minRate, this.rate * this.config.backoffFactor);
+  }
+
+  /**
+   * Whether the endpoint asked us to back off and the pause is still running
+   */
+  isPaused(now = Date.now()) {
+    return this.pausedUntil > now;
+  }
+
+  /**
+   * Successful calls in the last minute
+   */
+  getThroughput(now = Date.now()) {
+    this.pruneCompletions(now);
+    return this.completions.length;
+  }
+
+  /**
+   * Forget completions older than a minute
+   */
+  pruneCompletions(now = Date.now()) {
+    const cutoff = now - 60000;
+    while (this.completions.length > 0 && this.completions[0] <= cutoff) {
+      this.completions.shift();
+    }
+  }
+
+  /**
+   * Wrap a fetch implementation: every request waits for a token, 429s back off and are retried,
+   * 5xx errors cut the rate and only 2xx responses ramp it up (other 4xx are the caller's fault)
+   */
+  wrapFetch(fetchImpl = fetch) {
+    return async (url, init) => {
+      for (let attempt = 0; ; attempt++) {
+        await this.acquire();
+        const response = await fetchImpl(url, init);
+        if (response.status !== 429) {
+          if (response.status >= 500) {
+            this.onServerError();
+          } else if (response.status >= 200 && response.status < 300) {
+            this.onSuccess();
+          }
+          return response;
+        }
+        this.onRateLimited(parseRetryAfter(response.headers?.get?.('retry-after')));
+        if (attempt >= this.config.maxRetries) {
+          return response;
+        }
+      }
+    };
+  }
+
+  /**
+   * Current state for stats and the dashboard
+   */
+  describe(now = Date.now()) {
+    return {
+      rate: Math.round(this.rate * 100) / 100,
+      throughputPerMinute: this.getThroughput(now),
+      rateLimited: this.stats.rateLimited,
+      serverErrors: this.stats.serverErrors,
+      pausedForMs: Math.max(0, this.pausedUntil - now)
+    };
+  }
+}
+
+/**
+ * Resolve after ms milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
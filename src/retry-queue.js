@@ -0,0 +1,127 @@
+// Freshness verdicts: 'unknown' means the RPC calls failed and the wallet will be re-checked
+export const VERDICT = {
+  FRESH: 'fresh',
+  NOT_FRESH: 'not_fresh',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Retry Queue
+ * Schedules re-checks of wallets whose freshness could not be determined, with linear backoff
+ * and a maximum number of attempts, and counts verdicts so that "couldn't decide" is reported
+ * apart from "not fresh"
+ */
+export class RetryQueue {
+  constructor(config = {}) {
+    this.config = {
+      maxAttempts: config.maxAttempts || 3,
+      delayMs: config.delayMs || 60000 // backoff per attempt
+    };
+
+    this.entries = new Map(); // address -> { attempts, nextAttemptAt, swapSignature, tokenInfo, effects }
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Empty verdict counters
+   */
+  createStats() {
+    return {
+      fresh: 0,
+      notFresh: 0,
+      unknown: 0, // wallets that got an unknown verdict (counted once, not per retry)
+      retriesResolved: 0,
+      gaveUp: 0
+    };
+  }
+
+  /**
+   * Record the verdict of a check
+   * Unknown verdicts queue (or re-queue) the wallet until maxAttempts retries have failed;
+   * a decided verdict resolves a queued wallet. Returns { action, attempts, firstUnknown }
+   * where action is 'queued', 'gave_up', 'resolved' or 'decided'. Counter increments are
+   * recorded on context.effects so a retracted detection can take them back.
+   */
+  recordVerdict(address, verdict, context = {}, now = Date.now()) {
+    const queued = this.entries.get(address);
+
+    if (verdict !== VERDICT.UNKNOWN) {
+      this.count(verdict === VERDICT.FRESH ? 'fresh' : 'notFresh', context.effects);
+      if (queued) {
+        this.entries.delete(address);
+        this.count('retriesResolved', context.effects);
+        return { action: 'resolved', attempts: queued.attempts, firstUnknown: false };
+      }
+      return { action: 'decided', attempts: 0, firstUnknown: false };
+    }
+
+    const entry = queued || {
+      attempts: 0,
+      swapSignature: context.swapSignature || null,
+      tokenInfo: context.tokenInfo || null,
+      effects: context.effects || null
+    };
+    if (!queued) {
+      this.count('unknown', context.effects);
+    }
+    entry.attempts++;
+
+    if (entry.attempts > this.config.maxAttempts) {
+      this.entries.delete(address);
+      this.count('gaveUp', context.effects);
+      return { action: 'gave_up', attempts: entry.attempts - 1, firstUnknown: !queued };
+    }
+
+    // Back off linearly so repeated RPC failures don't hammer the endpoint
+    entry.nextAttemptAt = now + this.config.delayMs * entry.attempts;
+    this.entries.set(address, entry);
+    return { action: 'queued', attempts: entry.attempts, firstUnknown: !queued };
+  }
+
+  /**
+   * Increment a verdict counter and record it on the detection's effects
+   */
+  count(field, effects) {
+    this.stats[field]++;
+    effects?.counted(this.stats, field);
+  }
+
+  /**
+   * Queued wallets whose backoff has elapsed, oldest first
+   */
+  getDue(now = Date.now()) {
+    return Array.from(this.entries.entries()).filter(([, entry]) => entry.nextAttemptAt <= now);
+  }
+
+  /**
+   * Mark a wallet as being re-checked so it is not picked up twice
+   */
+  markInProgress(address) {
+    const entry = this.entries.get(address);
+    if (entry) {
+      entry.nextAttemptAt = Infinity;
+    }
+  }
+
+  /**
+   * Drop a wallet from the queue (e.g. its detection was retracted)
+   */
+  delete(address) {
+    return this.entries.delete(address);
+  }
+
+  /**
+   * Number of queued wallets
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drop queued wallets and reset the counters
+   */
+  clear() {
+    this.entries.clear();
+    this.stats = this.createStats();
+  }
+}
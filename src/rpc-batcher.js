@@ -0,0 +1,162 @@
+import { PublicKey } from '@solana/web3.js';
+import { toBase58 } from './transaction-utils.js';
+
+/**
+ * RPC Batcher
+ * Coalesces account lookups made within a short window into getMultipleAccounts calls and
+ * transaction lookups into one JSON-RPC batch request; account infos are cached briefly so a
+ * wallet check and its whale balance share one lookup
+ */
+export class RpcBatcher {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = {
+      windowMs: config.windowMs ?? 10,
+      maxAccounts: Math.min(config.maxAccounts || 100, 100), // getMultipleAccounts limit
+      maxTransactions: config.maxTransactions || 20,
+      accountTtlMs: config.accountTtlMs || 5000,
+      maxCachedAccounts: config.maxCachedAccounts || 2000,
+      commitment: config.commitment || 'confirmed'
+    };
+
+    this.accounts = new Map(); // address -> { info, ts }
+    this.pendingAccounts = new Map(); // address -> [{ resolve, reject }]
+    this.pendingTransactions = new Map(); // signature -> [{ resolve, reject }]
+    this.accountTimer = null;
+    this.transactionTimer = null;
+    this.stats = {
+      accountRequests: 0,
+      accountCacheHits: 0,
+      accountBatches: 0,
+      transactionRequests: 0,
+      transactionBatches: 0
+    };
+  }
+
+  /**
+   * Get an account info (same shape as Connection.getAccountInfo), batched with concurrent lookups
+   */
+  getAccountInfo(address) {
+    const key = toBase58(address);
+    this.stats.accountRequests++;
+
+    const cached = this.accounts.get(key);
+    if (cached && Date.now() - cached.ts < this.config.accountTtlMs) {
+      this.stats.accountCacheHits++;
+      return Promise.resolve(cached.info);
+    }
+
+    return this.enqueue(this.pendingAccounts, key, () => {
+      this.accountTimer ??= setTimeout(() => this.flushAccounts(), this.config.windowMs);
+    });
+  }
+
+  /**
+   * Get several account infos in one go (null for missing accounts)
+   */
+  getMultipleAccounts(addresses) {
+    return Promise.all(addresses.map(address => this.getAccountInfo(address)));
+  }
+
+  /**
+   * Get a transaction (same shape as Connection.getTransaction with v0 support), batched with concurrent lookups
+   */
+  getTransaction(signature) {
+    this.stats.transactionRequests++;
+    return this.enqueue(this.pendingTransactions, signature, () => {
+      this.transactionTimer ??= setTimeout(() => this.flushTransactions(), this.config.windowMs);
+    });
+  }
+
+  /**
+   * Register a waiter for a key; concurrent requests for the same key share one lookup
+   */
+  enqueue(pending, key, schedule) {
+    return new Promise((resolve, reject) => {
+      const waiters = pending.get(key) || [];
+      waiters.push({ resolve, reject });
+      pending.set(key, waiters);
+      schedule();
+    });
+  }
+
+  /**
+   * Fetch all pending accounts with getMultipleAccounts
+   */
+  async flushAccounts() {
+    this.accountTimer = null;
+    const pending = new Map(this.pendingAccounts);
+    this.pendingAccounts.clear();
+
+    await this.flush(pending, this.config.maxAccounts, async (addresses) => {
+      this.stats.accountBatches++;
+      const infos = await this.connection.getMultipleAccountsInfo(
+        addresses.map(address => new PublicKey(address)),
+        this.config.commitment
+      );
+      const now = Date.now();
+      addresses.forEach((address, i) => this.cacheAccount(address, infos[i] ?? null, now));
+      return infos;
+    });
+  }
+
+  /**
+   * Fetch all pending transactions in JSON-RPC batch requests
+   */
+  async flushTransactions() {
+    this.transactionTimer = null;
+    const pending = new Map(this.pendingTransactions);
+    this.pendingTransactions.clear();
+
+    await this.flush(pending, this.config.maxTransactions, (signatures) => {
+      this.stats.transactionBatches++;
+      return this.connection.getTransactions(signatures, {
+        commitment: this.config.commitment,
+        maxSupportedTransactionVersion: 0
+      });
+    });
+  }
+
+  /**
+   * Run a batched fetch over the pending keys in chunks and settle their waiters
+   */
+  async flush(pending, chunkSize, fetchChunk) {
+    const keys = Array.from(pending.keys());
+    for (let i = 0; i < keys.length; i += chunkSize) {
+      const chunk = keys.slice(i, i + chunkSize);
+      try {
+        const results = await fetchChunk(chunk);
+        chunk.forEach((key, j) => pending.get(key).forEach(waiter => waiter.resolve(results[j] ?? null)));
+      } catch (error) {
+        chunk.forEach(key => pending.get(key).forEach(waiter => waiter.reject(error)));
+      }
+    }
+  }
+
+  /**
+   * Cache an account info, evicting the oldest entries
+   */
+  cacheAccount(address, info, now = Date.now()) {
+    this.accounts.delete(address);
+    this.accounts.set(address, { info, ts: now });
+    while (this.accounts.size > this.config.maxCachedAccounts) {
+      this.accounts.delete(this.accounts.keys().next().value);
+    }
+  }
+
+  /**
+   * Number of HTTP requests saved by batching and caching
+   */
+  get requestsSaved() {
+    const { accountRequests, accountBatches, transactionRequests, transactionBatches } = this.stats;
+    return (accountRequests - accountBatches) + (transactionRequests - transactionBatches);
+  }
+
+  /**
+   * Drop cached accounts and reset the counters (pending lookups still complete)
+   */
+  clear() {
+    this.accounts.clear();
+    this.stats = { accountRequests: 0, accountCacheHits: 0, accountBatches: 0, transactionRequests: 0, transactionBatches: 0 };
+  }
+}
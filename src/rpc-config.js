@@ -0,0 +1,80 @@
+// Public endpoints used when neither a Helius key nor RPC_URLS is configured (heavily rate limited)
+export const PUBLIC_RPC_URLS = {
+  mainnet: 'https://api.mainnet-beta.solana.com',
+  devnet: 'https://api.devnet.solana.com'
+};
+
+// solana-test-validator default RPC endpoint (PubSub on the next port)
+export const LOCALNET_RPC_URL = 'http://127.0.0.1:8899';
+
+/**
+ * Split a comma-separated list of URLs
+ */
+export function splitUrls(value) {
+  return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Derive the PubSub URL of an RPC endpoint: ws(s) on the same host and port, except on localnet
+ * where solana-test-validator serves PubSub on the port after RPC (8899 → 8900)
+ */
+export function toWebSocketUrl(rpcUrl, { localnet = false } = {}) {
+  const url = new URL(rpcUrl);
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  if (localnet && url.port) {
+    url.port = String(Number(url.port) + 1);
+  }
+  return url.toString();
+}
+
+/**
+ * Hide API keys in a URL before logging it
+ */
+export function maskUrl(url) {
+  return String(url).replace(/(api[-_]?key=)[^&]+/i, '$1***');
+}
+
+/**
+ * Resolve RPC and WebSocket endpoints from the environment
+ * Helius keys (HELIUS_API_KEY, HELIUS_API_KEY_2) come first, then any RPC_URLS; WS_URLS overrides
+ * the derived WebSocket URLs. Helius-only extras are only enabled when a Helius key is configured.
+ * SOLANA_NETWORK=localnet ignores Helius keys and targets solana-test-validator (or RPC_URLS) offline.
+ */
+export function resolveRpcConfig(env = process.env) {
+  const network = (env.SOLANA_NETWORK || 'mainnet').replace('-beta', '');
+  const localnet = network === 'localnet';
+  const heliusKeys = localnet ? [] : [env.HELIUS_API_KEY, env.HELIUS_API_KEY_2].filter(Boolean);
+  const heliusHost = `${network === 'devnet' ? 'devnet' : 'mainnet'}.helius-rpc.com`;
+  const extraRpcUrls = splitUrls(env.RPC_URLS);
+
+  let rpcUrls = [...heliusKeys.map(key => `https://${heliusHost}/?api-key=${key}`), ...extraRpcUrls];
+  if (localnet && rpcUrls.length === 0) {
+    rpcUrls = [LOCALNET_RPC_URL];
+  }
+  const publicFallback = rpcUrls.length === 0;
+  if (publicFallback) {
+    rpcUrls = [PUBLIC_RPC_URLS[network] || PUBLIC_RPC_URLS.mainnet];
+  }
+
+  const explicitWsUrls = splitUrls(env.WS_URLS);
+  const wsUrls = explicitWsUrls.length > 0
+    ? explicitWsUrls
+    : [
+      ...heliusKeys.map(key => `wss://${heliusHost}/?api-key=${key}`),
+      ...(publicFallback || localnet ? rpcUrls : extraRpcUrls).map(url => toWebSocketUrl(url, { localnet }))
+    ];
+
+  const helius = heliusKeys.length > 0;
+  return {
+    network,
+    localnet,
+    rpcUrls,
+    wsUrls,
+    publicFallback,
+    heliusApiKey: heliusKeys[0] || null,
+    features: {
+      heliusMetadata: helius, // token metadata API (api.helius.xyz)
+      marketData: !localnet // DexScreener prices; localnet mints are unknown there
+    }
+  };
+}
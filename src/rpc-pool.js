@@ -0,0 +1,203 @@
+// Connection methods routed through the pool
+export const POOL_METHODS = [
+  'getAccountInfo',
+  'getMultipleAccountsInfo',
+  'getBalance',
+  'getSignaturesForAddress',
+  'getTransaction',
+  'getTransactions',
+  'getSignatureStatuses',
+  'getAddressLookupTable'
+];
+
+/**
+ * Label an endpoint by its host so API keys in the URL never show up in logs or routes
+ */
+export function labelEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Whether an RPC error is worth retrying on another endpoint (everything but bad requests)
+ */
+export function isRetryableError(error) {
+  return !/invalid param|-32602|-32600/i.test(error?.message || '');
+}
+
+/**
+ * RPC Pool
+ * Spreads calls over several endpoints weighted by health (latency and recent errors) and fails over
+ * to the next endpoint when a call errors; endpoints with repeated errors cool down for a while
+ */
+export class RpcPool {
+  constructor(endpoints, config = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('RpcPool needs at least one endpoint');
+    }
+
+    this.config = {
+      maxAttempts: config.maxAttempts || endpoints.length,
+      failureThreshold: config.failureThreshold || 3, // consecutive errors before a cooldown
+      cooldownMs: config.cooldownMs || 30000,
+      latencyAlpha: config.latencyAlpha || 0.2 // weight of the newest sample in the latency average
+    };
+    this.random = config.random || Math.random;
+    this.onCall = config.onCall || null; // (endpoint, method, args) for every attempt, e.g. credit accounting
+
+    this.endpoints = endpoints.map((endpoint, index) => ({
+      label: endpoint.label || `${labelEndpoint(endpoint.url)}#${index + 1}`, // keys share a host
+      url: endpoint.url,
+      connection: endpoint.connection,
+      limiter: endpoint.limiter || null, // AdaptiveRateLimiter of the endpoint, if any
+      weight: endpoint.weight || 1,
+      health: {
+        requests: 0,
+        errors: 0,
+        consecutiveErrors: 0,
+        latencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        cooldownUntil: 0
+      }
+    }));
+  }
+
+  /**
+   * Health score of an endpoint: its weight, scaled down by latency and by its recent error streak
+   */
+  score(endpoint, now = Date.now()) {
+    const { health } = endpoint;
+    if (health.cooldownUntil > now || endpoint.limiter?.isPaused(now)) {
+      return 0;
+    }
+    const latency = Math.max(50, health.latencyMs ?? 200);
+    return (endpoint.weight * 1000 / latency) / (1 + health.consecutiveErrors);
+  }
+
+  /**
+   * Pick an endpoint at random, weighted by score; when every endpoint is cooling down or paused,
+   * the one available soonest is used
+   */
+  pick(exclude = new Set(), now = Date.now()) {
+    const candidates = this.endpoints.filter(endpoint => !exclude.has(endpoint));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const scores = candidates.map(endpoint => this.score(endpoint, now));
+    const total = scores.reduce((sum, score) => sum + score, 0);
+    if (total === 0) {
+      const availableAt = (endpoint) => Math.max(endpoint.health.cooldownUntil, endpoint.limiter?.pausedUntil || 0);
+      return candidates.reduce((best, endpoint) => availableAt(endpoint) < availableAt(best) ? endpoint : best);
+    }
+
+    let roll = this.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= scores[i];
+      if (roll < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * Call a Connection method, failing over to other endpoints on retryable errors
+   */
+  async call(method, ...args) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (let attempt = 0; attempt < this.config.maxAttempts; attempt++) {
+      const endpoint = this.pick(tried);
+      if (!endpoint) break;
+      tried.add(endpoint);
+
+      const start = Date.now();
+      this.onCall?.(endpoint, method, args);
+      try {
+        const result = await endpoint.connection[method](...args);
+        this.recordSuccess(endpoint, Date.now() - start);
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!isRetryableError(error)) {
+          throw error;
+        }
+        this.recordFailure(endpoint, error);
+        if (this.endpoints.length > 1) {
+          console.log(`🔀 ${method} failed on ${endpoint.label} (${error.message}), failing over...`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Update latency and clear the error streak of an endpoint
+   */
+  recordSuccess(endpoint, latencyMs) {
+    const { health } = endpoint;
+    health.requests++;
+    health.consecutiveErrors = 0;
+    health.latencyMs = health.latencyMs === null
+      ? latencyMs
+      : Math.round(health.latencyMs + this.config.latencyAlpha * (latencyMs - health.latencyMs));
+  }
+
+  /**
+   * Count an error and start a cooldown once the streak reaches the threshold
+   */
+  recordFailure(endpoint, error, now = Date.now()) {
+    const { health } = endpoint;
+    health.requests++;
+    health.errors++;
+    health.consecutiveErrors++;
+    health.lastError = error.message;
+    health.lastErrorAt = new Date(now).toISOString();
+    if (health.consecutiveErrors >= this.config.failureThreshold) {
+      health.cooldownUntil = now + this.config.cooldownMs;
+    }
+  }
+
+  /**
+   * Whether no endpoint can take a call right now (all cooling down or rate limited)
+   */
+  isSaturated(now = Date.now()) {
+    return this.endpoints.every(endpoint => this.score(endpoint, now) === 0);
+  }
+
+  /**
+   * Health of every endpoint for the /api/rpc-health route
+   */
+  getHealth(now = Date.now()) {
+    return this.endpoints.map(endpoint => {
+      const { health } = endpoint;
+      return {
+        label: endpoint.label,
+        healthy: health.cooldownUntil <= now,
+        score: Math.round(this.score(endpoint, now) * 100) / 100,
+        weight: endpoint.weight,
+        latencyMs: health.latencyMs,
+        requests: health.requests,
+        errors: health.errors,
+        errorRate: health.requests > 0 ? health.errors / health.requests : 0,
+        consecutiveErrors: health.consecutiveErrors,
+        cooldownMs: Math.max(0, health.cooldownUntil - now),
+        lastError: health.lastError,
+        lastErrorAt: health.lastErrorAt,
+        rateLimit: endpoint.limiter?.describe(now) || null
+      };
+    });
+  }
+}
+
+// Every pooled Connection method goes through call() for failover
+for (const method of POOL_METHODS) {
+  RpcPool.prototype[method] = function (...args) {
+    return this.call(method, ...args);
+  };
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import { parse as parseYaml } from 'yaml';
+
+export const DEFAULT_RULES_PATH = new URL('../config/freshness-rules.json', import.meta.url);
+
+// Supported condition operators
+const OPERATORS = {
+  min: (value, expected) => typeof value === 'number' && value >= expected,
+  max: (value, expected) => typeof value === 'number' && value <= expected,
+  equals: (value, expected) => value === expected,
+  in: (value, expected) => expected.includes(value),
+  notIn: (value, expected) => value !== undefined && value !== null && !expected.includes(value),
+  exists: (value, expected) => (value !== undefined && value !== null) === expected
+};
+
+/**
+ * Freshness Rule Engine
+ * Evaluates wallets against declarative, named profiles (fresh, very fresh, whale, sniper...)
+ * so that every entry point classifies wallets the same way
+ */
+export class FreshnessRuleEngine {
+  constructor(rules) {
+    if (!rules || !rules.profiles || Object.keys(rules.profiles).length === 0) {
+      throw new Error('Rule set must define at least one profile');
+    }
+
+    this.classification = rules.classification || 'fresh';
+    this.whaleProfile = rules.whaleProfile || 'whale';
+    this.profiles = {};
+
+    for (const name of Object.keys(rules.profiles)) {
+      this.profiles[name] = this.resolveProfile(rules.profiles, name);
+    }
+
+    if (!this.profiles[this.classification]) {
+      throw new Error(`Classification profile "${this.classification}" is not defined`);
+    }
+  }
+
+  /**
+   * Load a rule set from a JSON or YAML (.yaml/.yml) file (defaults to config/freshness-rules.json)
+   */
+  static load(rulesPath = process.env.FRESHNESS_RULES_PATH || DEFAULT_RULES_PATH) {
+    const content = fs.readFileSync(rulesPath, 'utf8');
+    const isYaml = /\.ya?ml$/i.test(String(rulesPath));
+    return new FreshnessRuleEngine(isYaml ? parseYaml(content) : JSON.parse(content));
+  }
+
+  /**
+   * Merge a profile with the profile it extends (conditions of the child win)
+   */
+  resolveProfile(profiles, name, seen = new Set()) {
+    const profile = profiles[name];
+    if (!profile) {
+      throw new Error(`Unknown profile "${name}"`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Circular profile inheritance at "${name}"`);
+    }
+    seen.add(name);
+
+    const parent = profile.extends ? this.resolveProfile(profiles, profile.extends, seen) : null;
+    const conditions = { ...(parent?.conditions || {}) };
+    for (const [field, condition] of Object.entries(profile.conditions || {})) {
+      for (const operator of Object.keys(condition)) {
+        if (!OPERATORS[operator]) {
+          throw new Error(`Unknown operator "${operator}" in profile "${name}"`);
+        }
+      }
+      conditions[field] = { ...(conditions[field] || {}), ...condition };
+    }
+
+    return {
+      name,
+      label: profile.label || name,
+      description: profile.description || '',
+      conditions
+    };
+  }
+
+  /**
+   * Build the facts a rule set is evaluated against from a wallet check result
+   */
+  static buildFacts(result = {}, tokenInfo = null) {
+    return {
+      ageHours: result.ageHours ?? undefined,
+      transactionCount: result.transactionCount ?? undefined,
+      solBalance: result.solBalance ?? undefined,
+      funded: result.funding !== undefined ? Boolean(result.funding) : undefined,
+      funderAddress: result.funding?.funder,
+      fundingAmountSol: result.funding?.amountSol,
+      inputMint: tokenInfo?.inputToken?.mint,
+      outputMint: tokenInfo?.outputToken?.mint
+    };
+  }
+
+  /**
+   * Check whether facts satisfy a profile
+   * With ignoreMissing, conditions on facts that are not known yet are skipped
+   */
+  matches(profileName, facts, { ignoreMissing = false } = {}) {
+    const profile = this.profiles[profileName];
+    if (!profile) {
+      return false;
+    }
+
+    return Object.entries(profile.conditions).every(([field, condition]) => {
+      const value = facts[field];
+      if (value === undefined && ignoreMissing) {
+        return true;
+      }
+      return Object.entries(condition).every(([operator, expected]) => OPERATORS[operator](value, expected));
+    });
+  }
+
+  /**
+   * Evaluate all profiles and return the names of the matching ones
+   */
+  evaluate(facts) {
+    const matched = Object.keys(this.profiles).filter(name => this.matches(name, facts));
+    return {
+      profiles: matched,
+      isFresh: matched.includes(this.classification),
+      isWhale: matched.includes(this.whaleProfile)
+    };
+  }
+
+  /**
+   * Classify a wallet check result the same way in every entry point: matching profiles, plus the
+   * profiles that only fail on unknown facts (funding that could not be traced, no swap context)
+   * as indeterminate instead of silently not matching
+   */
+  classify(result, tokenInfo = null) {
+    const facts = FreshnessRuleEngine.buildFacts(result, tokenInfo);
+    const evaluation = this.evaluate(facts);
+    const indeterminate = Object.keys(this.profiles).filter(name =>
+      !evaluation.profiles.includes(name) && this.matches(name, facts, { ignoreMissing: true })
+    );
+    return { ...evaluation, indeterminate };
+  }
+
+  /**
+   * Check the classification profile (the one deciding fresh vs not fresh)
+   */
+  isFresh(facts, options = {}) {
+    return this.matches(this.classification, facts, options);
+  }
+
+  /**
+   * Check the whale profile
+   */
+  isWhale(facts, options = {}) {
+    return this.matches(this.whaleProfile, facts, options);
+  }
+
+  /**
+   * Whether any profile needs the wallet's funding source
+   */
+  usesFunding() {
+    return Object.values(this.profiles).some(profile =>
+      Object.keys(profile.conditions).some(field => field.startsWith('fund'))
+    );
+  }
+
+  /**
+   * Loosest age and transaction limits across profiles, used to stop paging
+   * signature history once no profile that needs it can match any more
+   */
+  getHistoryLimits() {
+    let maxAgeHours = null;
+    let maxTransactions = null;
+
+    for (const profile of Object.values(this.profiles)) {
+      const { ageHours, transactionCount } = profile.conditions;
+      if (!ageHours && !transactionCount) {
+        continue; // Profile doesn't look at history (e.g. whale)
+      }
+      if (ageHours?.min !== undefined || transactionCount?.min !== undefined) {
+        return null; // A minimum needs the full history
+      }
+      if (ageHours?.max === undefined || transactionCount?.max === undefined) {
+        return null; // An unbounded profile needs the full history
+      }
+      maxAgeHours = Math.max(maxAgeHours ?? 0, ageHours.max);
+      maxTransactions = Math.max(maxTransactions ?? 0, transactionCount.max);
+    }
+
+    if (maxAgeHours === null) {
+      return null;
+    }
+    return { maxAgeHours, maxTransactions };
+  }
+
+  /**
+   * Get a threshold from a profile condition (e.g. whale solBalance min)
+   */
+  getThreshold(profileName, field, operator) {
+    return this.profiles[profileName]?.conditions[field]?.[operator];
+  }
+
+  /**
+   * Describe profiles for APIs and dashboards
+   */
+  describe() {
+    return Object.values(this.profiles).map(({ name, label, description, conditions }) => ({
+      name,
+      label,
+      description,
+      conditions
+    }));
+  }
+}
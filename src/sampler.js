@@ -0,0 +1,51 @@
+import { createHash } from 'crypto';
+
+export const SAMPLING_MODES = ['off', 'random', 'hash'];
+
+/**
+ * Wallet Sampler
+ * Decides whether a wallet is analyzed: 'random' draws per candidate, 'hash' keys the decision on
+ * sha256(seed:address) so the same wallet gets the same decision in every run, 'off' samples everything
+ */
+export class WalletSampler {
+  constructor(config = {}) {
+    const mode = config.mode || 'random';
+    if (!SAMPLING_MODES.includes(mode)) {
+      throw new Error(`Unknown sampling mode "${mode}" (expected ${SAMPLING_MODES.join(', ')})`);
+    }
+
+    this.config = {
+      mode,
+      rate: config.rate ?? 0.1,
+      seed: config.seed || 'freshies'
+    };
+  }
+
+  /**
+   * Position of an address in [0, 1) for the configured seed
+   */
+  hashPosition(address) {
+    const digest = createHash('sha256').update(`${this.config.seed}:${address}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
+  }
+
+  /**
+   * Decide whether to analyze a wallet: { sampled, reason }
+   * Reasons: 'sampling_off', 'random_in' / 'random_out', 'hash_in' / 'hash_out'
+   */
+  decide(address) {
+    const { mode, rate } = this.config;
+    let sampled = true;
+    let reason = 'sampling_off';
+
+    if (mode === 'random') {
+      sampled = Math.random() < rate;
+      reason = sampled ? 'random_in' : 'random_out';
+    } else if (mode === 'hash') {
+      sampled = this.hashPosition(address) < rate;
+      reason = sampled ? 'hash_in' : 'hash_out';
+    }
+
+    return { sampled, reason };
+  }
+}
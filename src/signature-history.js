@@ -0,0 +1,126 @@
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Signature History Fetcher
+ * Pages through getSignaturesForAddress with `before` cursors and shares one fetch per address
+ */
+export class SignatureHistoryFetcher {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = {
+      pageSize: Math.min(config.pageSize || 1000, 1000), // RPC maximum is 1000
+      maxSignatures: config.maxSignatures || 10000,
+      // Stop paging once the wallet is clearly not fresh (null disables early exit)
+      earlyExit: config.earlyExit === undefined
+        ? { maxAgeHours: 24, maxTransactions: 50 }
+        : config.earlyExit,
+      cacheTtlMs: config.cacheTtlMs || 60000
+    };
+
+    this.cache = new Map(); // address -> { promise, ts }
+  }
+
+  /**
+   * Get the signature history of an address, reusing a recent or in-flight fetch
+   */
+  async getHistory(address) {
+    const cached = this.cache.get(address);
+    if (cached && (Date.now() - cached.ts) < this.config.cacheTtlMs) {
+      return cached.promise;
+    }
+
+    const promise = this.fetchHistory(address);
+    this.cache.set(address, { promise, ts: Date.now() });
+
+    try {
+      return await promise;
+    } catch (error) {
+      // Never cache failures
+      this.cache.delete(address);
+      throw error;
+    } finally {
+      this.pruneCache();
+    }
+  }
+
+  /**
+   * Fetch signatures newest first, following `before` cursors until the history is exhausted,
+   * the ceiling is reached or the early exit condition is met
+   */
+  async fetchHistory(address) {
+    const publicKey = new PublicKey(address);
+    const signatures = [];
+    let before;
+    let pages = 0;
+    let complete = false;
+    let stopReason = null;
+
+    while (signatures.length < this.config.maxSignatures) {
+      const limit = Math.min(this.config.pageSize, this.config.maxSignatures - signatures.length);
+      const page = await this.connection.getSignaturesForAddress(publicKey, { limit, before });
+      pages++;
+      signatures.push(...page);
+
+      if (page.length < limit) {
+        complete = true;
+        break;
+      }
+
+      stopReason = this.getEarlyExitReason(signatures);
+      if (stopReason) {
+        break;
+      }
+
+      before = page[page.length - 1].signature;
+    }
+
+    if (!complete && !stopReason) {
+      stopReason = 'ceiling';
+    }
+
+    return {
+      address,
+      signatures,
+      pages,
+      complete,
+      stopReason,
+      oldest: signatures.length > 0 ? signatures[signatures.length - 1] : null
+    };
+  }
+
+  /**
+   * Check whether the signatures seen so far already prove the wallet is not fresh
+   */
+  getEarlyExitReason(signatures) {
+    const earlyExit = this.config.earlyExit;
+    if (!earlyExit || signatures.length === 0) {
+      return null;
+    }
+
+    if (earlyExit.maxTransactions !== undefined && signatures.length > earlyExit.maxTransactions) {
+      return 'too_many_transactions';
+    }
+
+    const oldestBlockTime = signatures[signatures.length - 1].blockTime;
+    if (earlyExit.maxAgeHours !== undefined && oldestBlockTime) {
+      const ageHours = (Date.now() - oldestBlockTime * 1000) / (1000 * 60 * 60);
+      if (ageHours > earlyExit.maxAgeHours) {
+        return 'too_old';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove expired cache entries
+   */
+  pruneCache() {
+    const now = Date.now();
+    for (const [address, entry] of this.cache.entries()) {
+      if ((now - entry.ts) >= this.config.cacheTtlMs) {
+        this.cache.delete(address);
+      }
+    }
+  }
+}
@@ -0,0 +1,221 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getAccountKeys } from '../transaction-utils.js';
+import raydium from './raydium.js';
+import pumpfun from './pumpfun.js';
+import jupiter from './jupiter.js';
+import orca from './orca.js';
+import meteora from './meteora.js';
+
+export const BUILTIN_SWAP_SOURCES = [raydium, pumpfun, jupiter, orca, meteora];
+
+/**
+ * Whether a log line is the given entry as a whole word ("Instruction: Create" matches
+ * "Instruction: Create" but not "Instruction: CreateIdempotent")
+ */
+function matchesLogLine(line, entry) {
+  return line === entry || (line.startsWith(entry) && !/\w/.test(line[entry.length]));
+}
+
+/**
+ * Swap Source Registry
+ * A swap source is a plain object: { name, label, programIds, decode(transaction), aggregator?, creationLogs?, logHints? }
+ * where decode returns { swaps, creates? } built from normalized swap legs, creationLogs lists
+ * the log lines (whole words, optionally followed by arguments) that the source's own programs
+ * write when a token or pool is created and logHints(logs) returns
+ * { user, mint, solAmount, direction } read from the logs alone (null when the logs carry nothing)
+ */
+export class SwapSourceRegistry {
+  constructor(sources = []) {
+    this.sources = new Map(); // name -> source
+    for (const source of sources) {
+      this.register(source);
+    }
+  }
+
+  /**
+   * Build a registry from the built-in sources plus plugin modules
+   * enabled: names to keep (null keeps all), disabled: names to drop, modules: paths of extra sources
+   */
+  static async fromConfig({ enabled = null, disabled = [], modules = [] } = {}) {
+    const sources = [...BUILTIN_SWAP_SOURCES];
+    for (const modulePath of modules) {
+      sources.push(await SwapSourceRegistry.importSource(modulePath));
+    }
+
+    const known = new Set(sources.map(source => source.name));
+    for (const name of [...(enabled || []), ...disabled]) {
+      if (!known.has(name)) {
+        console.warn(`⚠️ Unknown swap source "${name}" in configuration`);
+      }
+    }
+
+    return new SwapSourceRegistry(sources.filter(source =>
+      (!enabled || enabled.includes(source.name)) && !disabled.includes(source.name)
+    ));
+  }
+
+  /**
+   * Build a registry from SWAP_SOURCES, SWAP_SOURCES_DISABLED and SWAP_SOURCE_MODULES
+   */
+  static async fromEnv(env = process.env) {
+    const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    const enabled = list(env.SWAP_SOURCES);
+
+    return SwapSourceRegistry.fromConfig({
+      enabled: enabled.length > 0 ? enabled : null,
+      disabled: list(env.SWAP_SOURCES_DISABLED),
+      modules: list(env.SWAP_SOURCE_MODULES)
+    });
+  }
+
+  /**
+   * Load a swap source from a module path (default export or named `swapSource` export)
+   */
+  static async importSource(modulePath) {
+    const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+    const source = module.default || module.swapSource;
+    if (!source) {
+      throw new Error(`Swap source module "${modulePath}" has no default or swapSource export`);
+    }
+    return source;
+  }
+
+  /**
+   * Add a swap source after validating its shape
+   */
+  register(source) {
+    if (!source || typeof source.name !== 'string' || source.name.length === 0) {
+      throw new Error('Swap source must have a name');
+    }
+    if (!Array.isArray(source.programIds) || source.programIds.length === 0) {
+      throw new Error(`Swap source "${source.name}" must list at least one program ID`);
+    }
+    if (typeof source.decode !== 'function') {
+      throw new Error(`Swap source "${source.name}" must have a decode function`);
+    }
+    if (this.sources.has(source.name)) {
+      throw new Error(`Swap source "${source.name}" is already registered`);
+    }
+
+    this.sources.set(source.name, { label: source.name, aggregator: false, creationLogs: [], ...source });
+  }
+
+  /**
+   * Get all registered sources
+   */
+  getSources() {
+    return Array.from(this.sources.values());
+  }
+
+  /**
+   * Get all program IDs to subscribe to
+   */
+  getProgramIds() {
+    return [...new Set(this.getSources().flatMap(source => source.programIds))];
+  }
+
+  /**
+   * Decode a transaction with every source whose programs it mentions
+   * Aggregator legs supersede the AMM legs they were routed through
+   */
+  decode(transaction) {
+    const accountKeys = new Set(getAccountKeys(transaction));
+    const swaps = [];
+    const routes = [];
+    const creates = [];
+
+    for (const source of this.sources.values()) {
+      if (!source.programIds.some(programId => accountKeys.has(programId))) {
+        continue;
+      }
+
+      try {
+        const decoded = source.decode(transaction) || {};
+        (source.aggregator ? routes : swaps).push(...(decoded.swaps || []));
+        creates.push(...(decoded.creates || []));
+      } catch (error) {
+        // A broken plugin must not stop the other sources
+        console.error(`❌ Swap source "${source.name}" failed to decode:`, error.message);
+      }
+    }
+
+    const byInstruction = (a, b) => a.instructionIndex - b.instructionIndex;
+    return {
+      swaps: (routes.length > 0 ? routes : swaps).sort(byInstruction),
+      creates: creates.sort(byInstruction)
+    };
+  }
+
+  /**
+   * Check program logs for a token or pool creation (cheap, before fetching the transaction)
+   * A line only counts inside an invocation of the source's own programs, so the Token and
+   * Associated Token programs' InitializeAccount3 or CreateIdempotent logs never match
+   */
+  isCreationLog(logs) {
+    if (!Array.isArray(logs)) {
+      return false;
+    }
+
+    const invocations = []; // program IDs of the open `Program <id> invoke` frames
+    for (const line of logs) {
+      const invoke = line.match(/^Program (\w+) invoke \[\d+\]$/);
+      if (invoke) {
+        invocations.push(invoke[1]);
+        continue;
+      }
+      if (/^Program \w+ (success|failed)/.test(line)) {
+        invocations.pop();
+        continue;
+      }
+
+      const programId = invocations[invocations.length - 1];
+      if (programId && this.getSources().some(source =>
+        source.programIds.includes(programId) && source.creationLogs.some(entry => matchesLogLine(line, entry))
+      )) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Merge the log hints of every source; aggregators (user-facing route) take precedence
+   */
+  getLogHints(logs) {
+    if (!Array.isArray(logs)) {
+      return null;
+    }
+
+    const sources = this.getSources()
+      .filter(source => typeof source.logHints === 'function')
+      .sort((a, b) => Number(b.aggregator) - Number(a.aggregator));
+
+    let merged = null;
+    for (const source of sources) {
+      try {
+        const hints = source.logHints(logs);
+        if (!hints) continue;
+        merged = merged || {};
+        for (const [key, value] of Object.entries(hints)) {
+          if (merged[key] == null && value != null) merged[key] = value;
+        }
+      } catch (error) {
+        // Hints are optional: a malformed log line just means no hints
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Describe sources for logs and APIs
+   */
+  describe() {
+    return this.getSources().map(({ name, label, programIds, aggregator }) => ({
+      name,
+      label,
+      programIds,
+      aggregator
+    }));
+  }
+}
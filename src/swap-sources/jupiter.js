@@ -0,0 +1,19 @@
+import { decodeJupiterRoutes, decodeJupiterLogHints, JUPITER_V6 } from '../decoders/jupiter.js';
+
+/**
+ * Jupiter v6 aggregator: a route already summarizes the AMM swaps it made (kept as its hops)
+ */
+export default {
+  name: 'jupiter',
+  label: 'Jupiter',
+  aggregator: true,
+  programIds: [
+    JUPITER_V6 // Jupiter v6
+  ],
+  decode(transaction) {
+    return { swaps: decodeJupiterRoutes(transaction) };
+  },
+  logHints(logs) {
+    return decodeJupiterLogHints(logs);
+  }
+};
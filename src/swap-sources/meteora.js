@@ -0,0 +1,16 @@
+import { decodeMeteoraSwaps, METEORA_DLMM, METEORA_DYNAMIC_AMM } from '../decoders/meteora.js';
+
+/**
+ * Meteora DLMM and dynamic AMM
+ */
+export default {
+  name: 'meteora',
+  label: 'Meteora',
+  programIds: [
+    METEORA_DLMM,       // Meteora DLMM
+    METEORA_DYNAMIC_AMM // Meteora dynamic AMM
+  ],
+  decode(transaction) {
+    return { swaps: decodeMeteoraSwaps(transaction) };
+  }
+};
@@ -0,0 +1,15 @@
+import { decodeOrcaSwaps, ORCA_WHIRLPOOL } from '../decoders/orca.js';
+
+/**
+ * Orca Whirlpool
+ */
+export default {
+  name: 'orca',
+  label: 'Orca',
+  programIds: [
+    ORCA_WHIRLPOOL // Orca Whirlpool
+  ],
+  decode(transaction) {
+    return { swaps: decodeOrcaSwaps(transaction) };
+  }
+};
@@ -0,0 +1,29 @@
+import {
+  decodePumpFunInstructions,
+  decodePumpFunLogHints,
+  PUMP_FUN_PROGRAM,
+  PUMPSWAP_PROGRAM
+} from '../decoders/pumpfun.js';
+
+/**
+ * pump.fun bonding curve and PumpSwap AMM (launches trade here long before migrating to an AMM)
+ */
+export default {
+  name: 'pumpfun',
+  label: 'pump.fun',
+  programIds: [
+    PUMP_FUN_PROGRAM, // pump.fun bonding curve
+    PUMPSWAP_PROGRAM  // PumpSwap AMM
+  ],
+  creationLogs: [
+    'Program log: Instruction: Create', // pump.fun create
+    'Program log: Instruction: CreateV2', // pump.fun create_v2 (Token-2022 mints)
+    'Program log: Instruction: CreatePool' // PumpSwap create_pool
+  ],
+  decode(transaction) {
+    return decodePumpFunInstructions(transaction);
+  },
+  logHints(logs) {
+    return decodePumpFunLogHints(logs);
+  }
+};
@@ -0,0 +1,29 @@
+import { decodeRaydiumSwaps, decodeRaydiumPoolCreations, decodeRaydiumLogHints, RAYDIUM_AMM_V4, RAYDIUM_CPMM, RAYDIUM_CLMM } from '../decoders/raydium.js';
+
+/**
+ * Raydium AMM v4, CPMM and CLMM
+ */
+export default {
+  name: 'raydium',
+  label: 'Raydium',
+  programIds: [
+    RAYDIUM_CPMM,   // Raydium CPMM
+    RAYDIUM_AMM_V4, // Raydium AMM
+    RAYDIUM_CLMM,   // Raydium CLMM
+    '5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h' // Raydium Serum
+  ],
+  creationLogs: [
+    'Program log: initialize2: InitializeInstruction2', // AMM v4
+    'Program log: Instruction: Initialize' // CPMM
+  ],
+  decode(transaction) {
+    return {
+      swaps: decodeRaydiumSwaps(transaction),
+      creates: decodeRaydiumPoolCreations(transaction)
+    };
+  },
+  // Only AMM v4 logs its swap amounts (ray_log); CPMM and CLMM swaps get no hints
+  logHints(logs) {
+    return decodeRaydiumLogHints(logs);
+  }
+};
@@ -1,6 +1,65 @@
 import { HeliusWebSocketManager } from './helius-websocket.js';
 import { WalletDatabase } from './database.js';
 import { SolanaMCPIntegration } from './mcp-integration.js';
+import { FundingTracer } from './funding-tracer.js';
+import { RetryQueue, VERDICT } from './retry-queue.js';
+import { InsiderClusterTracker } from './insider-clusters.js';
+import { SignatureHistoryFetcher } from './signature-history.js';
+import { FreshnessRuleEngine } from './rule-engine.js';
+import { checkWallet } from '../api/wallet-data.js';
+import { decodeRaydiumSwaps, decodeRaydiumPoolCreations, RAYDIUM_AMM_V4, RAYDIUM_CPMM } from './decoders/raydium.js';
+import { decodePumpFunInstructions, PUMP_FUN_PROGRAM, PUMPSWAP_PROGRAM } from './decoders/pumpfun.js';
+import { decodeJupiterRoutes, JUPITER_V6 } from './decoders/jupiter.js';
+import { decodeOrcaSwaps, ORCA_WHIRLPOOL } from './decoders/orca.js';
+import { decodeMeteoraSwaps, METEORA_DLMM, METEORA_DYNAMIC_AMM } from './decoders/meteora.js';
+import { SwapSourceRegistry } from './swap-sources/index.js';
+import { LaunchTracker } from './launch-tracker.js';
+import { BundleDetector, findJitoTip } from './bundle-detector.js';
+import { LookupTableResolver } from './lookup-table-resolver.js';
+import { identifyTrader, getSigners } from './trader-identity.js';
+import { FinalityChecker } from './finality-checker.js';
+import { DetectionEffects } from './detection-effects.js';
+import { CandidateQueue, CandidateScorer } from './candidate-queue.js';
+import { WalletSampler } from './sampler.js';
+import { WalletDetector } from './wallet-detector.js';
+import { FreshWalletDetector } from '../fresh-wallet-detector.js';
+import { RpcBatcher } from './rpc-batcher.js';
+import { AdaptiveRateLimiter, parseRetryAfter } from './rate-limiter.js';
+import { RpcPool } from './rpc-pool.js';
+import { CreditBudget } from './credit-budget.js';
+import { resolveRpcConfig, toWebSocketUrl, maskUrl } from './rpc-config.js';
+import {
+  pumpFunAccounts,
+  getAssociatedTokenAddress,
+  getValidatorFixtureArgs,
+  readBondingCurve,
+  quoteBuy,
+  createInstruction,
+  buyInstruction,
+  sellInstruction
+} from './localnet-pumpfun.js';
+import {
+  parseMintAccount,
+  describeMint,
+  getTransferFee,
+  getPreFeeAmount,
+  MintExtensionCache,
+  TOKEN_2022_PROGRAM
+} from './token-extensions.js';
+import {
+  anchorDiscriminator,
+  getAccountKeys,
+  getFeePayer,
+  hasUnresolvedLookups,
+  getOwnerBalanceChanges
+} from './transaction-utils.js';
+import bs58 from 'bs58';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { stringify as stringifyYaml } from 'yaml';
+import sqlite3 from 'sqlite3';
+import { Keypair } from '@solana/web3.js';
 
 /**
  * Simple test suite for Freshies components
@@ -107,6 +166,16 @@ test.addTest('Database Wallet Operations', async () => {
   const stats = await db.getWalletStats();
   test.assert(stats.totalWallets === 1, 'Stats should show 1 wallet');
   
+  // Funding sources and trader identity use the same schema as the fresh wallet detector
+  test.assert((await db.getWallet(walletData.address)).funding === null, 'Untraced wallets should have no funder');
+  await db.saveFunding(walletData.address, { funder: 'Funder1', amountSol: 2, fundedAt: '2026-01-01T00:00:00.000Z', signature: 'FundSig' });
+  const funded = await db.getWallet(walletData.address);
+  test.assert(funded.funding.funder === 'Funder1' && funded.funding.amountSol === 2, 'The funder should be returned with the wallet');
+  test.assert((await db.getWalletsFundedBy('Funder1')).join() === walletData.address, 'Wallets should be queryable by funder');
+  await db.saveTransaction({ walletAddress: walletData.address, signature: 'TxSig', feePayer: 'Payer1', signers: ['Payer1', walletData.address] });
+  const tx = await db.db.get('SELECT fee_payer, signers FROM transactions WHERE signature = ?', ['TxSig']);
+  test.assert(tx.fee_payer === 'Payer1' && tx.signers === `Payer1,${walletData.address}`, 'Fee payer and signers should be stored');
+  
   await db.close();
 });
 
@@ -245,6 +314,1317 @@ test.addTest('MCP Cache Functionality', async () => {
   test.assert(mcp.cache.size === 0, 'Cache should be empty after clearing');
 });
 
+// Test Funding Source Tracing
+test.addTest('Funding Source Tracing', async () => {
+  const funder = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+  const wallet = 'DemoWa11et111111111111111111111111111111111';
+  
+  // System Program transfer: u32 instruction index (2) + u64 lamports
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(2, 0);
+  data.writeBigUInt64LE(1500000000n, 4);
+  
+  const transaction = {
+    blockTime: 1700000000,
+    transaction: {
+      message: {
+        accountKeys: [funder, wallet, '11111111111111111111111111111111'],
+        instructions: [{ programIdIndex: 2, accounts: [0, 1], data: bs58.encode(data) }]
+      }
+    },
+    meta: {
+      err: null,
+      preBalances: [5000000000, 0, 1],
+      postBalances: [3499995000, 1500000000, 1]
+    }
+  };
+  
+  const tracer = new FundingTracer(null);
+  const transfer = tracer.findInboundTransfer(transaction, wallet);
+  test.assert(transfer !== null, 'Inbound transfer should be found');
+  test.assert(transfer.funder === funder, 'Funder should be the transfer source');
+  test.assert(transfer.amountSol === 1.5, 'Amount should be decoded from instruction data');
+  test.assert(transfer.method === 'system_transfer', 'Transfer should come from instruction decoding');
+  
+  // Without instructions the tracer falls back to lamport balance changes
+  transaction.transaction.message.instructions = [];
+  const fallback = tracer.findInboundTransfer(transaction, wallet);
+  test.assert(fallback.funder === funder, 'Fallback should pick the account that lost lamports');
+  test.assert(fallback.method === 'balance_change', 'Fallback should use balance changes');
+  
+  test.assert(tracer.findInboundTransfer(transaction, funder) === null, 'Outbound transfers should be ignored');
+  
+  // Histories are paged back to the first transaction; a history past the ceiling leaves the funder unknown
+  const pageCalls = [];
+  const busyConnection = {
+    getSignaturesForAddress: async (address, options) => {
+      pageCalls.push(options.before);
+      return Array.from({ length: options.limit }, (_, i) => ({ signature: `sig${pageCalls.length}-${i}`, err: null }));
+    }
+  };
+  const busy = await new FundingTracer(busyConnection, { maxSignatures: 2000 }).traceFundingSource(funder);
+  test.assert(busy && busy.unknown && busy.funder === null && busy.reason === 'history_incomplete', 'Funder should be unknown past the ceiling');
+  test.assert(pageCalls.length === 2 && pageCalls[1] === 'sig1-999', 'History should be paged with before cursors');
+  
+  transaction.transaction.message.instructions = [{ programIdIndex: 2, accounts: [0, 1], data: bs58.encode(data) }];
+  const shortConnection = {
+    getSignaturesForAddress: async () => [{ signature: 'newest', err: null }, { signature: 'oldest', err: null }],
+    getTransaction: async (signature) => signature === 'oldest' ? transaction : null
+  };
+  const traced = await new FundingTracer(shortConnection).traceFundingSource(wallet);
+  test.assert(traced && traced.funder === funder && traced.signature === 'oldest', 'The oldest inbound transfer should be the funder');
+});
+
+// Test Unknown Verdict Retries
+test.addTest('Unknown Verdict Retry Queue', async () => {
+  const queue = new RetryQueue({ maxAttempts: 2, delayMs: 1000 });
+  const now = 1000000;
+  
+  const first = queue.recordVerdict('Flaky', VERDICT.UNKNOWN, { swapSignature: 'sig1' }, now);
+  test.assert(first.action === 'queued' && first.firstUnknown && first.attempts === 1, 'First unknown verdict should queue a retry');
+  test.assert(queue.getDue(now + 999).length === 0 && queue.getDue(now + 1000).length === 1, 'First retry should wait one delay');
+  
+  queue.markInProgress('Flaky');
+  test.assert(queue.getDue(now + 1000).length === 0, 'Wallets being re-checked should not be picked up twice');
+  
+  const second = queue.recordVerdict('Flaky', VERDICT.UNKNOWN, {}, now);
+  test.assert(second.action === 'queued' && !second.firstUnknown && second.attempts === 2, 'Retries should not count as new unknown wallets');
+  test.assert(queue.entries.get('Flaky').nextAttemptAt === now + 2000 && queue.entries.get('Flaky').swapSignature === 'sig1', 'Backoff should grow linearly and keep the context');
+  
+  const gaveUp = queue.recordVerdict('Flaky', VERDICT.UNKNOWN, {}, now);
+  test.assert(gaveUp.action === 'gave_up' && gaveUp.attempts === 2 && queue.size === 0, 'Queue should give up after max attempts');
+  
+  queue.recordVerdict('Slow', VERDICT.UNKNOWN, {}, now);
+  const resolved = queue.recordVerdict('Slow', VERDICT.NOT_FRESH, {}, now);
+  test.assert(resolved.action === 'resolved' && queue.size === 0, 'A decided verdict should resolve a queued wallet');
+  test.assert(queue.recordVerdict('Fresh', VERDICT.FRESH).action === 'decided', 'Unqueued decided verdicts need no retry');
+  
+  const { fresh, notFresh, unknown, retriesResolved, gaveUp: givenUp } = queue.stats;
+  test.assert(unknown === 2 && notFresh === 1 && fresh === 1, 'Unknown verdicts should be counted apart from not fresh ones');
+  test.assert(retriesResolved === 1 && givenUp === 1, 'Resolved and abandoned retries should be counted');
+  
+  queue.clear();
+  test.assert(queue.stats.unknown === 0 && queue.size === 0, 'Clear should reset the queue and counters');
+});
+
+// Test API and Detector Classification
+test.addTest('API and Detector Classification Agree', async () => {
+  const rules = FreshnessRuleEngine.load();
+  const funder = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+  const wallet = '7dHbWXmci3dT8UFYWYZweBLXgycu7Y3iL6trKn1Y7ARj';
+  const blockTime = Math.floor(Date.now() / 1000) - 3600;
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(2, 0);
+  data.writeBigUInt64LE(2000000000n, 4);
+  const fundingTx = {
+    blockTime,
+    transaction: { message: { accountKeys: [funder, wallet, '11111111111111111111111111111111'], instructions: [{ programIdIndex: 2, accounts: [0, 1], data: bs58.encode(data) }] } },
+    meta: { err: null, preBalances: [5000000000, 0, 1], postBalances: [2999995000, 2000000000, 1] }
+  };
+  const connection = {
+    getSignaturesForAddress: async () => [{ signature: 'swap', err: null, blockTime }, { signature: 'funding', err: null, blockTime }],
+    getTransaction: async (signature) => signature === 'funding' ? fundingTx : null,
+    getBalance: async () => 3000000000
+  };
+  const buy = { inputToken: { mint: 'So11111111111111111111111111111111111111112' }, outputToken: { mint: 'MemeMint111' } };
+  
+  // The API traces funding and classifies through the same rule engine call as the detector
+  const api = await checkWallet(connection, wallet, buy);
+  const detector = rules.classify({ ageHours: api.ageHours, transactionCount: 2, solBalance: 3, funding: api.funding }, buy);
+  test.assert(api.funding && api.funding.funder === funder && api.funding.amountSol === 2, 'The API should trace the funder');
+  test.assert(api.profiles.join(',') === detector.profiles.join(',') && api.profiles.includes('sniper'), 'API and detector should match the same profiles');
+  
+  // Without swap context or a traceable funder, funding and mint profiles are indeterminate rather than unmatched
+  const noSwap = await checkWallet(connection, wallet);
+  test.assert(!noSwap.profiles.includes('sniper') && noSwap.indeterminateProfiles.includes('sniper'), 'Sniper should be indeterminate without a swap');
+  const untraced = rules.classify({ ageHours: 1, transactionCount: 2, solBalance: 3, funding: undefined }, buy);
+  test.assert(untraced.indeterminate.includes('sniper') && !untraced.indeterminate.includes('fresh'), 'Sniper should be indeterminate without funding');
+  test.assert(!rules.classify({ ageHours: 1, transactionCount: 2, funding: null }, buy).indeterminate.includes('sniper'), 'Unfunded wallets are not snipers');
+});
+
+// Test Insider Clustering
+test.addTest('Insider Cluster Detection', async () => {
+  const tracker = new InsiderClusterTracker({ maxHops: 2, minClusterSize: 2, coordinatedBuyers: 3 });
+  const buy = { outputToken: { mint: 'MemeMint111', symbol: 'MEME' } };
+  
+  // Two intermediate wallets funded by the same parent
+  tracker.addFundingEdge('HopA', 'Parent');
+  tracker.addFundingEdge('HopB', 'Parent');
+  
+  test.assert(tracker.addFreshWallet('Fresh1', { funder: 'HopA', amountSol: 1 }) === null, 'Single wallet is not a cluster');
+  const second = tracker.addFreshWallet('Fresh2', { funder: 'HopB', amountSol: 1 });
+  test.assert(second && second.isNew, 'Second wallet within 2 hops should form a new cluster');
+  test.assert(second.cluster.rootFunder === 'Parent', 'Cluster should be keyed on the shared ancestor');
+  
+  const third = tracker.addFreshWallet('Fresh3', { funder: 'Parent', amountSol: 1 });
+  test.assert(third && !third.isNew && third.cluster.size === 3, 'Direct child should join the existing cluster');
+  
+  test.assert(tracker.recordBuy('Fresh1', buy) === null, 'One buyer is not coordinated');
+  test.assert(tracker.recordBuy('Fresh2', buy) === null, 'Two buyers are not coordinated');
+  const coordinated = tracker.recordBuy('Fresh3', buy);
+  test.assert(coordinated && coordinated.coordinatedBuy.buyers.length === 3, 'Three buyers of one mint should be flagged');
+  test.assert(tracker.getClusters().length === 1, 'Cluster should be listed');
+  
+  // Ignored funders (exchanges) never form clusters
+  const ignoring = new InsiderClusterTracker({ ignoredFunders: ['Exchange'] });
+  ignoring.addFreshWallet('A', { funder: 'Exchange' });
+  test.assert(ignoring.addFreshWallet('B', { funder: 'Exchange' }) === null, 'Ignored funders should not cluster');
+  
+  // Expired wallets are dropped as new ones arrive, and funding edges are capped
+  const bounded = new InsiderClusterTracker({ maxFundingEdges: 3, cleanupIntervalMs: 0 });
+  bounded.addFreshWallet('Old1', { funder: 'Funder' });
+  bounded.addFreshWallet('Old2', { funder: 'Funder' });
+  for (const wallet of bounded.freshWallets.values()) wallet.detectedAt -= 25 * 60 * 60 * 1000;
+  bounded.addFreshWallet('New1', { funder: 'Other' });
+  test.assert(!bounded.freshWallets.has('Old1') && !bounded.clusters.has('Funder'), 'Expired wallets should be cleaned up without polling clusters');
+  bounded.addFundingEdge('X', 'Y');
+  bounded.addFundingEdge('Z', 'Y');
+  test.assert(bounded.fundingEdges.size === 3 && !bounded.fundingEdges.has('Old1'), 'Oldest funding edges should be evicted');
+});
+
+// Test Signature History Paging
+test.addTest('Signature History Paging', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const allSignatures = Array.from({ length: 2500 }, (_, i) => ({ signature: `sig${i}`, blockTime: now - i }));
+  const calls = [];
+  const connection = {
+    async getSignaturesForAddress(publicKey, { limit, before }) {
+      calls.push(before);
+      const start = before ? allSignatures.findIndex(s => s.signature === before) + 1 : 0;
+      return allSignatures.slice(start, start + limit);
+    }
+  };
+  const address = '11111111111111111111111111111111';
+  
+  const fetcher = new SignatureHistoryFetcher(connection, { earlyExit: null });
+  const history = await fetcher.getHistory(address);
+  test.assert(history.signatures.length === 2500, 'All pages should be walked');
+  test.assert(history.complete && history.pages === 3, 'History should be complete after 3 pages');
+  test.assert(history.oldest.signature === 'sig2499', 'Oldest signature should be the last one');
+  
+  await fetcher.getHistory(address);
+  test.assert(calls.length === 3, 'Second lookup should reuse the cached fetch');
+  
+  const capped = new SignatureHistoryFetcher(connection, { earlyExit: null, maxSignatures: 1500 });
+  const cappedHistory = await capped.getHistory(address);
+  test.assert(cappedHistory.signatures.length === 1500 && cappedHistory.stopReason === 'ceiling', 'Ceiling should stop paging');
+  
+  const early = new SignatureHistoryFetcher(connection, { pageSize: 100 });
+  const earlyHistory = await early.getHistory(address);
+  test.assert(earlyHistory.pages === 1 && earlyHistory.stopReason === 'too_many_transactions', 'Busy wallets should exit after one page');
+});
+
+// Test Freshness Rule Engine
+test.addTest('Freshness Rule Engine', async () => {
+  const rules = FreshnessRuleEngine.load();
+  
+  const fresh = rules.evaluate(FreshnessRuleEngine.buildFacts({ ageHours: 2, transactionCount: 10, solBalance: 150 }));
+  test.assert(fresh.isFresh && fresh.isWhale, 'Young rich wallet should be fresh and a whale');
+  test.assert(fresh.profiles.includes('fresh_whale'), 'Fresh whale profile should match');
+  test.assert(!fresh.profiles.includes('very_fresh'), 'Two hour old wallet is not very fresh');
+  test.assert(!fresh.profiles.includes('sniper'), 'Sniper needs a traced funding source');
+  
+  const old = rules.evaluate(FreshnessRuleEngine.buildFacts({ ageHours: 48, transactionCount: 10, solBalance: 1 }));
+  test.assert(!old.isFresh && old.profiles.length === 0, 'Old wallet should match no profile');
+  
+  const sniper = rules.evaluate(FreshnessRuleEngine.buildFacts(
+    { ageHours: 0.5, transactionCount: 3, solBalance: 2, funding: { funder: 'Funder', amountSol: 2 } },
+    { inputToken: { mint: 'So11111111111111111111111111111111111111112' }, outputToken: { mint: 'MemeMint111' } }
+  ));
+  test.assert(sniper.profiles.includes('sniper') && sniper.profiles.includes('very_fresh'), 'Funded meme buyer should be a sniper');
+  
+  // The same rule set as YAML loads to the same profiles
+  const yamlPath = path.join(os.tmpdir(), `freshies-rules-${process.pid}.yml`);
+  fs.writeFileSync(yamlPath, stringifyYaml(JSON.parse(fs.readFileSync(new URL('../config/freshness-rules.json', import.meta.url), 'utf8'))));
+  try {
+    const yamlRules = FreshnessRuleEngine.load(yamlPath);
+    test.assert(JSON.stringify(yamlRules.describe()) === JSON.stringify(rules.describe()), 'YAML rule sets should load like JSON');
+  } finally {
+    fs.unlinkSync(yamlPath);
+  }
+  
+  // Unknown facts can be skipped for a preliminary check
+  test.assert(rules.isFresh({ ageHours: 1 }, { ignoreMissing: true }), 'Missing facts should be skipped when asked');
+  test.assert(!rules.isFresh({ ageHours: 1 }), 'Missing facts should fail by default');
+  
+  const limits = rules.getHistoryLimits();
+  test.assert(limits.maxAgeHours === 24 && limits.maxTransactions === 50, 'History limits should be the loosest profile limits');
+  test.assert(rules.getThreshold('whale', 'solBalance', 'min') === 100, 'Whale threshold should come from the rules');
+  
+  let threw = false;
+  try {
+    new FreshnessRuleEngine({ profiles: { fresh: { conditions: { ageHours: { below: 1 } } } } });
+  } catch (error) {
+    threw = true;
+  }
+  test.assert(threw, 'Unknown operators should be rejected');
+});
+
+// Build a legacy transaction with one instruction, token balances and lamport balances for decoder tests
+function buildSwapTransaction(programId, accounts, data, tokenBalances, lamportBalances = []) {
+  const accountKeys = [...accounts, programId];
+  const balance = (account, mint, amount, owner) => ({
+    accountIndex: accountKeys.indexOf(account),
+    mint,
+    owner,
+    uiTokenAmount: { amount: String(amount), decimals: mint === 'So11111111111111111111111111111111111111112' ? 9 : 6 }
+  });
+  
+  return {
+    transaction: {
+      message: {
+        accountKeys,
+        instructions: [{
+          programIdIndex: accountKeys.length - 1,
+          accounts: accounts.map((_, i) => i),
+          data: bs58.encode(data)
+        }]
+      }
+    },
+    meta: {
+      err: null,
+      preTokenBalances: tokenBalances.filter(b => b.pre !== undefined).map(b => balance(b.account, b.mint, b.pre, b.owner)),
+      postTokenBalances: tokenBalances.filter(b => b.post !== undefined).map(b => balance(b.account, b.mint, b.post, b.owner)),
+      preBalances: accountKeys.map(key => lamportBalances.find(b => b.account === key)?.pre ?? 0),
+      postBalances: accountKeys.map(key => lamportBalances.find(b => b.account === key)?.post ?? 0)
+    }
+  };
+}
+
+// Test Raydium Swap Decoding
+test.addTest('Raydium Swap Decoding', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  
+  // CPMM swap_base_input: 0.5 SOL in, at least 1000 MEME out
+  const cpmmData = Buffer.alloc(24);
+  anchorDiscriminator('swap_base_input').copy(cpmmData, 0);
+  cpmmData.writeBigUInt64LE(500000000n, 8);
+  cpmmData.writeBigUInt64LE(1000000000n, 16);
+  const cpmmAccounts = ['Trader', 'Authority', 'Config', 'CpmmPool', 'TraderWsol', 'TraderMeme',
+    'VaultWsol', 'VaultMeme', 'TokenProgram', 'TokenProgram2', WSOL, MEME, 'Observation'];
+  const cpmmTx = buildSwapTransaction(RAYDIUM_CPMM, cpmmAccounts, cpmmData, [
+    { account: 'TraderMeme', mint: MEME, pre: 0, post: 1200000000, owner: 'Trader' }
+  ]);
+  
+  const [cpmmLeg] = decodeRaydiumSwaps(cpmmTx);
+  test.assert(cpmmLeg && cpmmLeg.program === 'raydium-cpmm', 'CPMM swap should be decoded');
+  test.assert(cpmmLeg.pool === 'CpmmPool', 'Pool address should come from the instruction');
+  test.assert(cpmmLeg.inputMint === WSOL && cpmmLeg.outputMint === MEME, 'Mints should come from the instruction');
+  test.assert(cpmmLeg.amountOut === 1200, 'Actual amount out should come from the balance change');
+  test.assert(cpmmLeg.minimumAmountOut === 1000, 'Minimum out should be decoded');
+  test.assert(cpmmLeg.direction === 'buy', 'SOL → token should be a buy');
+  
+  // AMM v4 swapBaseIn (17 accounts) where the temporary WSOL account has no token balances
+  const ammData = Buffer.alloc(17);
+  ammData.writeUInt8(9, 0);
+  ammData.writeBigUInt64LE(2000000000n, 1);
+  ammData.writeBigUInt64LE(1n, 9);
+  const ammAccounts = ['TokenProgram', 'AmmPool', 'AmmAuthority', 'OpenOrders', 'CoinVault', 'PcVault',
+    'Serum', 'Market', 'Bids', 'Asks', 'EventQueue', 'SerumCoin', 'SerumPc', 'VaultSigner',
+    'TempWsol', 'TraderMeme', 'Trader'];
+  const ammTx = buildSwapTransaction(RAYDIUM_AMM_V4, ammAccounts, ammData, [
+    { account: 'CoinVault', mint: MEME, pre: 9000000000, post: 8500000000, owner: 'AmmAuthority' },
+    { account: 'PcVault', mint: WSOL, pre: 10000000000, post: 12000000000, owner: 'AmmAuthority' },
+    { account: 'TraderMeme', mint: MEME, post: 500000000, owner: 'Trader' }
+  ]);
+  
+  const [ammLeg] = decodeRaydiumSwaps(ammTx);
+  test.assert(ammLeg && ammLeg.pool === 'AmmPool' && ammLeg.user === 'Trader', 'AMM v4 swap should be decoded');
+  test.assert(ammLeg.inputMint === WSOL && ammLeg.amountIn === 2, 'Input leg should fall back to the pool vault');
+  test.assert(ammLeg.outputMint === MEME && ammLeg.amountOut === 500, 'Output leg should come from the trader account');
+  
+  test.assert(decodeRaydiumSwaps({ transaction: { message: { accountKeys: [], instructions: [] } }, meta: {} }).length === 0,
+    'Transactions without Raydium instructions should decode to nothing');
+});
+
+// Test pump.fun Decoding
+test.addTest('pump.fun Decoding', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  const borshString = (value) => {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length);
+    return Buffer.concat([length, bytes]);
+  };
+  
+  // Bonding curve buy: 1000 tokens for at most 0.2 SOL, the curve receives 0.15 SOL
+  const buyData = Buffer.alloc(24);
+  anchorDiscriminator('buy').copy(buyData, 0);
+  buyData.writeBigUInt64LE(1000000000n, 8);
+  buyData.writeBigUInt64LE(200000000n, 16);
+  const curveAccounts = ['Global', 'FeeRecipient', MEME, 'BondingCurve', 'CurveTokens', 'TraderMeme', 'Trader'];
+  const buyTx = buildSwapTransaction(PUMP_FUN_PROGRAM, curveAccounts, buyData, [
+    { account: 'TraderMeme', mint: MEME, post: 1000000000, owner: 'Trader' }
+  ], [
+    { account: 'BondingCurve', pre: 5000000000, post: 5150000000 }
+  ]);
+  
+  const { swaps: [buyLeg] } = decodePumpFunInstructions(buyTx);
+  test.assert(buyLeg && buyLeg.dex === 'pumpfun' && buyLeg.instruction === 'buy', 'Bonding curve buy should be decoded');
+  test.assert(buyLeg.inputMint === WSOL && buyLeg.outputMint === MEME, 'Buy should be SOL → token');
+  test.assert(buyLeg.amountIn === 0.15, 'SOL in should come from the bonding curve lamport change');
+  test.assert(buyLeg.amountOut === 1000 && buyLeg.maxAmountIn === 0.2, 'Token amount and SOL limit should be decoded');
+  test.assert(buyLeg.user === 'Trader' && buyLeg.pool === 'BondingCurve', 'User and bonding curve should be decoded');
+  test.assert(buyLeg.direction === 'buy', 'SOL → token should be a buy');
+  
+  // Token creation
+  const createData = Buffer.concat([anchorDiscriminator('create'), borshString('Meme Coin'), borshString('MEME'), borshString('https://example.com/meme.json')]);
+  const createAccounts = [MEME, 'MintAuthority', 'BondingCurve', 'CurveTokens', 'Global', 'Metaplex', 'Metadata', 'Creator'];
+  const { creates: [create] } = decodePumpFunInstructions(buildSwapTransaction(PUMP_FUN_PROGRAM, createAccounts, createData, []));
+  test.assert(create && create.mint === MEME && create.creator === 'Creator', 'Create should be decoded');
+  test.assert(create.name === 'Meme Coin' && create.symbol === 'MEME', 'Name and symbol should be decoded');
+  
+  // create_v2: Token-2022 mint without the Metaplex accounts, the creator moves up
+  const createV2Data = Buffer.concat([anchorDiscriminator('create_v2'), borshString('Meme Two'), borshString('MEME2'), borshString('https://example.com/meme2.json')]);
+  const createV2Accounts = [MEME, 'MintAuthority', 'BondingCurve', 'CurveTokens', 'Global', 'Creator', 'System', 'Token2022'];
+  const { creates: [createV2] } = decodePumpFunInstructions(buildSwapTransaction(PUMP_FUN_PROGRAM, createV2Accounts, createV2Data, []));
+  test.assert(createV2 && createV2.mint === MEME && createV2.creator === 'Creator' && createV2.pool === 'BondingCurve', 'create_v2 should be decoded');
+  test.assert(createV2.symbol === 'MEME2', 'create_v2 name and symbol should be decoded');
+  
+  // PumpSwap sell: 500 tokens for at least 0.1 SOL
+  const sellData = Buffer.alloc(24);
+  anchorDiscriminator('sell').copy(sellData, 0);
+  sellData.writeBigUInt64LE(500000000n, 8);
+  sellData.writeBigUInt64LE(100000000n, 16);
+  const ammAccounts = ['PumpPool', 'Trader', 'GlobalConfig', MEME, WSOL, 'TraderMeme', 'TraderWsol', 'PoolMeme', 'PoolWsol'];
+  const sellTx = buildSwapTransaction(PUMPSWAP_PROGRAM, ammAccounts, sellData, [
+    { account: 'TraderMeme', mint: MEME, pre: 500000000, post: 0, owner: 'Trader' },
+    { account: 'PoolWsol', mint: WSOL, pre: 80000000000, post: 79880000000, owner: 'PumpPool' }
+  ]);
+  
+  const { swaps: [sellLeg] } = decodePumpFunInstructions(sellTx);
+  test.assert(sellLeg && sellLeg.dex === 'pumpswap' && sellLeg.direction === 'sell', 'PumpSwap sell should be decoded');
+  test.assert(sellLeg.amountIn === 500 && sellLeg.amountOut === 0.12, 'Amounts should come from the trader account and pool vault');
+  test.assert(sellLeg.minimumAmountOut === 0.1, 'Minimum SOL out should be decoded');
+});
+
+// Test Jupiter Route Decoding
+test.addTest('Jupiter Route Decoding', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+  const MEME = bs58.encode(Buffer.alloc(32, 7));
+  const swapEvent = (amm, inputMint, inputAmount, outputMint, outputAmount) => {
+    const data = Buffer.alloc(136);
+    anchorDiscriminator('event', 'anchor').copy(data, 0);
+    anchorDiscriminator('SwapEvent', 'event').copy(data, 8);
+    Buffer.from(bs58.decode(amm)).copy(data, 16);
+    Buffer.from(bs58.decode(inputMint)).copy(data, 48);
+    data.writeBigUInt64LE(inputAmount, 80);
+    Buffer.from(bs58.decode(outputMint)).copy(data, 88);
+    data.writeBigUInt64LE(outputAmount, 120);
+    return bs58.encode(data);
+  };
+  
+  // shared_accounts_route SOL → USDC (Raydium CLMM) → MEME (Raydium CPMM), split across two SOL hops
+  const routeAccounts = ['TokenProgram', 'ProgramAuthority', 'Trader', 'TraderWsol', 'ProgramWsol',
+    'ProgramMeme', 'TraderMeme', WSOL, MEME];
+  const routeTx = buildSwapTransaction(JUPITER_V6, routeAccounts, anchorDiscriminator('shared_accounts_route'), [
+    { account: 'TraderMeme', mint: MEME, pre: 0, post: 3000000000, owner: 'Trader' }
+  ]);
+  const jupiterIndex = routeTx.transaction.message.accountKeys.indexOf(JUPITER_V6);
+  routeTx.meta.innerInstructions = [{
+    index: 0,
+    instructions: [
+      { programIdIndex: jupiterIndex, accounts: [], data: swapEvent(RAYDIUM_CPMM, WSOL, 600000000n, USDC, 90000000n) },
+      { programIdIndex: jupiterIndex, accounts: [], data: swapEvent(RAYDIUM_CPMM, WSOL, 400000000n, USDC, 60000000n) },
+      { programIdIndex: jupiterIndex, accounts: [], data: swapEvent(RAYDIUM_AMM_V4, USDC, 150000000n, MEME, 3000000000n) }
+    ]
+  }];
+  
+  const [route] = decodeJupiterRoutes(routeTx);
+  test.assert(route && route.dex === 'jupiter' && route.user === 'Trader', 'Jupiter route should be decoded');
+  test.assert(route.inputMint === WSOL && route.outputMint === MEME, 'Route should report the user-facing mints, not the hop through USDC');
+  test.assert(route.amountIn === 1, 'Split input hops should be summed');
+  test.assert(route.amountOut === 3000, 'Output should come from the trader account');
+  test.assert(route.hops.length === 3 && route.hops[2].label === 'raydium-amm-v4', 'Hops should be kept as metadata');
+  test.assert(route.venues.join(',') === 'raydium-cpmm,raydium-amm-v4', 'Route venues should be listed once each');
+});
+
+// Test Orca and Meteora Swap Decoding
+test.addTest('Orca and Meteora Swap Decoding', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  
+  // Whirlpool swap b → a (SOL is token b), exact input of 1 SOL
+  const orcaData = Buffer.alloc(42);
+  anchorDiscriminator('swap').copy(orcaData, 0);
+  orcaData.writeBigUInt64LE(1000000000n, 8);
+  orcaData.writeBigUInt64LE(1n, 16);
+  orcaData.writeUInt8(1, 40); // amount_specified_is_input
+  orcaData.writeUInt8(0, 41); // a_to_b
+  const orcaAccounts = ['TokenProgram', 'Trader', 'Whirlpool', 'TraderMeme', 'VaultMeme', 'TraderWsol', 'VaultWsol',
+    'TickArray0', 'TickArray1', 'TickArray2', 'Oracle'];
+  const orcaTx = buildSwapTransaction(ORCA_WHIRLPOOL, orcaAccounts, orcaData, [
+    { account: 'TraderMeme', mint: MEME, pre: 0, post: 2500000000, owner: 'Trader' },
+    { account: 'TraderWsol', mint: WSOL, pre: 1000000000, post: 0, owner: 'Trader' }
+  ]);
+  
+  const [orcaLeg] = decodeOrcaSwaps(orcaTx);
+  test.assert(orcaLeg && orcaLeg.dex === 'orca' && orcaLeg.pool === 'Whirlpool', 'Whirlpool swap should be decoded');
+  test.assert(orcaLeg.inputMint === WSOL && orcaLeg.outputMint === MEME, 'b → a swaps should take token b as input');
+  test.assert(orcaLeg.amountIn === 1 && orcaLeg.amountOut === 2500, 'Amounts should come from the trader accounts');
+  
+  // DLMM swap with reserves ordered x (MEME) / y (SOL)
+  const dlmmData = Buffer.alloc(24);
+  anchorDiscriminator('swap').copy(dlmmData, 0);
+  dlmmData.writeBigUInt64LE(400000000n, 8);
+  dlmmData.writeBigUInt64LE(1n, 16);
+  const dlmmAccounts = ['LbPair', 'BitmapExtension', 'ReserveMeme', 'ReserveWsol', 'TempWsol', 'TraderMeme',
+    MEME, WSOL, 'Oracle', 'HostFee', 'Trader'];
+  const dlmmTx = buildSwapTransaction(METEORA_DLMM, dlmmAccounts, dlmmData, [
+    { account: 'ReserveMeme', mint: MEME, pre: 9000000000, post: 8200000000, owner: 'LbPair' },
+    { account: 'ReserveWsol', mint: WSOL, pre: 5000000000, post: 5400000000, owner: 'LbPair' },
+    { account: 'TraderMeme', mint: MEME, pre: 0, post: 800000000, owner: 'Trader' }
+  ]);
+  
+  const [dlmmLeg] = decodeMeteoraSwaps(dlmmTx);
+  test.assert(dlmmLeg && dlmmLeg.program === 'meteora-dlmm' && dlmmLeg.user === 'Trader', 'DLMM swap should be decoded');
+  test.assert(dlmmLeg.inputMint === WSOL && dlmmLeg.amountIn === 0.4, 'Input should fall back to the reserve that grew');
+  test.assert(dlmmLeg.outputMint === MEME && dlmmLeg.amountOut === 800, 'Output should come from the trader account');
+  
+  // Dynamic AMM swap selling MEME for SOL
+  const ammData = Buffer.alloc(24);
+  anchorDiscriminator('swap').copy(ammData, 0);
+  ammData.writeBigUInt64LE(100000000n, 8);
+  ammData.writeBigUInt64LE(50000000n, 16);
+  const ammAccounts = ['MeteoraPool', 'TraderMeme', 'TraderWsol', 'VaultA', 'VaultB', 'VaultTokenMeme', 'VaultTokenWsol',
+    'LpMintA', 'LpMintB', 'VaultLpA', 'VaultLpB', 'ProtocolFee', 'Trader'];
+  const ammTx = buildSwapTransaction(METEORA_DYNAMIC_AMM, ammAccounts, ammData, [
+    { account: 'TraderMeme', mint: MEME, pre: 100000000, post: 0, owner: 'Trader' },
+    { account: 'TraderWsol', mint: WSOL, pre: 0, post: 60000000, owner: 'Trader' }
+  ]);
+  
+  const [ammLeg] = decodeMeteoraSwaps(ammTx);
+  test.assert(ammLeg && ammLeg.program === 'meteora-amm' && ammLeg.direction === 'sell', 'Dynamic AMM swap should be decoded');
+  test.assert(ammLeg.amountIn === 100 && ammLeg.amountOut === 0.06, 'Amounts should come from the trader accounts');
+  test.assert(ammLeg.minimumAmountOut === 0.05, 'Minimum out should be decoded');
+});
+
+// Test Swap Source Registry
+test.addTest('Swap Source Registry', async () => {
+  const all = await SwapSourceRegistry.fromEnv({});
+  test.assert(all.getSources().length === 5, 'All built-in sources should be enabled by default');
+  test.assert(all.getProgramIds().includes(JUPITER_V6), 'Program IDs of every source should be subscribed');
+  
+  const some = await SwapSourceRegistry.fromEnv({ SWAP_SOURCES: 'raydium, pumpfun, jupiter', SWAP_SOURCES_DISABLED: 'jupiter' });
+  test.assert(some.getSources().map(s => s.name).join(',') === 'raydium,pumpfun', 'Sources should be enabled and disabled by name');
+  
+  let threw = false;
+  try {
+    new SwapSourceRegistry([{ name: 'broken', programIds: [], decode: () => ({}) }]);
+  } catch (error) {
+    threw = true;
+  }
+  test.assert(threw, 'Sources without program IDs should be rejected');
+  
+  // Custom venue plus an aggregator whose route replaces it
+  const leg = (dex, instructionIndex) => ({ type: 'swap', dex, instructionIndex });
+  const registry = new SwapSourceRegistry([
+    { name: 'venue', programIds: ['VenueProgram'], decode: () => ({ swaps: [leg('venue', 1)], creates: [{ type: 'create', mint: 'Mint', instructionIndex: 0 }] }) },
+    { name: 'router', programIds: ['RouterProgram'], aggregator: true, decode: () => ({ swaps: [leg('router', 0)] }) },
+    { name: 'absent', programIds: ['OtherProgram'], decode: () => { throw new Error('should not be called'); } }
+  ]);
+  const message = (keys) => ({ transaction: { message: { accountKeys: keys, instructions: [] } }, meta: {} });
+  
+  const venueOnly = registry.decode(message(['Trader', 'VenueProgram']));
+  test.assert(venueOnly.swaps.length === 1 && venueOnly.swaps[0].dex === 'venue', 'Sources should decode transactions mentioning their programs');
+  test.assert(venueOnly.creates.length === 1, 'Creations should be collected');
+  
+  const routed = registry.decode(message(['Trader', 'RouterProgram', 'VenueProgram']));
+  test.assert(routed.swaps.length === 1 && routed.swaps[0].dex === 'router', 'Aggregator routes should replace the swaps they went through');
+});
+
+// Test Launch and Sniper Detection
+test.addTest('Launch and Sniper Detection', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  
+  // CPMM initialize with WSOL as token 0: the launched mint is token 1
+  const initData = Buffer.alloc(32);
+  anchorDiscriminator('initialize').copy(initData, 0);
+  initData.writeBigUInt64LE(1700000000n, 24);
+  const initAccounts = ['Creator', 'Config', 'Authority', 'NewPool', WSOL, MEME, 'LpMint'];
+  const [create] = decodeRaydiumPoolCreations(buildSwapTransaction(RAYDIUM_CPMM, initAccounts, initData, []));
+  test.assert(create && create.mint === MEME && create.quoteMint === WSOL, 'Launched mint should be the non-quote side');
+  test.assert(create.pool === 'NewPool' && create.creator === 'Creator', 'Pool and creator should be decoded');
+  
+  const tracker = new LaunchTracker({ sniperSlots: 5, sniperSeconds: 0 });
+  const recorded = tracker.recordLaunch(create, { slot: 1000, blockTime: 1700000000, signature: 'CreateSig' });
+  test.assert(recorded.isNew && recorded.launch.slot === 1000, 'Launch should be recorded with its slot');
+  test.assert(!tracker.recordLaunch({ ...create, pool: 'MigratedPool' }, { slot: 2000 }).isNew, 'A later pool for the same mint is not a new launch');
+  
+  const buy = { direction: 'buy', inputToken: { mint: WSOL, symbol: 'WSOL', amount: 1 }, outputToken: { mint: MEME } };
+  tracker.setWalletVerdict('FreshSniper', 'fresh');
+  const sniped = tracker.recordBuy('FreshSniper', buy, { slot: 1002 });
+  test.assert(sniped && sniped.sniper.slotsAfterLaunch === 2, 'Buy within the slot window should be a snipe');
+  test.assert(sniped.sniper.verdict === 'fresh', 'Known verdicts should be applied to new snipers');
+  
+  test.assert(tracker.recordBuy('LateBuyer', buy, { slot: 1010 }) === null, 'Buys after the window are not snipes');
+  test.assert(tracker.recordBuy('Seller', { ...buy, direction: 'sell' }, { slot: 1001 }) === null, 'Sells are not snipes');
+  
+  tracker.recordBuy('OldSniper', buy, { slot: 1003 });
+  const [updated] = tracker.setWalletVerdict('OldSniper', 'not_fresh');
+  test.assert(updated.sniperBreakdown.total === 2, 'Launch should list both snipers');
+  test.assert(updated.sniperBreakdown.fresh === 1 && updated.sniperBreakdown.notFresh === 1, 'Breakdown should count snipers by verdict');
+});
+
+// Test Bundle Detection
+test.addTest('Bundle Detection', async () => {
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  
+  // System transfer of 0.001 SOL to a Jito tip account
+  const tipData = Buffer.alloc(12);
+  tipData.writeUInt32LE(2, 0);
+  tipData.writeBigUInt64LE(1000000n, 4);
+  const tipTx = buildSwapTransaction('11111111111111111111111111111111',
+    ['Trader', '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5'], tipData, []);
+  test.assert(findJitoTip(tipTx) === 1000000, 'Jito tips should be found');
+  
+  const detector = new BundleDetector({ minBuyers: 3 });
+  const buy = { direction: 'buy', inputToken: { amount: 1 }, outputToken: { mint: MEME, symbol: 'MEME' } };
+  detector.setWalletVerdict('WalletA', 'fresh');
+  
+  test.assert(detector.recordBuy('WalletA', buy, { slot: 500, jitoTip: 1000000 }) === null, 'One buyer is not a bundle');
+  test.assert(detector.recordBuy('WalletB', buy, { slot: 500 }) === null, 'Two buyers are below the threshold');
+  test.assert(detector.recordBuy('WalletX', buy, { slot: 501 }) === null, 'Buys in another slot are a separate group');
+  
+  const bundled = detector.recordBuy('WalletC', buy, { slot: 500 });
+  test.assert(bundled && bundled.isNew && bundled.bundle.size === 3, 'Three same-slot buyers should be a bundle');
+  test.assert(bundled.bundle.jitoTipped === 1, 'Jito-tipped buys should be counted');
+  test.assert(bundled.bundle.freshness.fresh === 1 && bundled.bundle.freshness.pending === 2, 'Freshness of buyers should be reported');
+  
+  // Same wallets bundling again on another mint
+  const other = { ...buy, outputToken: { mint: 'OtherMint', symbol: 'OTHER' } };
+  detector.recordBuy('WalletA', other, { slot: 900 });
+  detector.recordBuy('WalletB', other, { slot: 900 });
+  detector.recordBuy('WalletD', other, { slot: 900 });
+  const [topCoBuyer] = detector.getCoBuyers('WalletA');
+  test.assert(topCoBuyer.address === 'WalletB' && topCoBuyer.sharedBundles === 2, 'Wallets appearing together should be linked');
+  
+  const [updated] = detector.setWalletVerdict('WalletC', 'not_fresh');
+  test.assert(updated.freshness.notFresh === 1, 'Verdicts should update alerted bundles');
+  
+  // Live notifications: buys are grouped from their pump.fun TradeEvents even when every wallet is sampled out
+  const freshies = new FreshWalletDetector();
+  freshies.swapSources = await SwapSourceRegistry.fromEnv({});
+  freshies.sampler = new WalletSampler({ mode: 'random', rate: 0 });
+  const mint = bs58.encode(Buffer.alloc(32, 5));
+  const users = [6, 7, 8].map(fill => bs58.encode(Buffer.alloc(32, fill)));
+  for (const [i, user] of users.entries()) {
+    const event = Buffer.alloc(89);
+    anchorDiscriminator('TradeEvent', 'event').copy(event, 0);
+    Buffer.from(bs58.decode(mint)).copy(event, 8);
+    event.writeBigUInt64LE(1000000000n, 40);
+    event.writeUInt8(1, 56);
+    Buffer.from(bs58.decode(user)).copy(event, 57);
+    await freshies.handleWebSocketMessage({
+      method: 'logsNotification',
+      params: { result: { context: { slot: 700 }, value: { signature: `BundleSig${i}`, err: null, logs: [
+        `Program ${PUMP_FUN_PROGRAM} invoke [1]`, 'Program log: Instruction: Buy', `Program data: ${event.toString('base64')}`
+      ] } } }
+    });
+  }
+  const [live] = freshies.bundleDetector.getBundles();
+  test.assert(freshies.stats.walletsSampledOut === 3 && freshies.candidateQueue.size === 0, 'Every buy should have been sampled out');
+  test.assert(live && live.size === 3 && live.slot === 700 && live.mint === mint && freshies.stats.bundlesDetected === 1, 'Sampled-out buys should still form a bundle');
+  test.assert(live.buyers[0].signature === 'BundleSig0' && live.buyers[0].amountIn === 1, 'Buyers should carry their signature and size from the logs');
+  
+  // The fetched transaction adds the Jito tip and symbol without counting the buyer twice
+  freshies.detectBundle(users[0], { ...buy, outputToken: { mint, symbol: 'LIVE' } }, { slot: 700, signature: 'BundleSig0', jitoTip: 1000000 });
+  const [enriched] = freshies.bundleDetector.getBundles();
+  test.assert(enriched.size === 3 && enriched.jitoTipped === 1 && enriched.symbol === 'LIVE', 'The fetched buy should enrich its hinted entry');
+});
+
+// Test Versioned Transactions with Address Lookup Tables
+test.addTest('Address Lookup Table Resolution', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  const TABLE = 'AddressLookupTab1e1111111111111111111111111';
+  const tableAddresses = ['Authority', 'Config', 'CpmmPool', 'VaultWsol', 'VaultMeme',
+    'TokenProgram', 'TokenProgram2', WSOL, MEME, 'Observation'];
+  
+  // v0 CPMM swap: only the trader's accounts and the program are static keys
+  // Runtime order: static (0-3), writable lookups CpmmPool/VaultWsol/VaultMeme (4-6), readonly lookups (7-13)
+  const data = Buffer.alloc(24);
+  anchorDiscriminator('swap_base_input').copy(data, 0);
+  data.writeBigUInt64LE(500000000n, 8);
+  data.writeBigUInt64LE(1000000000n, 16);
+  const buildTransaction = () => ({
+    transaction: {
+      message: {
+        staticAccountKeys: ['Trader', 'TraderWsol', 'TraderMeme', RAYDIUM_CPMM].map(key => ({ toBase58: () => key })),
+        compiledInstructions: [{
+          programIdIndex: 3,
+          accountKeyIndexes: [0, 7, 8, 4, 1, 2, 5, 6, 9, 10, 11, 12, 13],
+          data: Uint8Array.from(data)
+        }],
+        addressTableLookups: [{ accountKey: TABLE, writableIndexes: [2, 3, 4], readonlyIndexes: [0, 1, 5, 6, 7, 8, 9] }]
+      }
+    },
+    meta: {
+      err: null,
+      preTokenBalances: [],
+      postTokenBalances: [
+        { accountIndex: 2, mint: MEME, owner: 'Trader', uiTokenAmount: { amount: '1200000000', decimals: 6 } }
+      ]
+    }
+  });
+  
+  let fetches = 0;
+  const connection = {
+    getAddressLookupTable: async () => {
+      fetches++;
+      return { value: { state: { addresses: tableAddresses } } };
+    }
+  };
+  const resolver = new LookupTableResolver(connection);
+  
+  const transaction = buildTransaction();
+  test.assert(getFeePayer(transaction) === 'Trader', 'Fee payer should come from the static keys of v0 messages');
+  test.assert(hasUnresolvedLookups(transaction), 'Missing loaded addresses should be detected');
+  test.assert(decodeRaydiumSwaps(transaction).length === 0, 'Instructions with unresolved accounts should not be decoded');
+  
+  test.assert(await resolver.resolve(transaction), 'Lookup tables should resolve');
+  const keys = getAccountKeys(transaction);
+  test.assert(keys.length === 14 && keys[4] === 'CpmmPool' && keys[7] === 'Authority', 'Writable lookups should precede readonly ones');
+  
+  const [leg] = decodeRaydiumSwaps(transaction);
+  test.assert(leg && leg.pool === 'CpmmPool' && leg.user === 'Trader', 'Swap should decode with resolved accounts');
+  test.assert(leg.inputMint === WSOL && leg.outputMint === MEME && leg.amountOut === 1200, 'Mints and amounts should come from loaded accounts');
+  
+  await resolver.resolve(buildTransaction());
+  test.assert(fetches === 1, 'Lookup tables should be cached');
+  
+  // Loaded addresses returned by the RPC are used as-is
+  const withLoaded = buildTransaction();
+  withLoaded.meta.loadedAddresses = { writable: ['CpmmPool', 'VaultWsol', 'VaultMeme'], readonly: [] };
+  test.assert(hasUnresolvedLookups(withLoaded), 'Partially loaded addresses should still need resolution');
+  withLoaded.meta.loadedAddresses.readonly = ['Authority', 'Config', 'TokenProgram', 'TokenProgram2', WSOL, MEME, 'Observation'];
+  test.assert(!hasUnresolvedLookups(withLoaded), 'Fully loaded addresses should not be refetched');
+  
+  const failing = new LookupTableResolver({ getAddressLookupTable: async () => ({ value: null }) });
+  const unresolved = buildTransaction();
+  test.assert(await failing.resolve(unresolved) === false, 'Missing lookup tables should fail resolution');
+  test.assert(getFeePayer(unresolved) === 'Trader', 'Fee payer should stay available without lookup tables');
+});
+
+// Test Trader Identification
+test.addTest('Trader Identification', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  
+  // Relayed CPMM buy: the relayer pays the fee, the trader's account receives the tokens
+  const data = Buffer.alloc(24);
+  anchorDiscriminator('swap_base_input').copy(data, 0);
+  data.writeBigUInt64LE(500000000n, 8);
+  data.writeBigUInt64LE(1n, 16);
+  const accounts = ['Relayer', 'Authority', 'Config', 'CpmmPool', 'TraderWsol', 'TraderMeme',
+    'VaultWsol', 'VaultMeme', 'TokenProgram', 'TokenProgram2', WSOL, MEME, 'Observation'];
+  const tx = buildSwapTransaction(RAYDIUM_CPMM, accounts, data, [
+    { account: 'TraderMeme', mint: MEME, pre: 0, post: 1200000000, owner: 'Trader' },
+    { account: 'VaultMeme', mint: MEME, pre: 9000000000, post: 7800000000, owner: 'Authority' },
+    { account: 'TraderWsol', mint: WSOL, pre: 500000000, post: 0, owner: 'Trader' }
+  ]);
+  tx.transaction.message.header = { numRequiredSignatures: 2 };
+  
+  const swaps = decodeRaydiumSwaps(tx);
+  const relayed = identifyTrader(tx, swaps);
+  test.assert(relayed.trader === 'Trader' && relayed.source === 'output_balance', 'Owner receiving the output should be the trader');
+  test.assert(relayed.feePayer === 'Relayer' && relayed.relayed, 'Relayed swaps should keep the fee payer separately');
+  test.assert(getSigners(tx).length === 2 && relayed.signers[0] === 'Relayer', 'Signers should come from the message header');
+  
+  // Sell whose SOL output has no token balance: the owner paying the input is the trader
+  const sell = buildSwapTransaction(RAYDIUM_CPMM, accounts, data, [
+    { account: 'TraderMeme', mint: MEME, pre: 1200000000, post: 0, owner: 'Trader' },
+    { account: 'VaultMeme', mint: MEME, pre: 7800000000, post: 9000000000, owner: 'Authority' }
+  ]);
+  test.assert(identifyTrader(sell, [{ inputMint: MEME, outputMint: WSOL }]).trader === 'Trader', 'Owner paying the input should be the trader');
+  
+  // Without decoded swaps, a signer with token changes wins over other owners
+  const own = buildSwapTransaction(RAYDIUM_CPMM, accounts, data, [
+    { account: 'VaultMeme', mint: MEME, pre: 1, post: 0, owner: 'Authority' },
+    { account: 'TraderMeme', mint: MEME, pre: 0, post: 1, owner: 'Relayer' }
+  ]);
+  const direct = identifyTrader(own);
+  test.assert(direct.trader === 'Relayer' && direct.source === 'signer_balance' && !direct.relayed, 'Signer owning changed accounts should be the trader');
+  
+  const unknown = identifyTrader(buildSwapTransaction(RAYDIUM_CPMM, accounts, data, []));
+  test.assert(unknown.trader === 'Relayer' && unknown.source === 'fee_payer', 'Fee payer should be the last resort');
+});
+
+// Test SOL and WSOL Balance Legs
+test.addTest('SOL and WSOL Balance Changes', async () => {
+  const WSOL = 'So11111111111111111111111111111111111111112';
+  const MEME = 'MemeMint1111111111111111111111111111111111';
+  
+  // Trader wraps 1 SOL into a temporary WSOL account (closed again) and opens a MEME account (rent 0.002 SOL)
+  const tx = buildSwapTransaction('SomeAmm', ['Trader', 'TempWsol', 'TraderMeme', 'Vault'], Buffer.alloc(1), [
+    { account: 'TraderMeme', mint: MEME, post: 5000000, owner: 'Trader' },
+    { account: 'Vault', mint: MEME, pre: 9000000, post: 4000000, owner: 'Pool' }
+  ], [
+    { account: 'Trader', pre: 3000000000, post: 1997995000 }, // - 1 SOL swapped - 0.002 SOL rent - 5000 fee
+    { account: 'TraderMeme', pre: 0, post: 2000000 }
+  ]);
+  tx.meta.fee = 5000;
+  
+  const changes = getOwnerBalanceChanges(tx, 'Trader');
+  test.assert(changes.get(WSOL)?.change === -1000000000n, 'SOL leg should exclude fee and rent of the trader\'s accounts');
+  test.assert(changes.get(MEME)?.change === 5000000n && changes.get(MEME).decimals === 6, 'Token leg should come from token balances');
+  test.assert(!changes.has('Pool'), 'Other owners should be ignored');
+  
+  // Selling into a persistent WSOL account: token and lamport views of WSOL must not be double counted
+  const sell = buildSwapTransaction('SomeAmm', ['Trader', 'TraderWsol', 'TraderMeme'], Buffer.alloc(1), [
+    { account: 'TraderWsol', mint: WSOL, pre: 0, post: 500000000, owner: 'Trader' },
+    { account: 'TraderMeme', mint: MEME, pre: 5000000, post: 0, owner: 'Trader' }
+  ], [
+    { account: 'Trader', pre: 1000000000, post: 999995000 },
+    { account: 'TraderWsol', pre: 2039280, post: 502039280 }
+  ]);
+  sell.meta.fee = 5000;
+  const sellChanges = getOwnerBalanceChanges(sell, 'Trader');
+  test.assert(sellChanges.get(WSOL)?.change === 500000000n, 'WSOL received should count once');
+  test.assert(sellChanges.get(MEME)?.change === -5000000n, 'Sold tokens should be negative');
+});
+
+// Test Finality Re-check
+test.addTest('Finality Re-check', async () => {
+  const statuses = {
+    FinalizedSig: { confirmationStatus: 'finalized', err: null },
+    FailedSig: { confirmationStatus: 'finalized', err: { InstructionError: [0, 'Custom'] } },
+    ConfirmedSig: { confirmationStatus: 'confirmed', err: null }
+  };
+  const connection = {
+    getSignatureStatuses: async (signatures) => ({ value: signatures.map(sig => statuses[sig] || null) })
+  };
+  const checker = new FinalityChecker(connection, { delayMs: 1000, maxAttempts: 2 });
+  
+  ['FinalizedSig', 'FailedSig', 'ConfirmedSig', 'DroppedSig'].forEach(sig => checker.track(sig, { wallet: `${sig}Wallet` }));
+  const start = Date.now(); // not before tracking, or the first check can land a millisecond early
+  test.assert((await checker.check(start)).length === 0, 'Nothing should be checked before the delay');
+  
+  const first = await checker.check(start + 1000);
+  test.assert(first.length === 1 && first[0].signature === 'FailedSig' && first[0].reason === 'failed', 'Failed transactions should be retracted');
+  test.assert(first[0].data.wallet === 'FailedSigWallet', 'Retractions should carry the tracked data');
+  test.assert(!checker.pending.has('FinalizedSig') && checker.stats.finalized === 1, 'Finalized transactions should stop being tracked');
+  
+  // Still only confirmed / unknown after the last attempt: the block never finalized
+  statuses.ConfirmedSig = { confirmationStatus: 'finalized', err: null };
+  const second = await checker.check(start + 2000);
+  test.assert(second.length === 1 && second[0].signature === 'DroppedSig' && second[0].reason === 'dropped', 'Dropped transactions should be retracted');
+  test.assert(checker.pending.size === 0 && checker.stats.retracted === 2, 'All signatures should be settled');
+});
+
+// Test Detection Retraction
+test.addTest('Detection Retraction', async () => {
+  // Detector state touched by a detection, updated the way processWalletWithDelay does
+  const stats = { totalWalletsDetected: 4, freshWalletsFound: 2, whalesFound: 1, freshWhalesFound: 0, clustersDetected: 0, dexBreakdown: { raydium: { detected: 4, fresh: 2 } } };
+  const tokenTracker = { all: [{ timestamp: 1 }], success: [], failed: [{ timestamp: 1 }] };
+  const whaleTracker = { all: [], fresh: [] };
+  const clusterTracker = new InsiderClusterTracker({ coordinatedBuyers: 2 });
+  const retryQueue = new RetryQueue({ maxAttempts: 2, delayMs: 1000 });
+  const funding = { funder: 'Funder1', amountSol: 1 };
+  const buy = { outputToken: { mint: 'MintA', symbol: 'A' } };
+  
+  clusterTracker.addFreshWallet('Sibling1', funding);
+  clusterTracker.recordBuy('Sibling1', buy);
+  const before = JSON.parse(JSON.stringify({ stats, tokenTracker, whaleTracker, clusters: clusterTracker.getClusters(1) }));
+  
+  // An unknown verdict first, then a fresh one on the retry: both share the effects
+  const effects = new DetectionEffects();
+  effects.increment(stats, 'totalWalletsDetected');
+  retryQueue.recordVerdict('Wallet1', VERDICT.UNKNOWN, { swapSignature: 'Sig1', effects });
+  test.assert(retryQueue.entries.get('Wallet1').effects === effects, 'Retries should keep recording on the same effects');
+  retryQueue.recordVerdict('Wallet1', VERDICT.FRESH, { effects });
+  
+  const whaleEntry = { timestamp: Date.now(), address: 'Wallet1' };
+  whaleTracker.all.push(whaleEntry);
+  whaleTracker.fresh.push(whaleEntry);
+  effects.tracked(whaleTracker, whaleEntry);
+  effects.increment(stats, 'whalesFound');
+  effects.increment(stats, 'freshWhalesFound');
+  const tokenEntry = { timestamp: Date.now(), dex: 'raydium' };
+  tokenTracker.all.push(tokenEntry);
+  tokenTracker.success.push(tokenEntry);
+  tokenTracker.success = tokenTracker.success.filter(entry => entry.timestamp > 0); // trackers reassign lists when pruning
+  effects.tracked(tokenTracker, tokenEntry);
+  effects.increment(stats.dexBreakdown.raydium, 'detected');
+  effects.increment(stats.dexBreakdown.raydium, 'fresh');
+  effects.increment(stats, 'freshWalletsFound');
+  
+  const added = clusterTracker.addFreshWallet('Wallet1', funding);
+  effects.onRevert(() => clusterTracker.removeFreshWallet('Wallet1'));
+  if (added?.isNew) effects.increment(stats, 'clustersDetected');
+  const coordinated = clusterTracker.recordBuy('Wallet1', buy);
+  test.assert(coordinated && stats.clustersDetected === 1, 'The detection should form a cluster with a coordinated buy');
+  test.assert(retryQueue.stats.unknown === 1 && retryQueue.stats.fresh === 1 && retryQueue.stats.retriesResolved === 1, 'Verdicts should be counted');
+  
+  effects.revert();
+  
+  const after = { stats, tokenTracker, whaleTracker, clusters: clusterTracker.getClusters(1) };
+  test.assert(JSON.stringify(after.stats) === JSON.stringify(before.stats), 'Counters and the DEX breakdown should be restored');
+  test.assert(JSON.stringify(after.tokenTracker) === JSON.stringify(before.tokenTracker), 'Token entries of the detection should be removed');
+  test.assert(after.whaleTracker.all.length === 0 && after.whaleTracker.fresh.length === 0, 'Whale entries of the detection should be removed');
+  test.assert(!clusterTracker.freshWallets.has('Wallet1') && after.clusters.length === 1 && after.clusters[0].size === 1, 'The wallet should leave its cluster');
+  test.assert(after.clusters[0].coordinatedBuys.length === 0, 'Coordinated buys without enough buyers should be dropped');
+  test.assert(Object.values(retryQueue.stats).every(count => count === 0), 'Verdict counters should be restored');
+  
+  // Removing the last wallet drops the cluster
+  test.assert(clusterTracker.removeFreshWallet('Sibling1') && clusterTracker.clusters.size === 0, 'Empty clusters should be dropped');
+  test.assert(!clusterTracker.removeFreshWallet('Sibling1'), 'Unknown wallets should not be removed twice');
+  
+  // A sniper completing a bundle in a swap that never finalized
+  const detector = new FreshWalletDetector();
+  detector.database = new sqlite3.Database(':memory:');
+  detector.database.serialize();
+  const query = (sql, params = []) => new Promise((resolve, reject) => {
+    detector.database.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+  await query('CREATE TABLE fresh_wallets (wallet_address TEXT UNIQUE, swap_signature TEXT)');
+  await query('CREATE TABLE launch_snipers (mint TEXT, wallet_address TEXT, slot INTEGER, slots_after_launch INTEGER, seconds_after_launch INTEGER, verdict TEXT, signature TEXT, PRIMARY KEY (mint, wallet_address))');
+  await query('CREATE TABLE wallet_funding (wallet_address TEXT PRIMARY KEY, funder_address TEXT, amount_sol REAL, funded_at INTEGER, funding_signature TEXT)');
+  
+  detector.launchTracker.recordLaunch({ mint: 'LaunchMint', dex: 'pumpfun', program: 'pumpfun', creator: 'Dev' }, { slot: 100 });
+  const launchBuy = { direction: 'buy', inputToken: { amount: 1 }, outputToken: { mint: 'LaunchMint', symbol: 'LAUNCH' } };
+  detector.detectBundle('Bundler1', launchBuy, { slot: 102, signature: 'BundlerSig1' });
+  detector.detectBundle('Bundler2', launchBuy, { slot: 102, signature: 'BundlerSig2' });
+  
+  const dropped = new DetectionEffects();
+  const context = { slot: 102, signature: 'DroppedSig' };
+  detector.detectSniper('Wallet2', launchBuy, context, dropped);
+  detector.detectBundle('Wallet2', launchBuy, context, dropped);
+  await query('INSERT INTO fresh_wallets VALUES (?, ?)', ['Wallet2', 'DroppedSig']);
+  await detector.saveFundingToDatabase('Wallet2', { funder: 'Funder1', amountSol: 1, fundedAt: 1, signature: 'FundSig' });
+  test.assert(detector.stats.snipersDetected === 1 && detector.stats.bundlesDetected === 1, 'The swap should count a sniper and a bundle');
+  test.assert((await query('SELECT * FROM launch_snipers')).length === 1, 'The sniper should be saved');
+  
+  await detector.retractDetection({ signature: 'DroppedSig', data: { wallet: 'Wallet2', effects: dropped }, reason: 'dropped' });
+  test.assert(detector.stats.snipersDetected === 0 && detector.stats.bundlesDetected === 0, 'Sniper and bundle counters should be restored');
+  test.assert(detector.launchTracker.getLaunch('LaunchMint').snipers.length === 0, 'The snipe should leave its launch');
+  test.assert(detector.bundleDetector.getBundles().length === 0 && detector.bundleDetector.getCoBuyers('Bundler1').length === 0, 'The bundle and its co-buyer links should be gone');
+  for (const table of ['fresh_wallets', 'launch_snipers', 'wallet_funding']) {
+    test.assert((await query(`SELECT * FROM ${table} WHERE wallet_address = ?`, ['Wallet2'])).length === 0, `The ${table} row should be deleted`);
+  }
+  
+  // The remaining buyers form the bundle again with a new buyer
+  detector.detectBundle('Bundler3', launchBuy, { slot: 102, signature: 'BundlerSig3' });
+  test.assert(detector.stats.bundlesDetected === 1 && detector.bundleDetector.getCoBuyers('Bundler1').length === 2, 'A re-formed bundle should be counted and linked again');
+  detector.database.close();
+});
+
+// Test Token-2022 Extensions
+test.addTest('Token-2022 Extensions', async () => {
+  const tlv = (type, value) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt16LE(type, 0);
+    header.writeUInt16LE(value.length, 2);
+    return Buffer.concat([header, value]);
+  };
+  const borshString = (value) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(Buffer.byteLength(value), 0);
+    return Buffer.concat([length, Buffer.from(value)]);
+  };
+  
+  // Mint (82 bytes, decimals at 44) padded to 165 bytes, account type 1, then extensions
+  const base = Buffer.alloc(166);
+  base.writeUInt8(6, 44);
+  base.writeUInt8(1, 165);
+  
+  // 1% transfer fee capped at 5 tokens in both fee slots
+  const feeConfig = Buffer.alloc(108);
+  for (const offset of [72, 90]) {
+    feeConfig.writeBigUInt64LE(5000000n, offset + 8);
+    feeConfig.writeUInt16LE(100, offset + 16);
+  }
+  const delegate = Buffer.alloc(32, 7);
+  const hook = Buffer.alloc(64); // no hook program: inert
+  const metadata = Buffer.concat([Buffer.alloc(64), borshString('Meme'), borshString('MEME'), borshString('https://meme'), Buffer.alloc(4)]);
+  const data = Buffer.concat([base, tlv(1, feeConfig), tlv(12, delegate), tlv(14, hook), tlv(19, metadata)]);
+  
+  const info = describeMint(parseMintAccount(data, TOKEN_2022_PROGRAM));
+  test.assert(info.program === 'token-2022' && info.decimals === 6, 'Mint base fields should be parsed');
+  test.assert(info.extensions.join(',') === 'transferFeeConfig,permanentDelegate,transferHook,tokenMetadata', 'Extensions should be listed');
+  test.assert(info.riskyExtensions.length === 1 && info.riskyExtensions[0] === 'permanentDelegate', 'Permanent delegate should be flagged, an empty hook not');
+  test.assert(info.metadata.symbol === 'MEME' && info.metadata.name === 'Meme', 'Token metadata extension should be read');
+  
+  // Fees: 1% rounded up, capped at the maximum
+  test.assert(getTransferFee(info.transferFee, 500, 1000n) === 10n, 'Transfer fee should be 1%');
+  test.assert(getTransferFee(info.transferFee, 500, 10000000000n) === 5000000n, 'Transfer fee should be capped');
+  test.assert(getPreFeeAmount(info.transferFee, 500, 990n) === 1000n, 'Gross amount should be recovered from the received amount');
+  test.assert(getPreFeeAmount(info.transferFee, 500, 9995000000n) === 10000000000n, 'Capped fees should be added back');
+  
+  const classic = parseMintAccount(Buffer.alloc(82));
+  test.assert(classic.program === 'spl-token' && classic.extensions.length === 0, 'Classic mints have no extensions');
+  
+  // Only mints whose token balances are owned by Token-2022 are fetched
+  const tx = { meta: { postTokenBalances: [
+    { mint: 'Meme2022', programId: TOKEN_2022_PROGRAM },
+    { mint: 'Classic', programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' }
+  ] } };
+  test.assert(MintExtensionCache.getToken2022Mints(tx).join(',') === 'Meme2022', 'Token-2022 mints should be found from token balances');
+});
+
+// Test Candidate Scoring and Queue
+test.addTest('Candidate Priority Queue', async () => {
+  const MEME = bs58.encode(Buffer.alloc(32, 3));
+  const USER = bs58.encode(Buffer.alloc(32, 4));
+  
+  // pump.fun logs its TradeEvent: 2 SOL buy of MEME by USER
+  const event = Buffer.alloc(89);
+  anchorDiscriminator('TradeEvent', 'event').copy(event, 0);
+  Buffer.from(bs58.decode(MEME)).copy(event, 8);
+  event.writeBigUInt64LE(2000000000n, 40);
+  event.writeUInt8(1, 56);
+  Buffer.from(bs58.decode(USER)).copy(event, 57);
+  const logs = [`Program ${PUMP_FUN_PROGRAM} invoke [1]`, 'Program log: Instruction: Buy', `Program data: ${event.toString('base64')}`];
+  
+  const registry = await SwapSourceRegistry.fromEnv({});
+  const hints = registry.getLogHints(logs);
+  test.assert(hints && hints.user === USER && hints.mint === MEME, 'Signer and mint should be read from the logs');
+  test.assert(hints.solAmount === 2 && hints.direction === 'buy', 'Swap size should be read from the logs');
+  test.assert(registry.getLogHints(['Program log: Instruction: Swap']) === null, 'Logs without events have no hints');
+  
+  // Creation logs only count as whole instruction names inside the venue's own invocation
+  const invoke = (programId, lines) => [`Program ${programId} invoke [1]`, ...lines, `Program ${programId} success`];
+  const TOKEN = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+  const ATA = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+  const swapWithAccountSetup = [
+    ...invoke(ATA, ['Program log: CreateIdempotent']),
+    ...invoke(TOKEN, ['Program log: Instruction: InitializeAccount3', 'Program log: Instruction: InitializeImmutableOwner']),
+    ...invoke(RAYDIUM_CPMM, ['Program log: Instruction: SwapBaseInput'])
+  ];
+  test.assert(!registry.isCreationLog(swapWithAccountSetup), 'Token account setup should not look like a creation');
+  test.assert(!registry.isCreationLog(invoke(TOKEN, ['Program log: Instruction: Create'])), 'Creation logs of other programs should not count');
+  test.assert(registry.isCreationLog(invoke(PUMP_FUN_PROGRAM, ['Program log: Instruction: Create'])), 'pump.fun create should be a creation');
+  test.assert(registry.isCreationLog(invoke(PUMP_FUN_PROGRAM, ['Program log: Instruction: CreateV2'])), 'pump.fun create_v2 should be a creation');
+  test.assert(registry.isCreationLog(invoke(RAYDIUM_AMM_V4, ['Program log: initialize2: InitializeInstruction2 { nonce: 254 }'])), 'AMM v4 initialize2 with arguments should be a creation');
+  test.assert(!registry.isCreationLog(invoke(PUMP_FUN_PROGRAM, ['Program log: Instruction: Buy'])), 'Trades should not be creations');
+  
+  const scorer = new CandidateScorer({ watchlist: ['WatchedMint'] });
+  const first = scorer.score(hints);
+  scorer.recordSighting(hints);
+  const repeat = scorer.score(hints);
+  test.assert(first.reasons.includes('new_token') && first.reasons.includes('new_signer'), 'New tokens and signers should be rewarded');
+  test.assert(repeat.score < first.score, 'Seen tokens and signers should score lower');
+  test.assert(scorer.score({ ...hints, solAmount: 50 }).score > scorer.score(hints).score, 'Bigger swaps should score higher');
+  test.assert(scorer.score({ mint: 'WatchedMint' }).reasons.includes('watchlist'), 'Watchlist mints should be rewarded');
+  
+  const queue = new CandidateQueue({ maxSize: 2, maxAgeMs: 1000 });
+  const now = Date.now();
+  queue.push({ id: 'low', score: 1 }, now);
+  queue.push({ id: 'high', score: 5 }, now);
+  test.assert(queue.push({ id: 'mid', score: 3 }, now) && queue.size === 2, 'A better candidate should evict the lowest');
+  test.assert(!queue.push({ id: 'lowest', score: 0.5 }, now), 'A worse candidate should not enter a full queue');
+  test.assert(queue.pop(now).id === 'high' && queue.pop(now).id === 'mid', 'Candidates should come out best first');
+  
+  queue.push({ id: 'stale', score: 9 }, now);
+  test.assert(queue.pop(now + 2000) === null && queue.stats.expired === 1, 'Stale candidates should expire');
+  
+  // Raydium AMM v4 ray_log: SwapBaseIn of 5 SOL (pc) into the coin
+  const rayLog = Buffer.alloc(57);
+  rayLog.writeUInt8(3, 0);
+  rayLog.writeBigUInt64LE(5000000000n, 1);
+  rayLog.writeBigUInt64LE(1n, 17);
+  rayLog.writeBigUInt64LE(123456n, 49);
+  const raydiumLogs = invoke(RAYDIUM_AMM_V4, [`Program log: ray_log: ${rayLog.toString('base64')}`]);
+  const raydiumHints = registry.getLogHints(raydiumLogs);
+  test.assert(raydiumHints && raydiumHints.solAmount === 5 && raydiumHints.direction === 'buy', 'ray_log should give the swap size and direction');
+  rayLog.writeBigUInt64LE(2n, 17);
+  const raydiumSell = registry.getLogHints(invoke(RAYDIUM_AMM_V4, [`Program log: ray_log: ${rayLog.toString('base64')}`]));
+  test.assert(raydiumSell.direction === 'sell' && raydiumSell.solAmount === 123456 / 1e9, 'A coin to pc swap should be a sell of its output');
+  
+  // Mixed venues: hinted swaps go first, venues without hints (Orca, Meteora) keep arrival order
+  const mixed = new CandidateQueue();
+  const mixedScorer = new CandidateScorer();
+  const arrivals = [
+    ['orca', invoke(ORCA_WHIRLPOOL, ['Program log: Instruction: Swap'])],
+    ['pumpfun', logs],
+    ['meteora', invoke(METEORA_DLMM, ['Program log: Instruction: Swap'])],
+    ['raydium', raydiumLogs]
+  ];
+  for (const [id, venueLogs] of arrivals) {
+    mixed.push({ id, ...mixedScorer.score(registry.getLogHints(venueLogs)) }, now);
+  }
+  const order = [mixed.pop(now), mixed.pop(now), mixed.pop(now), mixed.pop(now)].map(c => c.id).join(',');
+  test.assert(order === 'pumpfun,raydium,orca,meteora', `Candidates should be ordered by hints, then FIFO, got ${order}`);
+});
+
+// Test Deterministic Sampling
+test.addTest('Deterministic Sampling', async () => {
+  const wallets = Array.from({ length: 1000 }, (_, i) => {
+    const key = Buffer.alloc(32, 7);
+    key.writeUInt16BE(i, 0);
+    return bs58.encode(key);
+  });
+  const sampledSet = (sampler) => wallets.filter(wallet => sampler.decide(wallet).sampled).join(',');
+  
+  const sampler = new WalletSampler({ mode: 'hash', rate: 0.1, seed: 'alpha' });
+  const again = new WalletSampler({ mode: 'hash', rate: 0.1, seed: 'alpha' });
+  const other = new WalletSampler({ mode: 'hash', rate: 0.1, seed: 'beta' });
+  const count = wallets.filter(wallet => sampler.decide(wallet).sampled).length;
+  test.assert(sampledSet(sampler) === sampledSet(again), 'The same seed should always sample the same wallets');
+  test.assert(sampledSet(sampler) !== sampledSet(other), 'Another seed should sample other wallets');
+  test.assert(count > 50 && count < 150, `About 10% of wallets should be sampled, got ${count}`);
+  
+  const decision = sampler.decide(wallets[0]);
+  test.assert(decision.reason === (decision.sampled ? 'hash_in' : 'hash_out'), 'Hash decisions should name their reason');
+  test.assert(new WalletSampler({ mode: 'off' }).decide(wallets[0]).reason === 'sampling_off', 'Sampling can be turned off');
+  let rejected = false;
+  try {
+    new WalletSampler({ mode: 'sometimes' });
+  } catch (error) {
+    rejected = true;
+  }
+  test.assert(rejected, 'Unknown sampling modes should be rejected');
+  
+  // A wallet outside the hash sample is skipped before any RPC call
+  const skipped = wallets.find(wallet => !sampler.decide(wallet).sampled);
+  const detector = new WalletDetector(null, null, { samplingMode: 'hash', samplingRate: 0.1, samplingSeed: 'alpha' });
+  test.assert(await detector.analyzeNewWalletCandidate(skipped, 'balance_change') === false, 'Sampled-out wallets should not be analyzed');
+  test.assert(detector.stats.candidatesSkipped === 1, 'Sampled-out wallets should be counted as skipped');
+  test.assert(detector.getThrottlingStats().samplingReasons.hash_out === 1, 'The sampling reason should be recorded in stats');
+});
+
+// Test RPC Batching
+test.addTest('RPC Batching', async () => {
+  const WALLET = bs58.encode(Buffer.alloc(32, 5));
+  const MINT = bs58.encode(Buffer.alloc(32, 6));
+  const calls = [];
+  const connection = {
+    getMultipleAccountsInfo: async (keys) => {
+      calls.push(['getMultipleAccounts', keys.map(key => key.toBase58())]);
+      return keys.map(key => key.toBase58() === WALLET ? { lamports: 2e9, data: Buffer.alloc(0) } : null);
+    },
+    getTransactions: async (signatures) => {
+      calls.push(['getTransactions', signatures]);
+      return signatures.map(signature => ({ slot: 1, transaction: { signatures: [signature] } }));
+    }
+  };
+  const batcher = new RpcBatcher(connection);
+  
+  const [wallet, mint, again] = await Promise.all([
+    batcher.getAccountInfo(WALLET),
+    batcher.getAccountInfo(MINT),
+    batcher.getAccountInfo(WALLET)
+  ]);
+  test.assert(calls.length === 1 && calls[0][1].length === 2, 'Concurrent account lookups should share one getMultipleAccounts call');
+  test.assert(wallet.lamports === 2e9 && again === wallet && mint === null, 'Each lookup should get its own account');
+  
+  // The whale balance reuses the account fetched by the freshness check
+  test.assert((await batcher.getAccountInfo(WALLET)).lamports === 2e9 && calls.length === 1, 'Recent accounts should be served from the cache');
+  
+  const transactions = await Promise.all(['sigA', 'sigB'].map(signature => batcher.getTransaction(signature)));
+  test.assert(calls.length === 2 && calls[1][0] === 'getTransactions', 'Concurrent transaction lookups should be one batch request');
+  test.assert(transactions[1].transaction.signatures[0] === 'sigB', 'Batched transactions should keep their order');
+  test.assert(batcher.requestsSaved === 4, `Batching should save requests, saved ${batcher.requestsSaved}`);
+  
+  connection.getTransactions = async () => { throw new Error('429 Too Many Requests'); };
+  let failed = false;
+  await batcher.getTransaction('sigC').catch(() => { failed = true; });
+  test.assert(failed, 'Batch failures should reach every waiter');
+});
+
+// Test Adaptive Rate Limiting
+test.addTest('Adaptive Rate Limiter', async () => {
+  const now = Date.now();
+  test.assert(parseRetryAfter('2', now) === 2000, 'Retry-After seconds should be parsed');
+  test.assert(parseRetryAfter(new Date(now + 5000).toUTCString(), now) > 3000, 'Retry-After dates should be parsed');
+  test.assert(parseRetryAfter(null) === null, 'A missing Retry-After should give no delay');
+  
+  const limiter = new AdaptiveRateLimiter({ rate: 20, minRate: 2, maxRate: 40 });
+  limiter.onRateLimited(3000, now);
+  test.assert(limiter.rate === 10 && limiter.isPaused(now + 2000) && !limiter.isPaused(now + 3000), '429s should halve the rate and pause for Retry-After');
+  for (let i = 0; i < 20; i++) limiter.onSuccess(now);
+  test.assert(Math.abs(limiter.rate - 11) < 1e-9 && limiter.getThroughput(now) === 20, 'Successful calls should ramp the rate back up');
+  test.assert(limiter.getThroughput(now + 61000) === 0, 'Throughput should only count the last minute');
+  
+  // A 429 is retried after Retry-After instead of failing the call
+  const statuses = [429, 200];
+  const retrying = new AdaptiveRateLimiter({ rate: 20 });
+  const fetchStub = async () => ({ status: statuses.shift(), headers: new Map([['retry-after', '0']]) });
+  const response = await retrying.wrapFetch(fetchStub)('https://rpc.example', {});
+  test.assert(response.status === 200 && retrying.stats.rateLimited === 1 && retrying.stats.requests === 2, 'Rate-limited requests should be retried');
+  test.assert(retrying.describe().rate === 10.05, `The rate should reflect the 429 and the success, got ${retrying.describe().rate}`);
+  
+  // Only 2xx responses ramp up: 5xx errors back off, other 4xx are neutral
+  const erroring = new AdaptiveRateLimiter({ rate: 20, minRate: 2 });
+  const serverFetch = async () => ({ status: 503, headers: new Map() });
+  const failed = await erroring.wrapFetch(serverFetch)('https://rpc.example', {});
+  test.assert(failed.status === 503 && erroring.stats.requests === 1, '5xx responses should be returned without a retry');
+  test.assert(erroring.rate === 10 && erroring.stats.serverErrors === 1 && erroring.stats.rateLimited === 0, '5xx responses should cut the rate without counting a 429');
+  test.assert(erroring.getThroughput() === 0 && !erroring.isPaused(), '5xx responses should not count as throughput or pause the endpoint');
+  await erroring.wrapFetch(async () => ({ status: 400, headers: new Map() }))('https://rpc.example', {});
+  test.assert(erroring.rate === 10 && erroring.getThroughput() === 0, 'Other 4xx responses should leave the rate alone');
+});
+
+// Test RPC Pool Failover
+test.addTest('RPC Pool Failover', async () => {
+  const failing = { getBalance: async () => { throw new Error('fetch failed'); } };
+  const working = { getBalance: async () => 5e9, getAccountInfo: async () => { throw new Error('Invalid param: WrongSize'); } };
+  const pool = new RpcPool([
+    { url: 'https://mainnet.helius-rpc.com/?api-key=secret', connection: failing },
+    { url: 'https://rpc.example.org', connection: working }
+  ], { failureThreshold: 2, random: () => 0 });
+  
+  test.assert(await pool.getBalance('wallet') === 5e9, 'Calls should fail over to the next endpoint');
+  const [helius, backup] = pool.getHealth();
+  test.assert(helius.errors === 1 && helius.lastError === 'fetch failed' && backup.requests === 1, 'Errors and successes should be tracked per endpoint');
+  test.assert(!JSON.stringify(pool.getHealth()).includes('secret'), 'Health should not expose API keys');
+  
+  // A second failure cools the endpoint down and traffic goes to the healthy one first
+  await pool.getBalance('wallet');
+  test.assert(!pool.getHealth()[0].healthy && pool.pick() === pool.endpoints[1], 'Failing endpoints should cool down');
+  
+  let thrown = null;
+  await pool.getAccountInfo('wallet').catch(error => { thrown = error; });
+  test.assert(thrown && pool.getHealth()[1].errors === 0, 'Bad requests should not count against an endpoint');
+  
+  const weighted = new RpcPool([
+    { url: 'https://a.example', connection: working, weight: 3 },
+    { url: 'https://b.example', connection: working, weight: 1 }
+  ], { random: () => 0.7 });
+  test.assert(weighted.pick() === weighted.endpoints[0], 'Load should be spread by weight');
+});
+
+// Test Credit Budgeting
+test.addTest('Credit Budget', async () => {
+  const now = Date.parse('2026-03-15T12:00:00Z');
+  const budget = new CreditBudget(
+    { default: 1, methods: { getProgramAccounts: 10 } },
+    { dailyBudget: 100, monthlyBudget: 1000, throttleAt: 0.8 }
+  );
+  
+  test.assert(budget.record('helius#1', 'getProgramAccounts', 1, now) === 10, 'Costs should come from the cost table');
+  budget.record('helius#2', 'getTransactions', 5, now);
+  budget.restore([{ day: '2026-03-01', key: 'helius#1', method: 'getBalance', calls: 500, credits: 500 }]);
+  
+  const usage = budget.getUsage(now);
+  test.assert(usage.today.credits === 15 && usage.month.credits === 515, 'Usage should be summed per day and month');
+  test.assert(usage.month.byKey['helius#1'] === 510 && usage.month.byMethod.getTransactions.calls === 5, 'Usage should be broken down per key and method');
+  test.assert(budget.getThrottleFactor(now) === 1, 'Checks should run at full speed below the throttle threshold');
+  
+  budget.record('helius#1', 'getBalance', 75, now);
+  test.assert(Math.abs(budget.getThrottleFactor(now) - 0.5) < 1e-9, 'Checks should slow down between the threshold and the cap');
+  budget.record('helius#1', 'getBalance', 20, now);
+  test.assert(budget.getThrottleFactor(now) === 0, 'Checks should stop when a budget is used up');
+  test.assert(budget.getThrottleFactor(now + 24 * 3600 * 1000) === 1, 'The daily budget should reset the next day');
+  
+  const unsaved = budget.takeUnsaved();
+  test.assert(unsaved.length === 3 && budget.takeUnsaved().length === 0, 'Unsaved usage should be handed out once per day, key and method');
+  
+  // The pool reports every call for accounting
+  const calls = [];
+  const pool = new RpcPool([{ url: 'https://rpc.example.org', connection: { getBalance: async () => 1 } }], {
+    onCall: (endpoint, method) => calls.push(`${endpoint.label}:${method}`)
+  });
+  await pool.getBalance('wallet');
+  test.assert(calls[0] === 'rpc.example.org#1:getBalance', 'Pool calls should be reported with the endpoint label');
+});
+
+// Test Generic RPC Configuration
+test.addTest('RPC Provider Configuration', async () => {
+  const helius = resolveRpcConfig({ HELIUS_API_KEY: 'key1', RPC_URLS: 'https://rpc.example.org/abc' });
+  test.assert(helius.rpcUrls.length === 2 && helius.rpcUrls[0].includes('helius-rpc.com/?api-key=key1'), 'Helius keys should come first');
+  test.assert(helius.wsUrls[1] === 'wss://rpc.example.org/abc', 'WebSocket URLs should be derived from RPC_URLS');
+  test.assert(helius.features.heliusMetadata, 'Helius extras should be enabled with a Helius key');
+  
+  const generic = resolveRpcConfig({ RPC_URLS: 'https://a.example, https://b.example', WS_URLS: 'wss://stream.example' });
+  test.assert(generic.rpcUrls.join(',') === 'https://a.example,https://b.example' && generic.wsUrls[0] === 'wss://stream.example', 'Generic endpoints should be used as given');
+  test.assert(!generic.features.heliusMetadata, 'Helius extras should be disabled without a key');
+  test.assert(resolveRpcConfig({ HELIUS_API_KEY_2: 'key2' }).rpcUrls[0].includes('api-key=key2'), 'The second Helius key alone should be enough');
+  
+  const fallback = resolveRpcConfig({ SOLANA_NETWORK: 'devnet' });
+  test.assert(fallback.publicFallback && fallback.rpcUrls[0] === 'https://api.devnet.solana.com', 'The public endpoint should be the last resort');
+  test.assert(toWebSocketUrl('http://127.0.0.1:8899', { localnet: true }) === 'ws://127.0.0.1:8900/', 'Local validators serve PubSub on the next port');
+  test.assert(toWebSocketUrl('https://rpc.example.org:8443/abc') === 'wss://rpc.example.org:8443/abc', 'Other endpoints keep their port');
+  test.assert(resolveRpcConfig({ RPC_URLS: 'http://10.0.0.2:8899' }).wsUrls[0] === 'ws://10.0.0.2:8899/', 'Only localnet derives PubSub on the next port');
+  test.assert(maskUrl('wss://x.example/?api-key=secret') === 'wss://x.example/?api-key=***', 'API keys should be masked in logs');
+  
+  const manager = new HeliusWebSocketManager({ apiKey: undefined, url: 'wss://stream.example' });
+  test.assert(manager.getWebSocketUrl() === 'wss://stream.example', 'The WebSocket manager should accept any endpoint');
+  test.assert(new HeliusWebSocketManager({ apiKey: 'k' }).getWebSocketUrl() === 'wss://mainnet.helius-rpc.com/?api-key=k', 'Helius stays the default');
+});
+
+// Test Localnet Mode
+test.addTest('Localnet Mode', async () => {
+  const config = resolveRpcConfig({ SOLANA_NETWORK: 'localnet', HELIUS_API_KEY: 'ignored' });
+  test.assert(config.localnet && config.rpcUrls.join(',') === 'http://127.0.0.1:8899', 'Localnet should target solana-test-validator');
+  test.assert(config.wsUrls[0] === 'ws://127.0.0.1:8900/' && !config.publicFallback, 'PubSub should be derived from the local endpoint');
+  test.assert(!config.features.heliusMetadata && !config.features.marketData, 'Helius extras and market data should be off offline');
+  test.assert(resolveRpcConfig({ SOLANA_NETWORK: 'localnet', RPC_URLS: 'http://10.0.0.2:8899' }).rpcUrls[0] === 'http://10.0.0.2:8899', 'RPC_URLS should override the local endpoint');
+  
+  
+  // The validator runs the real pump.fun program, so seeded transactions go through the built-in decoder
+  const validatorArgs = getValidatorFixtureArgs('/fixtures');
+  test.assert(validatorArgs.join(' ').includes(`--bpf-program ${PUMP_FUN_PROGRAM} ${path.join('/fixtures', `${PUMP_FUN_PROGRAM}.so`)}`), 'The validator should load the pump.fun program from its dump');
+  test.assert(validatorArgs.includes(pumpFunAccounts.global().toBase58()) && !validatorArgs.some(arg => arg === '--url' || arg.startsWith('--clone')), 'The validator should load its accounts from disk, without the network');
+  const registry = await SwapSourceRegistry.fromEnv({ SOLANA_NETWORK: 'localnet' });
+  test.assert(registry.getProgramIds().includes(PUMP_FUN_PROGRAM) && !registry.getSources().some(source => source.name === 'localnet'), 'Localnet should use the production swap sources only');
+  
+  const mint = Keypair.generate().publicKey;
+  const trader = Keypair.generate().publicKey;
+  const creator = Keypair.generate().publicKey;
+  const feeRecipient = Keypair.generate().publicKey;
+  const toTransaction = (ix, tokenBalances = [], lamportBalances = []) =>
+    buildSwapTransaction(ix.programId.toBase58(), ix.keys.map(key => key.pubkey.toBase58()), ix.data, tokenBalances, lamportBalances);
+  
+  const { creates: [launch] } = registry.decode(toTransaction(createInstruction({ mint, user: creator, name: 'FRESH localnet', symbol: 'FRESH', uri: '' })));
+  test.assert(launch && launch.dex === 'pumpfun' && launch.mint === mint.toBase58() && launch.creator === creator.toBase58() && launch.symbol === 'FRESH', 'Seeded launches should be decoded by the pump.fun decoder');
+  test.assert(launch.pool === pumpFunAccounts.bondingCurve(mint).toBase58(), 'The launch pool should be the bonding curve PDA');
+  
+  // Curve with pump.fun's initial virtual reserves (30 SOL / 1.073B tokens)
+  const curveData = Buffer.alloc(81);
+  curveData.writeBigUInt64LE(1073000000000000n, 8);
+  curveData.writeBigUInt64LE(30000000000n, 16);
+  curveData.writeBigUInt64LE(793100000000000n, 24);
+  creator.toBuffer().copy(curveData, 49);
+  const curve = readBondingCurve(curveData);
+  const tokens = quoteBuy(curve, 500000000n);
+  test.assert(curve.creator.equals(creator) && tokens > 17000000000000n && tokens < 18000000000000n, `Buys should be quoted on the virtual reserves, got ${tokens}`);
+  
+  const traderTokens = getAssociatedTokenAddress(mint, trader).toBase58();
+  const buyTx = toTransaction(buyInstruction({ mint, user: trader, feeRecipient, creator, amount: tokens, maxSolCost: 500000000n }), [
+    { account: traderTokens, mint: mint.toBase58(), post: Number(tokens), owner: trader.toBase58() }
+  ], [{ account: pumpFunAccounts.bondingCurve(mint).toBase58(), pre: 1000000000, post: 1475000000 }]);
+  const { swaps: [buy] } = registry.decode(buyTx);
+  test.assert(buy && buy.dex === 'pumpfun' && buy.direction === 'buy' && buy.user === trader.toBase58(), 'Seeded buys should be decoded by the pump.fun decoder');
+  test.assert(buy.amountIn === 0.475 && buy.amountOut === Number(tokens) / 1e6 && buy.maxAmountIn === 0.5, 'Buy amounts should come from the instruction and the curve');
+  
+  const sellTx = toTransaction(sellInstruction({ mint, user: trader, feeRecipient, creator, amount: tokens / 2n }), [
+    { account: traderTokens, mint: mint.toBase58(), pre: Number(tokens), post: Number(tokens - tokens / 2n), owner: trader.toBase58() }
+  ]);
+  const { swaps: [sell] } = registry.decode(sellTx);
+  test.assert(sell && sell.direction === 'sell' && sell.inputMint === mint.toBase58(), 'Seeded sells should be decoded by the pump.fun decoder');
+  
+  // The seeded launch and buy as the detector receives them: notification, then the fetched transaction
+  const launchTx = toTransaction(createInstruction({ mint, user: creator, name: 'FRESH localnet', symbol: 'FRESH', uri: '' }));
+  const seeded = {
+    LaunchSig: { ...launchTx, slot: 200, blockTime: 1000, meta: { ...launchTx.meta, logMessages: [`Program ${PUMP_FUN_PROGRAM} invoke [1]`, 'Program log: Instruction: Create', `Program ${PUMP_FUN_PROGRAM} success`] } },
+    BuySig: { ...buyTx, slot: 202, blockTime: 1001 }
+  };
+  const detector = new FreshWalletDetector();
+  detector.rpcConfig = resolveRpcConfig({ SOLANA_NETWORK: 'localnet' });
+  detector.swapSources = registry;
+  detector.rpcBatcher = { getTransaction: async (signature) => seeded[signature] };
+  detector.lookupTables = { resolve: async () => {} };
+  detector.database = { run: (query, params, callback) => callback?.call({ lastID: 1, changes: 1 }, null) };
+  const checked = [];
+  detector.processWalletWithDelay = async (wallet, accountInfo, signature) => checked.push({ wallet, signature });
+  
+  await detector.handleWebSocketMessage({ method: 'logsNotification', params: { result: { context: { slot: 200 }, value: { signature: 'LaunchSig', err: null, logs: seeded.LaunchSig.meta.logMessages } } } });
+  const queued = detector.candidateQueue.pop();
+  test.assert(queued && queued.reasons.includes('creation'), 'The seeded launch should be queued as a creation');
+  await detector.processSwapTransaction(queued.logData, { sampled: queued.sampled });
+  await detector.processSwapTransaction({ context: { slot: 202 }, value: { signature: 'BuySig' } }, { sampled: true });
+  
+  const detected = detector.launchTracker.getLaunch(mint.toBase58());
+  test.assert(detected && detected.dex === 'pumpfun' && detected.symbol === 'FRESH' && detector.stats.launchesDetected === 1, 'The seeded launch should be detected');
+  test.assert(detected.snipers.length === 1 && detected.snipers[0].address === trader.toBase58() && detected.snipers[0].slotsAfterLaunch === 2, 'The seeded buyer should be flagged as a sniper');
+  test.assert(checked.some(c => c.wallet === trader.toBase58() && c.signature === 'BuySig'), 'The seeded buyer should be checked for freshness');
+});
+
 // Run all tests
 async function main() {
   try {
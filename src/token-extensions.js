@@ -0,0 +1,232 @@
+import bs58 from 'bs58';
+import { PublicKey } from '@solana/web3.js';
+import { readBorshString } from './transaction-utils.js';
+
+export const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpDxuEb';
+
+// Token-2022 ExtensionType discriminants (u16 in the TLV header)
+const EXTENSION_NAMES = {
+  1: 'transferFeeConfig',
+  3: 'mintCloseAuthority',
+  4: 'confidentialTransferMint',
+  6: 'defaultAccountState',
+  9: 'nonTransferable',
+  10: 'interestBearingConfig',
+  12: 'permanentDelegate',
+  14: 'transferHook',
+  16: 'confidentialTransferFeeConfig',
+  18: 'metadataPointer',
+  19: 'tokenMetadata',
+  20: 'groupPointer',
+  21: 'tokenGroup',
+  22: 'groupMemberPointer',
+  23: 'tokenGroupMember',
+  24: 'confidentialMintBurn',
+  25: 'scaledUiAmount',
+  26: 'pausable'
+};
+
+// Extensions that let the issuer move, block or tax holders' tokens after the buy
+export const RISKY_EXTENSIONS = new Set(['permanentDelegate', 'transferHook']);
+
+// Mint base layout is 82 bytes, padded to the 165-byte account size, followed by the account type byte
+const MINT_SIZE = 82;
+const ACCOUNT_TYPE_OFFSET = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+/**
+ * Read an OptionalNonZeroPubkey (all zeros = none)
+ */
+function readOptionalPubkey(data, offset) {
+  const bytes = data.subarray(offset, offset + 32);
+  return bytes.every(byte => byte === 0) ? null : bs58.encode(bytes);
+}
+
+/**
+ * Read a TransferFee: epoch u64, maximum_fee u64, transfer_fee_basis_points u16
+ */
+function readTransferFee(data, offset) {
+  return {
+    epoch: data.readBigUInt64LE(offset),
+    maximumFee: data.readBigUInt64LE(offset + 8),
+    basisPoints: data.readUInt16LE(offset + 16)
+  };
+}
+
+/**
+ * Decode the value of a known extension (unknown ones are listed by name only)
+ */
+function parseExtensionValue(name, value) {
+  switch (name) {
+    case 'transferFeeConfig':
+      return {
+        withheldAmount: value.readBigUInt64LE(64),
+        olderTransferFee: readTransferFee(value, 72),
+        newerTransferFee: readTransferFee(value, 90)
+      };
+    case 'interestBearingConfig':
+      return { currentRate: value.readInt16LE(50) };
+    case 'permanentDelegate':
+      return { delegate: readOptionalPubkey(value, 0) };
+    case 'transferHook':
+      return { authority: readOptionalPubkey(value, 0), programId: readOptionalPubkey(value, 32) };
+    case 'defaultAccountState':
+      return { frozen: value.readUInt8(0) === 2 };
+    case 'tokenMetadata': {
+      const name = readBorshString(value, 64);
+      const symbol = readBorshString(value, name.offset);
+      const uri = readBorshString(value, symbol.offset);
+      return { metadata: { name: name.value, symbol: symbol.value, uri: uri.value } };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Parse a mint account: { program, decimals, extensions: [{ name, ...fields }] }
+ * Extensions are a TLV list (type u16, length u16, value) after the account type byte
+ */
+export function parseMintAccount(data, owner = TOKEN_PROGRAM) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < MINT_SIZE) {
+    return null;
+  }
+
+  const mint = {
+    program: owner === TOKEN_2022_PROGRAM ? 'token-2022' : 'spl-token',
+    decimals: buffer.readUInt8(44),
+    extensions: []
+  };
+  if (owner !== TOKEN_2022_PROGRAM || buffer.length <= ACCOUNT_TYPE_OFFSET ||
+      buffer.readUInt8(ACCOUNT_TYPE_OFFSET) !== ACCOUNT_TYPE_MINT) {
+    return mint;
+  }
+
+  let offset = ACCOUNT_TYPE_OFFSET + 1;
+  while (offset + 4 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const length = buffer.readUInt16LE(offset + 2);
+    const value = buffer.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+    if (type === 0 || value.length < length) break; // uninitialized padding
+
+    const name = EXTENSION_NAMES[type] || `extension${type}`;
+    try {
+      mint.extensions.push({ name, ...parseExtensionValue(name, value) });
+    } catch (error) {
+      mint.extensions.push({ name });
+    }
+  }
+
+  return mint;
+}
+
+/**
+ * Transfer fee charged on a transfer of `amount` (raw) in the given epoch
+ */
+export function getTransferFee(feeConfig, epoch, amount) {
+  const fee = BigInt(epoch) >= feeConfig.newerTransferFee.epoch
+    ? feeConfig.newerTransferFee
+    : feeConfig.olderTransferFee;
+  if (fee.basisPoints === 0 || amount === 0n) {
+    return 0n;
+  }
+  const raw = (amount * BigInt(fee.basisPoints) + 9999n) / 10000n; // rounded up like the program
+  return raw < fee.maximumFee ? raw : fee.maximumFee;
+}
+
+/**
+ * Amount sent before the fee, given what the recipient received
+ */
+export function getPreFeeAmount(feeConfig, epoch, received) {
+  const fee = BigInt(epoch) >= feeConfig.newerTransferFee.epoch
+    ? feeConfig.newerTransferFee
+    : feeConfig.olderTransferFee;
+  if (fee.basisPoints === 0 || received === 0n) {
+    return received;
+  }
+  if (fee.basisPoints >= 10000) {
+    return received + fee.maximumFee;
+  }
+  const sent = (received * 10000n + BigInt(10000 - fee.basisPoints) - 1n) / BigInt(10000 - fee.basisPoints);
+  return sent - received >= fee.maximumFee ? received + fee.maximumFee : sent;
+}
+
+/**
+ * Summarize a parsed mint for token records: extension names, risky ones, fee and metadata
+ */
+export function describeMint(mint) {
+  const names = mint.extensions.map(extension => extension.name);
+  const find = (name) => mint.extensions.find(extension => extension.name === name) || null;
+  const hook = find('transferHook');
+
+  return {
+    program: mint.program,
+    decimals: mint.decimals,
+    extensions: names,
+    // A transfer hook without a program is inert
+    riskyExtensions: names.filter(name => RISKY_EXTENSIONS.has(name) && (name !== 'transferHook' || hook?.programId)),
+    transferFee: find('transferFeeConfig'),
+    confidential: names.some(name => name.startsWith('confidential')),
+    metadata: find('tokenMetadata')?.metadata || null
+  };
+}
+
+/**
+ * Mint Extension Cache
+ * Fetches and caches Token-2022 mint accounts; classic SPL mints are never fetched
+ */
+export class MintExtensionCache {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = {
+      maxMints: config.maxMints || 2000,
+      ttlMs: config.ttlMs || 60 * 60 * 1000
+    };
+    this.mints = new Map(); // mint -> { info, ts }
+  }
+
+  /**
+   * Get the mints of a transaction owned by Token-2022 (from the token balances' programId)
+   */
+  static getToken2022Mints(transaction) {
+    const balances = [...(transaction?.meta?.preTokenBalances || []), ...(transaction?.meta?.postTokenBalances || [])];
+    return [...new Set(balances.filter(b => b.programId === TOKEN_2022_PROGRAM).map(b => b.mint))];
+  }
+
+  /**
+   * Get the cached description of a mint without fetching
+   */
+  peek(mint) {
+    return this.mints.get(mint)?.info || null;
+  }
+
+  /**
+   * Get a mint's description (describeMint), fetching the account when it is not cached
+   */
+  async get(mint) {
+    const cached = this.mints.get(mint);
+    if (cached && Date.now() - cached.ts < this.config.ttlMs) {
+      return cached.info;
+    }
+
+    try {
+      const account = await this.connection.getAccountInfo(new PublicKey(mint));
+      if (!account) return null;
+      const parsed = parseMintAccount(account.data, account.owner.toBase58());
+      const info = parsed ? describeMint(parsed) : null;
+
+      this.mints.delete(mint);
+      this.mints.set(mint, { info, ts: Date.now() });
+      while (this.mints.size > this.config.maxMints) {
+        this.mints.delete(this.mints.keys().next().value);
+      }
+      return info;
+    } catch (error) {
+      console.error(`Error fetching mint ${mint.substring(0, 8)}...:`, error.message);
+      return null;
+    }
+  }
+}
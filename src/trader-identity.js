@@ -0,0 +1,93 @@
+import { getStaticAccountKeys, getFeePayer } from './transaction-utils.js';
+
+/**
+ * Get the transaction signers (the first numRequiredSignatures static keys, fee payer first)
+ */
+export function getSigners(transaction) {
+  const keys = getStaticAccountKeys(transaction);
+  const required = transaction?.transaction?.message?.header?.numRequiredSignatures;
+  if (!required) {
+    // Without a header only the fee payer is known to have signed
+    return keys.slice(0, 1);
+  }
+  return keys.slice(0, required);
+}
+
+/**
+ * Sum raw token balance changes per owner and mint: owner -> Map(mint -> change)
+ */
+export function getOwnerTokenChanges(transaction) {
+  const changes = new Map();
+  const meta = transaction?.meta;
+  if (!meta) {
+    return changes;
+  }
+
+  const add = (balance, sign) => {
+    if (!balance.owner || !balance.mint) return;
+    const byMint = changes.get(balance.owner) || new Map();
+    const amount = BigInt(balance.uiTokenAmount?.amount || '0') * sign;
+    byMint.set(balance.mint, (byMint.get(balance.mint) || 0n) + amount);
+    changes.set(balance.owner, byMint);
+  };
+  (meta.preTokenBalances || []).forEach(balance => add(balance, -1n));
+  (meta.postTokenBalances || []).forEach(balance => add(balance, 1n));
+
+  for (const [owner, byMint] of changes.entries()) {
+    for (const [mint, change] of byMint.entries()) {
+      if (change === 0n) byMint.delete(mint);
+    }
+    if (byMint.size === 0) changes.delete(owner);
+  }
+  return changes;
+}
+
+/**
+ * Identify who actually traded: the owner of the token accounts whose balances changed
+ * Returns { trader, feePayer, signers, source, relayed } where source is how the trader was found:
+ * 'output_balance' / 'input_balance' (owner receiving the swap output / paying its input),
+ * 'signer_balance' (a signer whose tokens changed), 'swap_authority' (user of the decoded swap) or 'fee_payer'
+ */
+export function identifyTrader(transaction, swaps = []) {
+  const feePayer = getFeePayer(transaction);
+  const signers = getSigners(transaction);
+  const changes = getOwnerTokenChanges(transaction);
+  const signerSet = new Set(signers);
+
+  // Largest receiver of the route output, else largest payer of its input; ties go to signers
+  const pickOwner = (mint, sign) => {
+    let best = null;
+    for (const [owner, byMint] of changes.entries()) {
+      const change = (byMint.get(mint) || 0n) * sign;
+      if (change <= 0n) continue;
+      if (!best || change > best.change || (change === best.change && signerSet.has(owner) && !signerSet.has(best.owner))) {
+        best = { owner, change };
+      }
+    }
+    return best?.owner || null;
+  };
+
+  const identify = (trader, source) => ({
+    trader,
+    feePayer,
+    signers,
+    source,
+    relayed: Boolean(trader && feePayer && trader !== feePayer)
+  });
+
+  if (swaps.length > 0) {
+    const first = swaps[0];
+    const last = swaps[swaps.length - 1];
+    const receiver = last.outputMint ? pickOwner(last.outputMint, 1n) : null;
+    if (receiver) return identify(receiver, 'output_balance');
+    const payer = first.inputMint ? pickOwner(first.inputMint, -1n) : null;
+    if (payer) return identify(payer, 'input_balance');
+  }
+
+  const signerWithChanges = signers.find(signer => changes.has(signer));
+  if (signerWithChanges) return identify(signerWithChanges, 'signer_balance');
+
+  if (swaps[0]?.user) return identify(swaps[0].user, 'swap_authority');
+
+  return identify(feePayer, 'fee_payer');
+}
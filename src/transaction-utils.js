@@ -0,0 +1,284 @@
+import bs58 from 'bs58';
+import { createHash } from 'crypto';
+
+/**
+ * Helpers for reading raw (non-parsed) transactions returned by getTransaction
+ */
+
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Mints a memecoin is usually bought with
+export const QUOTE_MINTS = new Set([
+  WSOL_MINT,
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'  // USDT
+]);
+
+/**
+ * Convert a PublicKey, base58 string or parsed account key ({ pubkey }) to a base58 string
+ */
+export function toBase58(key) {
+  if (!key) return null;
+  if (typeof key === 'string') return key;
+  if (key.pubkey) return toBase58(key.pubkey);
+  return key.toBase58();
+}
+
+/**
+ * Get the keys stored in the message itself (legacy accountKeys or v0 staticAccountKeys)
+ */
+export function getStaticAccountKeys(transaction) {
+  const message = transaction?.transaction?.message;
+  if (!message) {
+    return [];
+  }
+  // v0 messages from web3.js only have staticAccountKeys; RPC JSON and legacy messages use accountKeys
+  return (message.staticAccountKeys || message.accountKeys || []).map(toBase58);
+}
+
+/**
+ * Get the address lookup tables a v0 message loads accounts from
+ * Returns [{ accountKey, writableIndexes, readonlyIndexes }] (empty for legacy messages)
+ */
+export function getAddressTableLookups(transaction) {
+  const lookups = transaction?.transaction?.message?.addressTableLookups || [];
+  return lookups.map(lookup => ({
+    accountKey: toBase58(lookup.accountKey),
+    writableIndexes: Array.from(lookup.writableIndexes || []),
+    readonlyIndexes: Array.from(lookup.readonlyIndexes || [])
+  }));
+}
+
+/**
+ * Get all account keys of a transaction in runtime order:
+ * static keys, then writable and readonly lookup table addresses (meta.loadedAddresses)
+ */
+export function getAccountKeys(transaction) {
+  const loaded = transaction?.meta?.loadedAddresses;
+
+  return [
+    ...getStaticAccountKeys(transaction),
+    ...(loaded?.writable || []).map(toBase58),
+    ...(loaded?.readonly || []).map(toBase58)
+  ];
+}
+
+/**
+ * Get the fee payer, which is always the first static key
+ */
+export function getFeePayer(transaction) {
+  return getStaticAccountKeys(transaction)[0] || null;
+}
+
+/**
+ * Check whether loaded addresses are missing for the lookups of a v0 message
+ */
+export function hasUnresolvedLookups(transaction) {
+  const expected = getAddressTableLookups(transaction)
+    .reduce((total, lookup) => total + lookup.writableIndexes.length + lookup.readonlyIndexes.length, 0);
+  const loaded = transaction?.meta?.loadedAddresses;
+  const resolved = (loaded?.writable?.length || 0) + (loaded?.readonly?.length || 0);
+  return expected > resolved;
+}
+
+/**
+ * Decode instruction data which is base58 in RPC responses and bytes on compiled messages
+ */
+export function decodeInstructionData(data) {
+  if (!data) return Buffer.alloc(0);
+  if (typeof data === 'string') {
+    return Buffer.from(bs58.decode(data));
+  }
+  return Buffer.from(data);
+}
+
+/**
+ * Flatten top-level and inner instructions (in execution order) into
+ * { index, programId, accounts, data, outerIndex, isInner }
+ */
+export function getAllInstructions(transaction) {
+  const message = transaction?.transaction?.message;
+  if (!message) {
+    return [];
+  }
+
+  const accountKeys = getAccountKeys(transaction);
+  let position = 0;
+  const normalize = (ix, outerIndex, isInner) => {
+    const accountIndexes = ix.accountKeyIndexes || ix.accounts || [];
+    return {
+      index: position++,
+      programId: accountKeys[ix.programIdIndex],
+      accounts: accountIndexes.map(i => accountKeys[i]),
+      data: decodeInstructionData(ix.data),
+      outerIndex,
+      isInner
+    };
+  };
+
+  const topLevel = message.compiledInstructions || message.instructions || [];
+  const innerByIndex = new Map();
+  for (const inner of transaction.meta?.innerInstructions || []) {
+    innerByIndex.set(inner.index, inner.instructions || []);
+  }
+
+  const instructions = [];
+  topLevel.forEach((ix, index) => {
+    instructions.push(normalize(ix, index, false));
+    for (const innerIx of innerByIndex.get(index) || []) {
+      instructions.push(normalize(innerIx, index, true));
+    }
+  });
+
+  // Accounts from unresolved lookup tables are unknown: never hand decoders a partial account list
+  return instructions.filter(ix => ix.programId && !ix.accounts.includes(undefined));
+}
+
+/**
+ * Anchor instruction discriminator: first 8 bytes of sha256("<namespace>:<name>")
+ */
+export function anchorDiscriminator(name, namespace = 'global') {
+  return createHash('sha256').update(`${namespace}:${name}`).digest().subarray(0, 8);
+}
+
+/**
+ * Check whether instruction data starts with the given discriminator bytes
+ */
+export function hasDiscriminator(data, discriminator) {
+  return data.length >= discriminator.length && data.subarray(0, discriminator.length).equals(discriminator);
+}
+
+/**
+ * Get mint, owner and raw balance change of a token account touched by the transaction
+ */
+export function getTokenAccountChange(transaction, tokenAccount) {
+  if (!tokenAccount || !transaction?.meta) {
+    return null;
+  }
+
+  const accountIndex = getAccountKeys(transaction).indexOf(tokenAccount);
+  if (accountIndex === -1) {
+    return null;
+  }
+
+  const pre = (transaction.meta.preTokenBalances || []).find(b => b.accountIndex === accountIndex);
+  const post = (transaction.meta.postTokenBalances || []).find(b => b.accountIndex === accountIndex);
+  const balance = post || pre;
+  if (!balance) {
+    return null;
+  }
+
+  // Accounts created or closed inside the transaction only have one side
+  const preAmount = BigInt(pre?.uiTokenAmount?.amount || '0');
+  const postAmount = BigInt(post?.uiTokenAmount?.amount || '0');
+
+  return {
+    account: tokenAccount,
+    mint: balance.mint,
+    owner: balance.owner,
+    decimals: balance.uiTokenAmount?.decimals ?? 0,
+    change: postAmount - preAmount
+  };
+}
+
+/**
+ * Get the decimals of a mint from any token balance in the transaction
+ */
+export function getMintDecimals(transaction, mint) {
+  if (mint === WSOL_MINT) return 9;
+  const balances = [...(transaction?.meta?.preTokenBalances || []), ...(transaction?.meta?.postTokenBalances || [])];
+  const balance = balances.find(b => b.mint === mint);
+  return balance?.uiTokenAmount?.decimals ?? null;
+}
+
+/**
+ * Get the lamport change of an account in the transaction
+ */
+export function getLamportChange(transaction, account) {
+  const { preBalances, postBalances } = transaction?.meta || {};
+  const accountIndex = getAccountKeys(transaction).indexOf(account);
+  if (accountIndex === -1 || !preBalances || !postBalances) {
+    return null;
+  }
+  return BigInt(postBalances[accountIndex] ?? 0) - BigInt(preBalances[accountIndex] ?? 0);
+}
+
+/**
+ * Get an owner's net balance changes per mint: Map(mint -> { change, decimals }) in raw units
+ * Native SOL is merged into WSOL: lamports of the owner and of its token accounts are summed,
+ * which cancels wrap/unwrap and rent of accounts opened for the owner; the fee is added back
+ */
+export function getOwnerBalanceChanges(transaction, owner) {
+  const changes = new Map();
+  const meta = transaction?.meta;
+  if (!meta || !owner) {
+    return changes;
+  }
+
+  const add = (mint, amount, decimals) => {
+    const entry = changes.get(mint) || { change: 0n, decimals };
+    entry.change += amount;
+    changes.set(mint, entry);
+  };
+
+  const ownedAccounts = new Set();
+  const addTokenBalances = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.owner !== owner || !balance.mint) continue;
+      ownedAccounts.add(balance.accountIndex);
+      // WSOL token amounts are already part of the token account lamports
+      if (balance.mint === WSOL_MINT) continue;
+      add(balance.mint, BigInt(balance.uiTokenAmount?.amount || '0') * sign, balance.uiTokenAmount?.decimals ?? 0);
+    }
+  };
+  addTokenBalances(meta.preTokenBalances, -1n);
+  addTokenBalances(meta.postTokenBalances, 1n);
+
+  if (meta.preBalances && meta.postBalances) {
+    const ownerIndex = getAccountKeys(transaction).indexOf(owner);
+    let lamports = 0n;
+    for (const index of [ownerIndex, ...ownedAccounts]) {
+      if (index === -1) continue;
+      lamports += BigInt(meta.postBalances[index] ?? 0) - BigInt(meta.preBalances[index] ?? 0);
+    }
+    if (owner === getFeePayer(transaction)) {
+      lamports += BigInt(meta.fee || 0);
+    }
+    add(WSOL_MINT, lamports, 9);
+  }
+
+  for (const [mint, entry] of changes.entries()) {
+    if (entry.change === 0n) changes.delete(mint);
+  }
+  return changes;
+}
+
+/**
+ * Read a Borsh string (u32 length prefix + utf8 bytes), returns { value, offset }
+ */
+export function readBorshString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const start = offset + 4;
+  return {
+    value: data.subarray(start, start + length).toString('utf8'),
+    offset: start + length
+  };
+}
+
+/**
+ * Convert a raw token amount to a UI amount
+ */
+export function toUiAmount(rawAmount, decimals) {
+  if (rawAmount === null || rawAmount === undefined) return null;
+  return Number(rawAmount) / Math.pow(10, decimals || 0);
+}
+
+/**
+ * Classify a swap as buy (quote in), sell (quote out) or plain swap
+ */
+export function getSwapDirection(inputMint, outputMint) {
+  if (QUOTE_MINTS.has(inputMint) && !QUOTE_MINTS.has(outputMint)) return 'buy';
+  if (QUOTE_MINTS.has(outputMint) && !QUOTE_MINTS.has(inputMint)) return 'sell';
+  return 'swap';
+}
@@ -1,4 +1,7 @@
 import { PublicKey, Connection } from '@solana/web3.js';
+import { WalletSampler } from './sampler.js';
+import { resolveRpcConfig } from './rpc-config.js';
+import { FundingTracer } from './funding-tracer.js';
 
 /**
  * New Wallet Detection Engine
@@ -9,14 +12,11 @@ export class WalletDetector {
     this.wsManager = wsManager;
     this.database = database;
     
-    // Set up RPC connection for account verification
-    const heliusApiKey = process.env.HELIUS_API_KEY;
-    const network = process.env.SOLANA_NETWORK || 'mainnet-beta';
-    const rpcUrl = heliusApiKey 
-      ? `https://${network}.helius-rpc.com/?api-key=${heliusApiKey}`
-      : `https://api.${network}.solana.com`;
+    // Set up RPC connection for account verification (Helius, RPC_URLS or the public endpoint)
+    const rpcUrl = resolveRpcConfig().rpcUrls[0];
     
     this.rpcConnection = new Connection(rpcUrl, 'confirmed');
+    this.fundingTracer = new FundingTracer(this.rpcConnection);
     
     this.config = {
       trackSystemProgram: config.trackSystemProgram ?? true,
@@ -25,6 +25,9 @@ export class WalletDetector {
       popularPrograms: config.popularPrograms || [
         '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM
         '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM', // Orca
+        'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc', // Orca Whirlpool
+        'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', // Meteora DLMM
+        'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB', // Meteora dynamic AMM
         'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',    // Token Program
         'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',    // Jupiter
         'PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY',    // Phoenix
@@ -37,9 +40,17 @@ export class WalletDetector {
       maxDetectionsPerMinute: config.maxDetectionsPerMinute || 10, // Limit to 10 wallets per minute
       processingDelay: config.processingDelay || 2000, // 2 second delay between detections
       samplingRate: config.samplingRate || 0.1, // Only process 10% of candidates (1 in 10)
+      samplingMode: config.samplingMode || 'random', // 'random', 'hash' (same wallet, same decision) or 'off'
+      samplingSeed: config.samplingSeed || 'freshies',
       enableThrottling: config.enableThrottling !== false
     };
     
+    this.sampler = new WalletSampler({
+      mode: this.config.samplingMode,
+      rate: this.config.samplingRate,
+      seed: this.config.samplingSeed
+    });
+
     this.knownWallets = new Set();
     this.pendingWallets = new Map(); // Wallets we're waiting to confirm as "new"
     this.subscriptionIds = new Set();
@@ -52,6 +63,7 @@ export class WalletDetector {
       falsePositives: 0,
       candidatesSkipped: 0,
       candidatesProcessed: 0,
+      samplingReasons: {}, // sampling decision reason -> count
       rateLimitHits: 0,
       
       // Account type filtering stats
@@ -336,8 +348,10 @@ export class WalletDetector {
       
       // Apply throttling if enabled
       if (this.config.enableThrottling) {
-        // Sampling: Skip random wallets based on sampling rate
-        if (Math.random() > this.config.samplingRate) {
+        // Sampling: Skip wallets outside the sampling rate (per candidate, or per wallet in hash mode)
+        const sampling = this.sampler.decide(address);
+        this.stats.samplingReasons[sampling.reason] = (this.stats.samplingReasons[sampling.reason] || 0) + 1;
+        if (!sampling.sampled) {
           this.stats.candidatesSkipped++;
           return false;
         }
@@ -531,12 +545,16 @@ export class WalletDetector {
         isActive: false,
         solBalance: 0,
         tokenAccounts: 0,
-        transactionCount: 0
+        transactionCount: 0,
+        funding: await this.traceFunding(address)
       };
       
       // Save to database (if still available)
       if (this.database && this.database.db) {
         await this.database.saveWallet(walletData);
+        if (walletData.funding) {
+          await this.database.saveFunding(address, walletData.funding);
+        }
       } else {
         console.log(`⚠️ Database not available, wallet not saved: ${address}`);
       }
@@ -560,6 +578,19 @@ export class WalletDetector {
     }
   }
 
+  /**
+   * Trace who funded a new wallet; null when it cannot be determined
+   */
+  async traceFunding(address) {
+    try {
+      const funding = await this.fundingTracer.traceFundingSource(address);
+      return funding?.funder ? funding : null;
+    } catch (error) {
+      console.error(`❌ Error tracing funding of ${address}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Validate Solana address format
    */
@@ -680,6 +711,8 @@ export class WalletDetector {
       candidatesProcessed: this.stats.candidatesProcessed,
       rateLimitHits: this.stats.rateLimitHits,
       samplingRate: this.config.samplingRate,
+      samplingMode: this.config.samplingMode,
+      samplingReasons: { ...this.stats.samplingReasons },
       processingDelay: this.config.processingDelay
     };
   }